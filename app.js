@@ -5,8 +5,20 @@
 
 class TaskManagerApp {
     constructor() {
-        this.taskManager = new TaskManager();
+        // Bursts of changes, such as undoing several steps, are written to storage once.
+        // Tasks completed a month ago move to the archive, which is only read when it is opened.
+        this.taskManager = new PersistentTaskManager('taskManagerData', { saveDelay: 300, archiveAfterDays: 30 });
+        this.storageManager = this.taskManager.storageManager;
         this.currentFilter = 'all';
+        this.editingTaskId = null;
+        this.activeTags = [];
+        this.collapsedTaskIds = new Set();
+        this.searchQuery = '';
+        this.searchTerms = [];
+        this.sortKeys = [];
+        this.currentPage = 0;
+        this.pageSize = 10;
+        this.isUnlockDialogOpen = false;
         this.initializeApp();
     }
 
@@ -24,6 +36,26 @@ class TaskManagerApp {
      * Bind event listeners to UI elements
      */
     bindEvents() {
+        // Re-render whenever the task list changes
+        this.taskManager.on('change', () => {
+            this.renderTasks();
+            this.updateStats();
+        });
+
+        // Changes from another tab or the sync server are re-rendered by the change listener above
+        this.taskManager.on('tasksSynced', (e) => this.handleTasksSynced(e));
+
+        // Encrypted tasks need the passphrase, at start-up or after it was changed in another tab
+        this.taskManager.on('storageLocked', (e) => this.showUnlockDialog(e.message));
+
+        // Warn before storage fills up, and say so when changes can no longer be saved
+        this.taskManager.on('storageQuotaWarning', (e) => {
+            this.showNotification(`Storage is ${e.usagePercentage}% full; export your tasks or delete completed ones to make room`, 'info');
+        });
+        this.taskManager.on('storageQuotaExceeded', (e) => {
+            this.showNotification(`${e.message}. Export your tasks to keep a copy`, 'error', { label: 'Export', onClick: () => this.exportTasks('json') });
+        });
+
         // Task form submission
         const taskForm = document.getElementById('taskForm');
         if (taskForm) {
@@ -36,10 +68,38 @@ class TaskManagerApp {
             button.addEventListener('click', (e) => this.handleFilterChange(e));
         });
 
+        // Tag filter chips (delegated event handling)
+        const tagFilters = document.getElementById('tagFilters');
+        if (tagFilters) {
+            tagFilters.addEventListener('click', (e) => this.handleTagFilterClick(e));
+        }
+
+        // Search box
+        const searchInput = document.getElementById('taskSearch');
+        if (searchInput) {
+            searchInput.addEventListener('input', (e) => this.handleSearchInput(e));
+        }
+
+        // Sort dropdown
+        const sortSelect = document.getElementById('sortSelect');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', (e) => this.handleSortChange(e));
+        }
+
+        // Pagination buttons (delegated event handling)
+        const pagination = document.getElementById('pagination');
+        if (pagination) {
+            pagination.addEventListener('click', (e) => this.handlePageClick(e));
+        }
+
+        // Undo/redo keyboard shortcuts
+        document.addEventListener('keydown', (e) => this.handleHistoryKeydown(e));
+
         // Task action buttons (delegated event handling)
         const tasksContainer = document.getElementById('tasksContainer');
         if (tasksContainer) {
             tasksContainer.addEventListener('click', (e) => this.handleTaskAction(e));
+            tasksContainer.addEventListener('keydown', (e) => this.handleEditKeydown(e));
         }
     }
 
@@ -52,11 +112,12 @@ class TaskManagerApp {
         const title = document.getElementById('taskTitle').value;
         const description = document.getElementById('taskDescription').value;
         const priority = document.getElementById('taskPriority').value;
+        const dueDate = document.getElementById('taskDueDate').value;
+        const tags = document.getElementById('taskTags').value;
+        const recurrence = document.getElementById('taskRecurrence').value;
 
         try {
-            const newTask = this.taskManager.addTask(title, description, priority);
-            this.renderTasks();
-            this.updateStats();
+            const newTask = this.taskManager.addTask(title, description, priority, { dueDate, tags, recurrence });
             this.clearForm();
             this.showNotification('Task added successfully!', 'success');
         } catch (error) {
@@ -77,13 +138,88 @@ class TaskManagerApp {
         });
         event.target.classList.add('active');
         
+        this.currentPage = 0;
+        this.renderTasks();
+    }
+
+    /**
+     * Handle typing in the search box
+     */
+    handleSearchInput(event) {
+        this.searchQuery = event.target.value.trim();
+        this.currentPage = 0;
+        this.renderTasks();
+    }
+
+    /**
+     * Handle the sort dropdown
+     * Option values list sort keys as "field:dir", comma-separated, e.g. "priority:desc,createdAt:asc"
+     */
+    handleSortChange(event) {
+        this.sortKeys = event.target.value
+            .split(',')
+            .filter(key => key !== '')
+            .map(key => {
+                const [field, dir] = key.split(':');
+                return { field, dir: dir || 'asc' };
+            });
+        this.currentPage = 0;
+        this.renderTasks();
+    }
+
+    /**
+     * Handle the previous/next page buttons
+     */
+    handlePageClick(event) {
+        const page = event.target.dataset.page;
+        if (page === undefined) return;
+
+        this.currentPage = Number(page);
+        this.renderTasks();
+    }
+
+    /**
+     * Handle clicks on the tag filter chips
+     */
+    handleTagFilterClick(event) {
+        const tag = event.target.dataset.tag;
+        if (tag === undefined) return;
+
+        if (tag === '') {
+            this.activeTags = [];
+            this.currentPage = 0;
+            this.renderTasks();
+        } else {
+            this.toggleTagFilter(tag);
+        }
+    }
+
+    /**
+     * Add or remove a tag from the active tag filter
+     */
+    toggleTagFilter(tag) {
+        if (this.activeTags.includes(tag)) {
+            this.activeTags = this.activeTags.filter(t => t !== tag);
+        } else {
+            this.activeTags.push(tag);
+        }
+        this.currentPage = 0;
         this.renderTasks();
     }
 
     /**
-     * Handle task action buttons (complete/delete)
+     * Handle task action buttons (complete/delete, and restore in the trash)
      */
     handleTaskAction(event) {
+        if (event.target.dataset.tag) {
+            this.toggleTagFilter(event.target.dataset.tag);
+            return;
+        }
+        if (event.target.dataset.action === 'empty-trash') {
+            this.emptyTrash();
+            return;
+        }
+
         const taskId = parseInt(event.target.dataset.taskId);
         const action = event.target.dataset.action;
 
@@ -96,39 +232,310 @@ class TaskManagerApp {
             case 'delete':
                 this.deleteTask(taskId);
                 break;
+            case 'restore':
+                this.restoreTask(taskId, parseInt(event.target.dataset.trashKey) || null);
+                break;
+            case 'archive':
+                this.archiveTask(taskId);
+                break;
+            case 'unarchive':
+                this.restoreFromArchive(taskId, parseInt(event.target.dataset.archiveKey) || null);
+                break;
+            case 'edit':
+                this.startEdit(taskId);
+                break;
+            case 'save-edit':
+                this.saveEdit(taskId);
+                break;
+            case 'cancel-edit':
+                this.cancelEdit();
+                break;
+            case 'add-subtask':
+                this.addSubtask(taskId);
+                break;
+            case 'toggle-subtasks':
+                this.toggleSubtasks(taskId);
+                break;
+        }
+    }
+
+    /**
+     * Handle keyboard shortcuts inside the inline edit form
+     * Enter saves (Ctrl+Enter in the description), Escape cancels
+     */
+    handleEditKeydown(event) {
+        if (this.editingTaskId === null) return;
+
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.cancelEdit();
+        } else if (event.key === 'Enter' && (event.target.tagName !== 'TEXTAREA' || event.ctrlKey)) {
+            event.preventDefault();
+            this.saveEdit(this.editingTaskId);
+        }
+    }
+
+    /**
+     * Handle Ctrl+Z (undo) and Ctrl+Shift+Z / Ctrl+Y (redo)
+     * Text fields keep their native undo behaviour
+     */
+    handleHistoryKeydown(event) {
+        if (!(event.ctrlKey || event.metaKey)) return;
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            this.redo();
+        }
+    }
+
+    /**
+     * Undo the last change
+     */
+    undo() {
+        this.editingTaskId = null;
+        const label = this.taskManager.undo();
+        if (label) {
+            this.showNotification(`Undone: ${label}`, 'info');
+        } else {
+            this.showNotification('Nothing to undo', 'info');
+        }
+    }
+
+    /**
+     * Redo the last undone change
+     */
+    redo() {
+        this.editingTaskId = null;
+        const label = this.taskManager.redo();
+        if (label) {
+            this.showNotification(`Redone: ${label}`, 'info');
+        } else {
+            this.showNotification('Nothing to redo', 'info');
+        }
+    }
+
+    /**
+     * Tell the user about changes merged in from another tab or the sync server
+     * @param {Object} event - tasksSynced event (see PersistentTaskManager.mergeSavedData)
+     */
+    handleTasksSynced(event) {
+        if (this.editingTaskId !== null && !this.taskManager.getTaskById(this.editingTaskId)) {
+            this.editingTaskId = null;
+        }
+
+        const { conflicts } = event;
+        if (event.source === 'server') {
+            this.showNotification('Tasks updated from the server', 'info');
+        } else if (conflicts.length === 1) {
+            this.showNotification(`"${conflicts[0].title}" was also changed in another tab; the latest edit was kept`, 'info');
+        } else if (conflicts.length > 1) {
+            this.showNotification(`${conflicts.length} tasks were also changed in another tab; the latest edits were kept`, 'info');
+        } else {
+            this.showNotification('Tasks updated from another tab', 'info');
+        }
+    }
+
+    /**
+     * Switch a task into inline edit mode
+     */
+    startEdit(taskId) {
+        this.editingTaskId = taskId;
+        this.renderTasks();
+
+        const titleInput = document.getElementById(`editTitle-${taskId}`);
+        if (titleInput) {
+            titleInput.focus();
+            titleInput.select();
+        }
+    }
+
+    /**
+     * Save the inline edit form
+     */
+    saveEdit(taskId) {
+        const patch = {
+            title: document.getElementById(`editTitle-${taskId}`).value,
+            description: document.getElementById(`editDescription-${taskId}`).value,
+            priority: document.getElementById(`editPriority-${taskId}`).value,
+            dueDate: document.getElementById(`editDueDate-${taskId}`).value,
+            tags: document.getElementById(`editTags-${taskId}`).value
+        };
+
+        // Only replace the recurrence rule when the frequency changed, so custom rules survive an edit
+        const current = this.taskManager.getTaskById(taskId);
+        const frequency = document.getElementById(`editRecurrence-${taskId}`).value;
+        if (current && frequency !== (current.recurrence ? current.recurrence.frequency : 'none')) {
+            patch.recurrence = frequency;
+        }
+        const blockedBy = [...document.getElementById(`editBlockedBy-${taskId}`).selectedOptions]
+            .map(option => parseInt(option.value));
+
+        try {
+            // One undo step for the whole edit; a rejected dependency rolls back the field changes too
+            const task = this.taskManager.withHistory('Edit task', () => {
+                const updated = this.taskManager.updateTask(taskId, patch);
+                if (updated) {
+                    (updated.blockedBy || [])
+                        .filter(blockerId => !blockedBy.includes(blockerId))
+                        .forEach(blockerId => this.taskManager.removeDependency(taskId, blockerId));
+                    blockedBy.forEach(blockerId => this.taskManager.addDependency(taskId, blockerId));
+                }
+                return updated;
+            });
+            if (task) {
+                this.editingTaskId = null;
+                this.renderTasks();
+                this.showNotification('Task updated!', 'success');
+            } else {
+                this.showNotification('Task not found', 'error');
+            }
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Leave inline edit mode without saving
+     */
+    cancelEdit() {
+        this.editingTaskId = null;
+        this.renderTasks();
+    }
+
+    /**
+     * Prompt for a title and add a subtask
+     */
+    addSubtask(parentId) {
+        const title = prompt('Subtask title:');
+        if (title === null) return;
+
+        try {
+            const parent = this.taskManager.getTaskById(parentId);
+            this.collapsedTaskIds.delete(parentId);
+            this.taskManager.addSubtask(parentId, title, '', parent ? parent.priority : 'medium');
+            this.showNotification('Subtask added!', 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Collapse or expand a task's subtasks
+     */
+    toggleSubtasks(taskId) {
+        if (this.collapsedTaskIds.has(taskId)) {
+            this.collapsedTaskIds.delete(taskId);
+        } else {
+            this.collapsedTaskIds.add(taskId);
         }
+        this.renderTasks();
     }
 
     /**
      * Complete a task
      */
     completeTask(taskId) {
-        const success = this.taskManager.completeTask(taskId);
-        if (success) {
-            this.renderTasks();
-            this.updateStats();
-            this.showNotification('Task completed!', 'success');
-        } else {
-            this.showNotification('Task not found', 'error');
+        try {
+            const success = this.taskManager.completeTask(taskId);
+            if (success) {
+                const task = this.taskManager.getTaskById(taskId);
+                const next = task && task.nextOccurrenceId ? this.taskManager.getTaskById(task.nextOccurrenceId) : null;
+                this.showNotification(next ? `Task completed! Next one is due ${this.formatDateKey(next.dueDate)}` : 'Task completed!', 'success');
+            } else {
+                this.showNotification('Task not found', 'error');
+            }
+        } catch (error) {
+            this.showNotification(error.message, 'error');
         }
     }
 
     /**
-     * Delete a task
+     * Move a task to the trash
      */
     deleteTask(taskId) {
-        if (confirm('Are you sure you want to delete this task?')) {
+        const subtaskCount = this.taskManager.getDescendants(taskId).length;
+        const message = subtaskCount > 0
+            ? `Move this task and its ${subtaskCount} subtask(s) to the trash?`
+            : 'Move this task to the trash?';
+
+        if (confirm(message)) {
             const success = this.taskManager.deleteTask(taskId);
             if (success) {
-                this.renderTasks();
-                this.updateStats();
-                this.showNotification('Task deleted!', 'success');
+                this.showNotification('Task moved to the trash', 'success', {
+                    label: 'Undo',
+                    onClick: () => this.undo()
+                });
             } else {
                 this.showNotification('Task not found', 'error');
             }
         }
     }
 
+    /**
+     * Bring a task back from the trash
+     */
+    restoreTask(taskId, trashKey) {
+        const task = this.taskManager.restoreTask(taskId, trashKey);
+        if (task) {
+            this.showNotification(`"${task.title}" restored`, 'success');
+        } else {
+            this.showNotification('Task not found', 'error');
+        }
+    }
+
+    /**
+     * Move a completed task to the archive
+     */
+    archiveTask(taskId) {
+        try {
+            Promise.resolve(this.taskManager.archiveTask(taskId))
+                .then(archived => {
+                    if (archived) {
+                        this.showNotification('Task archived', 'success');
+                    }
+                })
+                .catch(error => this.showNotification(error.message, 'error'));
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Move an archived task back to the task list
+     */
+    restoreFromArchive(taskId, archiveKey) {
+        Promise.resolve(this.taskManager.restoreFromArchive(taskId, archiveKey))
+            .then(task => {
+                if (task) {
+                    this.showNotification(`"${task.title}" restored from the archive`, 'success');
+                } else {
+                    this.showNotification('Task not found', 'error');
+                }
+            })
+            .catch(error => this.showNotification(error.message, 'error'));
+    }
+
+    /**
+     * Permanently delete everything in the trash
+     */
+    emptyTrash() {
+        const count = this.taskManager.getTrash().length;
+        if (count === 0 || !confirm(`Permanently delete the ${count} task(s) in the trash?`)) {
+            return;
+        }
+
+        this.taskManager.emptyTrash();
+        this.showNotification('Trash emptied', 'success', {
+            label: 'Undo',
+            onClick: () => this.undo()
+        });
+    }
+
     /**
      * Render tasks based on current filter
      */
@@ -136,71 +543,504 @@ class TaskManagerApp {
         const tasksContainer = document.getElementById('tasksContainer');
         if (!tasksContainer) return;
 
-        const tasks = this.taskManager.getTasks(this.currentFilter);
+        this.renderTagFilters();
+        if (this.currentFilter === 'trash') {
+            this.renderTrash(tasksContainer);
+            return;
+        }
+        if (this.currentFilter === 'archive') {
+            this.renderArchive(tasksContainer);
+            return;
+        }
+
+        let tasks = this.taskManager.getTasks(this.currentFilter);
+        if (this.searchQuery) {
+            tasks = this.applySearch(tasks);
+        } else {
+            this.searchTerms = [];
+            this.showSearchError('');
+        }
+        if (this.activeTags.length > 0) {
+            const tagged = this.taskManager.getTasksByTag(this.activeTags, { mode: 'all' });
+            tasks = tasks.filter(task => tagged.includes(task));
+        }
+        if (this.sortKeys.length > 0) {
+            tasks = this.taskManager.sortTasks(tasks, this.sortKeys);
+        }
         
         if (tasks.length === 0) {
             tasksContainer.innerHTML = '<div class="no-tasks">No tasks found</div>';
+            this.currentPage = 0;
+            this.renderPagination(0);
             return;
         }
 
-        tasksContainer.innerHTML = tasks.map(task => this.createTaskHTML(task)).join('');
+        // Subtasks are nested under their parent when the parent is visible too,
+        // so pages are made of top-level tasks and their subtrees
+        const visibleIds = new Set(tasks.map(task => task.id));
+        const roots = tasks.filter(task => !visibleIds.has(task.parentId));
+        const pageCount = Math.ceil(roots.length / this.pageSize);
+        this.currentPage = Math.max(0, Math.min(this.currentPage, pageCount - 1));
+        const start = this.currentPage * this.pageSize;
+        tasksContainer.innerHTML = roots
+            .slice(start, start + this.pageSize)
+            .map(task => this.createTaskTreeHTML(task, tasks))
+            .join('');
+        this.renderPagination(roots.length);
     }
 
     /**
-     * Create HTML for a single task
+     * Render the trash, most recently deleted first
+     * Subtasks deleted along with their parent come back with it, so only the parent is listed
      */
-    createTaskHTML(task) {
-        const statusClass = task.status === 'completed' ? 'completed' : '';
-        const priorityClass = `priority-${task.priority}`;
-        
+    renderTrash(tasksContainer) {
+        const trash = this.taskManager.getTrash();
+        const roots = this.getRemovedRoots(trash, 'deletedAt');
+        this.searchTerms = [];
+        this.renderPagination(0);
+
+        if (roots.length === 0) {
+            tasksContainer.innerHTML = '<div class="no-tasks">The trash is empty</div>';
+            return;
+        }
+
+        const days = this.taskManager.trashRetentionDays;
+        tasksContainer.innerHTML = `
+            <div class="trash-header">
+                <span>${days > 0 ? `Tasks are deleted for good ${days} day(s) after they were moved here.` : 'Tasks stay here until you empty the trash.'}</span>
+                <button class="btn-delete" data-action="empty-trash">Empty Trash</button>
+            </div>
+            ${roots.map(task => this.createRemovedTaskHTML(task, trash, 'deletedAt')).join('')}
+        `;
+    }
+
+    /**
+     * Render the archive, most recently archived first, or the archived tasks matching the search
+     * The archive is read when the view is opened, so it may arrive after this returns.
+     */
+    renderArchive(tasksContainer) {
+        this.renderPagination(0);
+        let archive;
+        try {
+            archive = this.searchQuery
+                ? this.taskManager.searchArchive(this.searchQuery)
+                : this.taskManager.getArchive();
+            this.searchTerms = this.searchQuery
+                ? this.taskManager.parseSearchQuery(this.searchQuery).text.filter(term => !term.negate).map(term => term.value)
+                : [];
+            this.showSearchError('');
+        } catch (error) {
+            this.searchTerms = [];
+            this.showSearchError(error.message);
+            return;
+        }
+
+        Promise.resolve(archive).then(tasks => {
+            if (this.currentFilter !== 'archive') return;
+
+            const shown = this.searchQuery ? tasks : this.getRemovedRoots(tasks, 'archivedAt');
+            tasksContainer.innerHTML = shown.length === 0
+                ? `<div class="no-tasks">${this.searchQuery ? 'No archived tasks found' : 'The archive is empty'}</div>`
+                : shown.map(task => this.createRemovedTaskHTML(task, tasks, 'archivedAt')).join('');
+        }).catch(error => {
+            tasksContainer.innerHTML = `<div class="no-tasks">${this.escapeHtml(`The archive cannot be read: ${error.message}`)}</div>`;
+        });
+    }
+
+    /**
+     * Leave out tasks that were trashed or archived along with their parent, as they come back with it
+     * @param {Array} tasks - Trashed or archived tasks
+     * @param {string} field - 'deletedAt' or 'archivedAt'
+     */
+    getRemovedRoots(tasks, field) {
+        return tasks.filter(task => !tasks.some(other => other.id === task.parentId && this.removedTogether(other, task, field)));
+    }
+
+    /**
+     * Check whether two trashed or archived tasks were removed in the same step
+     * @param {string} field - 'deletedAt' or 'archivedAt'
+     */
+    removedTogether(task, other, field) {
+        const keyField = field === 'deletedAt' ? 'trashKey' : 'archiveKey';
+        return task[keyField] === other[keyField] && task[field] === other[field];
+    }
+
+    /**
+     * Create HTML for a task in the trash (field 'deletedAt') or the archive (field 'archivedAt')
+     */
+    createRemovedTaskHTML(task, tasks, field) {
+        const removedWith = [task];
+        for (let i = 0; i < removedWith.length; i++) {
+            tasks
+                .filter(other => other.parentId === removedWith[i].id && this.removedTogether(other, task, field))
+                .forEach(other => removedWith.push(other));
+        }
+        const subtaskCount = removedWith.length - 1;
+        const isTrash = field === 'deletedAt';
+
         return `
-            <div class="task-item ${statusClass}" data-task-id="${task.id}">
+            <div class="task-item ${isTrash ? 'trashed' : 'archived'}" data-task-id="${task.id}">
                 <div class="task-header">
-                    <h3 class="task-title">${this.escapeHtml(task.title)}</h3>
-                    <span class="task-priority ${priorityClass}">${task.priority}</span>
+                    <h3 class="task-title">${this.highlightText(task.title)}</h3>
+                    <span class="task-priority priority-${task.priority}">${task.priority}</span>
                 </div>
-                ${task.description ? `<p class="task-description">${this.escapeHtml(task.description)}</p>` : ''}
+                ${task.description ? `<p class="task-description">${this.highlightText(task.description)}</p>` : ''}
                 <div class="task-actions">
-                    ${task.status === 'pending' ? 
-                        `<button class="btn-complete" data-task-id="${task.id}" data-action="complete">Complete</button>` : 
-                        `<span class="completed-badge">✅ Completed</span>`
-                    }
-                    <button class="btn-delete" data-task-id="${task.id}" data-action="delete">Delete</button>
+                    ${isTrash
+                        ? `<button class="btn-complete" data-task-id="${task.id}" data-action="restore" data-trash-key="${task.trashKey || ''}">Restore</button>`
+                        : `<button class="btn-complete" data-task-id="${task.id}" data-action="unarchive" data-archive-key="${task.archiveKey || ''}">Restore</button>`}
                 </div>
                 <div class="task-meta">
-                    <small>Created: ${new Date(task.createdAt).toLocaleDateString()}</small>
                     ${task.completedAt ? `<small>Completed: ${new Date(task.completedAt).toLocaleDateString()}</small>` : ''}
+                    <small>${isTrash ? 'Deleted' : 'Archived'}: ${new Date(task[field]).toLocaleDateString()}</small>
+                    ${subtaskCount > 0 ? `<small>With ${subtaskCount} subtask(s)</small>` : ''}
                 </div>
             </div>
         `;
     }
 
     /**
-     * Update statistics display
+     * Render the previous/next controls under the task list
      */
-    updateStats() {
-        const stats = this.taskManager.getStats();
-        
-        // You can add a stats section to the HTML and update it here
-        console.log('Task Statistics:', stats);
+    renderPagination(total) {
+        const pagination = document.getElementById('pagination');
+        if (!pagination) return;
+
+        const pageCount = Math.ceil(total / this.pageSize);
+        if (pageCount <= 1) {
+            pagination.innerHTML = '';
+            return;
+        }
+
+        const first = this.currentPage * this.pageSize + 1;
+        const last = Math.min(total, first + this.pageSize - 1);
+        pagination.innerHTML = `
+            <button data-page="${this.currentPage - 1}" ${this.currentPage === 0 ? 'disabled' : ''}>‹ Previous</button>
+            <span class="page-info">${first}–${last} of ${total} · Page ${this.currentPage + 1} of ${pageCount}</span>
+            <button data-page="${this.currentPage + 1}" ${this.currentPage >= pageCount - 1 ? 'disabled' : ''}>Next ›</button>
+        `;
     }
 
     /**
-     * Clear the task form
+     * Narrow tasks to the current search query, best matches first
+     * An invalid query shows its syntax error and leaves the list unfiltered
      */
-    clearForm() {
-        document.getElementById('taskForm').reset();
-        document.getElementById('taskPriority').value = 'medium';
+    applySearch(tasks) {
+        try {
+            const results = this.taskManager.search(this.searchQuery);
+            this.searchTerms = this.taskManager.parseSearchQuery(this.searchQuery).text
+                .filter(term => !term.negate)
+                .map(term => term.value);
+            this.showSearchError('');
+            return results.filter(task => tasks.includes(task));
+        } catch (error) {
+            this.searchTerms = [];
+            this.showSearchError(error.message);
+            return tasks;
+        }
     }
 
     /**
-     * Show notification to user
+     * Show (or clear, when empty) the search syntax error under the search box
      */
-    showNotification(message, type = 'info') {
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.className = `notification notification-${type}`;
-        notification.textContent = message;
+    showSearchError(message) {
+        const searchError = document.getElementById('searchError');
+        if (searchError) {
+            searchError.textContent = message;
+        }
+    }
+
+    /**
+     * Escape text and wrap the current search terms in <mark> tags
+     */
+    highlightText(text) {
+        if (this.searchTerms.length === 0) {
+            return this.escapeHtml(text);
+        }
+
+        const pattern = new RegExp(`(${this.searchTerms
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|')})`, 'gi');
+        return String(text).split(pattern)
+            .map((part, index) => index % 2 === 1
+                ? `<mark>${this.escapeHtml(part)}</mark>`
+                : this.escapeHtml(part))
+            .join('');
+    }
+
+    /**
+     * Create HTML for a task and its visible subtasks
+     */
+    createTaskTreeHTML(task, visibleTasks) {
+        const children = visibleTasks.filter(t => t.parentId === task.id);
+        const subtasksHTML = children.length > 0 && !this.collapsedTaskIds.has(task.id)
+            ? `<div class="subtasks">${children.map(child => this.createTaskTreeHTML(child, visibleTasks)).join('')}</div>`
+            : '';
+
+        return this.createTaskHTML(task, subtasksHTML);
+    }
+
+    /**
+     * Render the clickable tag filters next to the status filters
+     */
+    renderTagFilters() {
+        const tagFilters = document.getElementById('tagFilters');
+        if (!tagFilters) return;
+
+        const allTags = this.taskManager.getAllTags();
+
+        // Drop filters for tags that are no longer in use
+        this.activeTags = this.activeTags.filter(tag => allTags.some(t => t.tag === tag));
+
+        if (allTags.length === 0) {
+            tagFilters.innerHTML = '';
+            return;
+        }
+
+        tagFilters.innerHTML = allTags.map(({ tag, count }) => {
+            const activeClass = this.activeTags.includes(tag) ? 'active' : '';
+            return `<button class="tag-chip ${activeClass}" data-tag="${this.escapeHtml(tag)}">#${this.escapeHtml(tag)} <span class="tag-count">${count}</span></button>`;
+        }).join('') + (this.activeTags.length > 0 ? '<button class="tag-chip tag-clear" data-tag="">Clear tags</button>' : '');
+    }
+
+    /**
+     * Create HTML for a single task
+     */
+    createTaskHTML(task, subtasksHTML = '') {
+        if (task.id === this.editingTaskId) {
+            return this.createEditTaskHTML(task, subtasksHTML);
+        }
+
+        const isOverdue = this.taskManager.isOverdue(task);
+        const statusClass = task.status === 'completed' ? 'completed' : (isOverdue ? 'overdue' : '');
+        const priorityClass = `priority-${task.priority}`;
+        
+        return `
+            <div class="task-item ${statusClass}" data-task-id="${task.id}">
+                <div class="task-header">
+                    <h3 class="task-title">${task.recurrence ? `<span class="recurrence-icon" title="${this.escapeHtml(this.describeRecurrence(task.recurrence))}">🔁</span> ` : ''}${this.highlightText(task.title)}</h3>
+                    <span class="task-priority ${priorityClass}">${task.priority}</span>
+                </div>
+                ${this.createProgressHTML(task)}
+                ${task.dueDate ? this.createDueBadgeHTML(task, isOverdue) : ''}
+                ${task.status === 'pending' ? this.createBlockedHTML(task) : ''}
+                ${task.description ? `<p class="task-description">${this.highlightText(task.description)}</p>` : ''}
+                ${task.tags && task.tags.length > 0 ? `
+                    <div class="task-tags">
+                        ${task.tags.map(tag => `<button class="tag-chip" data-tag="${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</button>`).join('')}
+                    </div>` : ''}
+                <div class="task-actions">
+                    ${task.status === 'pending' ? 
+                        `<button class="btn-complete" data-task-id="${task.id}" data-action="complete" ${this.taskManager.isBlocked(task.id) ? 'disabled' : ''}>Complete</button>` : 
+                        `<span class="completed-badge">✅ Completed</span>
+                        <button class="btn-archive" data-task-id="${task.id}" data-action="archive">Archive</button>`
+                    }
+                    <button class="btn-edit" data-task-id="${task.id}" data-action="edit">Edit</button>
+                    <button class="btn-subtask" data-task-id="${task.id}" data-action="add-subtask">+ Subtask</button>
+                    <button class="btn-delete" data-task-id="${task.id}" data-action="delete">Delete</button>
+                </div>
+                <div class="task-meta">
+                    <small>Created: ${new Date(task.createdAt).toLocaleDateString()}</small>
+                    ${task.updatedAt ? `<small>Updated: ${new Date(task.updatedAt).toLocaleDateString()}</small>` : ''}
+                    ${task.completedAt ? `<small>Completed: ${new Date(task.completedAt).toLocaleDateString()}</small>` : ''}
+                </div>
+                ${subtasksHTML}
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for a parent task's subtask progress and collapse toggle
+     */
+    createProgressHTML(task) {
+        const progress = this.taskManager.getProgress(task.id);
+        if (progress.total === 0) {
+            return '';
+        }
+
+        const collapsed = this.collapsedTaskIds.has(task.id);
+        return `
+            <div class="task-progress">
+                <button class="btn-toggle" data-task-id="${task.id}" data-action="toggle-subtasks" aria-expanded="${!collapsed}">${collapsed ? '▸' : '▾'}</button>
+                <div class="progress-bar"><div class="progress-fill" style="width: ${progress.percentage}%"></div></div>
+                <span class="progress-label">${progress.completed}/${progress.total} done</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for the "blocked by" indicator of a pending task
+     */
+    createBlockedHTML(task) {
+        const blockers = this.taskManager.getBlockers(task.id);
+        if (blockers.length === 0) {
+            return '';
+        }
+
+        const titles = blockers.map(blocker => this.escapeHtml(blocker.title)).join(', ');
+        return `<span class="blocked-badge">⛔ Blocked by: ${titles}</span>`;
+    }
+
+    /**
+     * Describe a recurrence rule in words
+     */
+    describeRecurrence(rule) {
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        let text;
+
+        switch (rule.frequency) {
+            case 'daily':
+                text = rule.interval > 1 ? `Every ${rule.interval} days` : 'Daily';
+                break;
+            case 'weekly':
+                text = rule.weekdays.length > 0
+                    ? `Weekly on ${rule.weekdays.map(d => dayNames[d]).join(', ')}`
+                    : 'Weekly';
+                break;
+            case 'monthly':
+                text = rule.dayOfMonth ? `Monthly on day ${rule.dayOfMonth}` : 'Monthly';
+                break;
+            default:
+                text = 'Repeats';
+        }
+
+        if (rule.count) {
+            text += `, ${rule.count} times`;
+        }
+        if (rule.endDate) {
+            text += `, until ${this.formatDateKey(rule.endDate)}`;
+        }
+        return text;
+    }
+
+    /**
+     * Format a YYYY-MM-DD date key for display
+     */
+    formatDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString();
+    }
+
+    /**
+     * Create HTML for a task's due date badge
+     */
+    createDueBadgeHTML(task, isOverdue) {
+        const isDueToday = task.dueDate === this.taskManager.toDateKey(new Date());
+        const label = this.formatDateKey(task.dueDate);
+
+        if (isOverdue) {
+            return `<span class="due-badge due-overdue">⚠️ Overdue: ${label}</span>`;
+        }
+        if (isDueToday && task.status === 'pending') {
+            return `<span class="due-badge due-today">📅 Due today</span>`;
+        }
+        return `<span class="due-badge">📅 Due: ${label}</span>`;
+    }
+
+    /**
+     * Create HTML for a task in inline edit mode
+     */
+    createEditTaskHTML(task, subtasksHTML = '') {
+        const priorities = ['low', 'medium', 'high'];
+        const blockedBy = task.blockedBy || [];
+        const frequencies = { none: 'Does not repeat', daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
+        const currentFrequency = task.recurrence ? task.recurrence.frequency : 'none';
+        const otherTasks = this.taskManager.getTasks().filter(t => t.id !== task.id);
+
+        return `
+            <div class="task-item editing" data-task-id="${task.id}">
+                <div class="form-group">
+                    <label for="editTitle-${task.id}">Title:</label>
+                    <input type="text" id="editTitle-${task.id}" value="${this.escapeHtml(task.title)}">
+                </div>
+                <div class="form-group">
+                    <label for="editDescription-${task.id}">Description:</label>
+                    <textarea id="editDescription-${task.id}" rows="3">${this.escapeHtml(task.description)}</textarea>
+                </div>
+                <div class="form-group">
+                    <label for="editPriority-${task.id}">Priority:</label>
+                    <select id="editPriority-${task.id}">
+                        ${priorities.map(p => `<option value="${p}" ${p === task.priority ? 'selected' : ''}>${p.charAt(0).toUpperCase() + p.slice(1)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="editDueDate-${task.id}">Due date:</label>
+                    <input type="date" id="editDueDate-${task.id}" value="${task.dueDate || ''}">
+                </div>
+                <div class="form-group">
+                    <label for="editRecurrence-${task.id}">Repeat:</label>
+                    <select id="editRecurrence-${task.id}">
+                        ${Object.keys(frequencies).map(f => `<option value="${f}" ${f === currentFrequency ? 'selected' : ''}>${frequencies[f]}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="editTags-${task.id}">Tags:</label>
+                    <input type="text" id="editTags-${task.id}" value="${this.escapeHtml((task.tags || []).join(', '))}">
+                </div>
+                <div class="form-group">
+                    <label for="editBlockedBy-${task.id}">Blocked by:</label>
+                    <select id="editBlockedBy-${task.id}" multiple size="${Math.min(Math.max(otherTasks.length, 2), 5)}">
+                        ${otherTasks.map(t => `<option value="${t.id}" ${blockedBy.includes(t.id) ? 'selected' : ''}>${this.escapeHtml(t.title)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="task-actions">
+                    <button class="btn-complete" data-task-id="${task.id}" data-action="save-edit">Save</button>
+                    <button class="btn-cancel" data-task-id="${task.id}" data-action="cancel-edit">Cancel</button>
+                </div>
+                ${subtasksHTML}
+            </div>
+        `;
+    }
+
+    /**
+     * Update statistics display
+     */
+    updateStats() {
+        const stats = this.taskManager.getStats();
+
+        const trashButton = document.getElementById('filterTrash');
+        if (trashButton) {
+            const trashCount = this.taskManager.getTrash().length;
+            trashButton.textContent = trashCount > 0 ? `Trash (${trashCount})` : 'Trash';
+        }
+        
+        // You can add a stats section to the HTML and update it here
+        console.log('Task Statistics:', stats);
+    }
+
+    /**
+     * Clear the task form
+     */
+    clearForm() {
+        document.getElementById('taskForm').reset();
+        document.getElementById('taskPriority').value = 'medium';
+        document.getElementById('taskRecurrence').value = 'none';
+    }
+
+    /**
+     * Show notification to user
+     * @param {string} message - Notification text
+     * @param {string} type - success, error or info
+     * @param {Object} action - Optional { label, onClick } button shown in the notification
+     */
+    showNotification(message, type = 'info', action = null) {
+        // Create notification element
+        const notification = document.createElement('div');
+        notification.className = `notification notification-${type}`;
+        notification.textContent = message;
+
+        if (action) {
+            const actionButton = document.createElement('button');
+            actionButton.className = 'notification-action';
+            actionButton.textContent = action.label;
+            actionButton.addEventListener('click', () => {
+                action.onClick();
+                if (notification.parentNode) {
+                    notification.parentNode.removeChild(notification);
+                }
+            });
+            notification.appendChild(actionButton);
+        }
         
         // Style the notification
         Object.assign(notification.style, {
@@ -232,7 +1072,7 @@ class TaskManagerApp {
             notification.style.opacity = '1';
         }, 100);
 
-        // Remove after 3 seconds
+        // Remove after 3 seconds (longer when there is an action to click)
         setTimeout(() => {
             notification.style.opacity = '0';
             setTimeout(() => {
@@ -240,55 +1080,664 @@ class TaskManagerApp {
                     notification.parentNode.removeChild(notification);
                 }
             }, 300);
-        }, 3000);
+        }, action ? 6000 : 3000);
     }
 
     /**
-     * Escape HTML to prevent XSS
+     * Escape HTML to prevent XSS (also safe inside quoted attributes)
      */
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;');
     }
 
     /**
-     * Export tasks to JSON
+     * Export tasks in the format picked next to the export button
+     * @param {string} format - 'json', 'csv', 'ics', 'todotxt' or 'markdown'
      */
-    exportTasks() {
+    exportTasks(format = this.getExportFormat()) {
         const tasks = this.taskManager.getTasks();
-        const dataStr = JSON.stringify(tasks, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
-        
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(dataBlob);
-        link.download = 'tasks.json';
-        link.click();
+        let exported;
+        switch (format) {
+            case 'csv':
+                // The byte order mark makes spreadsheet apps open the file as UTF-8
+                exported = this.storageManager.exportCSV(tasks, 'tasks.csv', { bom: true });
+                break;
+            case 'ics':
+                exported = this.storageManager.exportICS(tasks);
+                break;
+            case 'todotxt':
+                exported = this.storageManager.exportTodoTxt(tasks);
+                break;
+            case 'markdown':
+                exported = this.storageManager.exportMarkdown(tasks);
+                break;
+            default:
+                // A full backup with nextId and schemaVersion, encrypted with the storage
+                // passphrase while encryption is on
+                exported = this.taskManager.exportToFile('tasks.json');
+        }
+
+        Promise.resolve(exported).then(success => {
+            if (!success) {
+                this.showNotification('Could not export tasks', 'error');
+            }
+        });
+    }
+
+    /**
+     * Get the export format picked in the UI
+     */
+    getExportFormat() {
+        const select = document.getElementById('exportFormat');
+        return select ? select.value : 'json';
     }
 
     /**
-     * Import tasks from JSON
+     * Import tasks from a JSON, CSV, iCalendar, todo.txt or Markdown file
      */
     importTasks(file) {
         const reader = new FileReader();
         reader.onload = (e) => {
-            try {
-                const tasks = JSON.parse(e.target.result);
-                this.taskManager.clearAllTasks();
-                tasks.forEach(task => {
-                    this.taskManager.addTask(task.title, task.description, task.priority);
-                    if (task.status === 'completed') {
-                        this.taskManager.completeTask(task.id);
+            const text = e.target.result;
+            this.storageManager.decryptText(text).then(
+                (decryptedText) => this.previewImportFile(file.name || '', decryptedText),
+                (error) => {
+                    if (error.code !== 'locked') {
+                        this.showNotification(error.message, 'error');
+                        return;
                     }
+                    this.showPassphraseDialog({
+                        title: 'Encrypted file',
+                        message: 'This file is encrypted. Enter the passphrase it was exported with.',
+                        submitLabel: 'Import',
+                        onSubmit: (passphrase) => this.storageManager.decryptText(text, passphrase)
+                            .then(decryptedText => this.previewImportFile(file.name || '', decryptedText))
+                    });
+                }
+            );
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Parse the (decrypted) content of an import file and show the import preview
+     */
+    previewImportFile(filename, text) {
+        let parsed;
+        try {
+            parsed = this.parseImportFile(filename, text);
+        } catch (error) {
+            this.showNotification(error instanceof SyntaxError ? 'Invalid file format' : error.message, 'error');
+            return;
+        }
+
+        const { data, notice } = parsed;
+        if (data.tasks.length === 0) {
+            this.showNotification('No tasks found in the file', 'info');
+            return;
+        }
+        if (notice) {
+            this.showNotification(notice, 'info');
+        }
+        this.reviewImportData(data);
+    }
+
+    /**
+     * Migrate, validate and optionally repair file data, then preview the import
+     * Data with errors is not previewed: the import report is shown instead, with an offer
+     * to repair the data if it has not been repaired yet.
+     * @param {Object} data - Parsed file data (see parseImportFile)
+     * @param {boolean} repair - Repair the data before validating it
+     */
+    reviewImportData(data, repair = false) {
+        const prepared = this.taskManager.prepareImportData(data, { repair });
+        const report = { ...prepared.report, repairs: prepared.repairs };
+        if (!report.valid) {
+            // Repairing cannot help data that could not even be migrated
+            const onRepair = repair || !prepared.data ? null : () => this.reviewImportData(data, true);
+            this.showImportReport(report, data, onRepair);
+            return;
+        }
+
+        this.showImportPreview(prepared.data, report);
+    }
+
+    /**
+     * Parse an import file, choosing the format from its extension
+     * @param {string} filename - Name of the file
+     * @param {string} text - File content
+     * @returns {Object} { data, notice } where data holds the tasks, nextId and schemaVersion
+     *   (see PersistentTaskManager.importParsedData) and notice is a message to show, or null
+     */
+    parseImportFile(filename, text) {
+        const match = /\.([^.]+)$/.exec(filename);
+        const extension = match ? match[1].toLowerCase() : 'json';
+        let tasks;
+        let notice = null;
+
+        switch (extension) {
+            case 'csv': {
+                const parsed = this.storageManager.csvToTasks(text);
+                tasks = parsed.tasks;
+                if (parsed.ignoredColumns.length > 0) {
+                    notice = `Ignoring unknown columns: ${parsed.ignoredColumns.join(', ')}`;
+                }
+                break;
+            }
+            case 'ics':
+                tasks = this.storageManager.icsToTasks(text);
+                break;
+            case 'txt':
+                tasks = this.storageManager.todoTxtToTasks(text);
+                break;
+            case 'md':
+            case 'markdown':
+                tasks = this.storageManager.markdownToTasks(text);
+                break;
+            default: {
+                // Accept both a plain task array (which predates schema versions) and a full backup
+                const parsed = JSON.parse(text);
+                const data = Array.isArray(parsed) ? { tasks: parsed } : parsed;
+                if (!data || !Array.isArray(data.tasks)) {
+                    throw new Error('Invalid file format');
+                }
+                return { data, notice };
+            }
+        }
+
+        // Text formats carry no nextId or schema version of their own
+        return {
+            data: {
+                tasks,
+                nextId: tasks.reduce((max, task) => Math.max(max, task.id), 0) + 1,
+                schemaVersion: this.storageManager.getCurrentSchemaVersion()
+            },
+            notice
+        };
+    }
+
+    /**
+     * Show a dialog to pick the import mode and preview what will be added, updated and skipped
+     * @param {Object} data - Migrated and repaired file data that passed validation
+     * @param {Object} report - Its import report, with the repairs made
+     */
+    showImportPreview(data, report) {
+        const { tasks, nextId } = data;
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal" role="dialog" aria-modal="true" aria-labelledby="importPreviewTitle">
+                <h2 id="importPreviewTitle">Import ${tasks.length} task${tasks.length === 1 ? '' : 's'}</h2>
+                <div class="form-group">
+                    <label for="importMode">Mode:</label>
+                    <select id="importMode">
+                        <option value="merge" selected>Merge: update tasks with the same ID, add the rest</option>
+                        <option value="append">Append: add everything as new tasks</option>
+                        <option value="replace">Replace: remove my current tasks</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="importConflict">When a task exists in both lists:</label>
+                    <select id="importConflict">
+                        <option value="newer" selected>Keep the most recently changed copy</option>
+                        <option value="local">Keep my copy</option>
+                        <option value="incoming">Use the imported copy</option>
+                    </select>
+                </div>
+                <div class="import-preview" id="importPreview"></div>
+                ${report.warningCount > 0 || report.repairs.length > 0
+                    ? `<div class="import-preview">${this.createImportReportHTML(report, data)}</div>`
+                    : ''}
+                <div class="modal-actions">
+                    <button class="btn-cancel" data-action="cancel-import">Cancel</button>
+                    <button class="btn-complete" data-action="confirm-import">Import</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        const modeSelect = overlay.querySelector('#importMode');
+        const conflictSelect = overlay.querySelector('#importConflict');
+        const getOptions = () => ({ mode: modeSelect.value, conflict: conflictSelect.value });
+        const close = () => {
+            document.removeEventListener('keydown', handleKeydown);
+            if (overlay.parentNode) {
+                overlay.parentNode.removeChild(overlay);
+            }
+        };
+        const handleKeydown = (e) => {
+            if (e.key === 'Escape') close();
+        };
+        const renderPreview = () => {
+            conflictSelect.disabled = modeSelect.value !== 'merge';
+            const plan = this.taskManager.planImport(tasks, { ...getOptions(), nextId });
+            overlay.querySelector('#importPreview').innerHTML = this.createImportPreviewHTML(plan);
+        };
+
+        modeSelect.addEventListener('change', renderPreview);
+        conflictSelect.addEventListener('change', renderPreview);
+        document.addEventListener('keydown', handleKeydown);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay || e.target.dataset.action === 'cancel-import') {
+                close();
+            } else if (e.target.dataset.action === 'confirm-import') {
+                close();
+                this.confirmImport(data, getOptions());
+            }
+        });
+
+        renderPreview();
+        modeSelect.focus();
+    }
+
+    /**
+     * Create the added/updated/skipped lists for the import preview
+     */
+    createImportPreviewHTML(plan) {
+        const section = (title, items) => items.length === 0 ? '' : `
+            <h3>${title} (${items.length})</h3>
+            <ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>
+        `;
+
+        return `
+            <p class="import-summary">
+                ${plan.added.length} to add · ${plan.updated.length} to update · ${plan.skipped.length} to skip${plan.removed.length > 0 ? ` · ${plan.removed.length} to remove` : ''}
+            </p>
+            ${section('Add', plan.added.map(task => this.escapeHtml(task.title)))}
+            ${section('Update', plan.updated.map(({ local }) => this.escapeHtml(local.title)))}
+            ${section('Skip', plan.skipped.map(({ task, reason }) => `${this.escapeHtml(task.title)} <small>${this.escapeHtml(reason)}</small>`))}
+            ${section('Remove', plan.removed.map(task => this.escapeHtml(task.title)))}
+        `;
+    }
+
+    /**
+     * Import previewed file data with the options picked in the preview
+     * @param {Object} data - Data shown in the preview (see reviewImportData)
+     * @param {Object} options - { mode, conflict }
+     */
+    confirmImport(data, options) {
+        const result = this.taskManager.importParsedData(data, options);
+        if (!result.success) {
+            this.showImportReport(result, data);
+            return;
+        }
+
+        const { added, updated, skipped } = result.changes;
+        this.showNotification(
+            `Import complete: ${added} added, ${updated} updated, ${skipped} skipped`,
+            'success',
+            { label: 'Undo', onClick: () => this.undo() }
+        );
+    }
+
+    /**
+     * Show why file data cannot be imported, task by task
+     * @param {Object} report - Import report (see PersistentTaskManager.validateImportData), with
+     *   the repairs made, if any
+     * @param {Object} data - The file data, for task titles
+     * @param {Function} onRepair - Called when the user asks to repair the data, or null if
+     *   repairing is not offered
+     */
+    showImportReport(report, data, onRepair = null) {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal" role="dialog" aria-modal="true" aria-labelledby="importReportTitle">
+                <h2 id="importReportTitle">This file cannot be imported</h2>
+                <p class="restore-hint">
+                    ${onRepair
+                        ? 'Repairing renumbers duplicate and invalid IDs, resets unknown priorities and statuses, and drops references to missing tasks.'
+                        : 'Fix these problems in the file and import it again.'}
+                </p>
+                <div class="import-preview">${this.createImportReportHTML(report, data)}</div>
+                <div class="modal-actions">
+                    <button class="btn-cancel" data-action="close-import-report">${onRepair ? 'Cancel' : 'Close'}</button>
+                    ${onRepair ? '<button class="btn-complete" data-action="repair-import">Repair</button>' : ''}
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        const close = () => {
+            document.removeEventListener('keydown', handleKeydown);
+            if (overlay.parentNode) {
+                overlay.parentNode.removeChild(overlay);
+            }
+        };
+        const handleKeydown = (e) => {
+            if (e.key === 'Escape') close();
+        };
+
+        document.addEventListener('keydown', handleKeydown);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay || e.target.dataset.action === 'close-import-report') {
+                close();
+            } else if (e.target.dataset.action === 'repair-import') {
+                close();
+                onRepair();
+            }
+        });
+    }
+
+    /**
+     * Create the error, warning and repair lists for the import report
+     */
+    createImportReportHTML(report, data) {
+        const section = (title, items) => items.length === 0 ? '' : `
+            <h3>${title} (${items.length})</h3>
+            <ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>
+        `;
+        const taskLabel = (taskIndex, taskId) => {
+            const task = data.tasks[taskIndex];
+            const title = task && typeof task.title === 'string' && task.title.trim() !== '' ? `: ${this.escapeHtml(task.title)}` : '';
+            const id = taskId != null ? ` <small>ID ${this.escapeHtml(String(taskId))}</small>` : '';
+            return `Task ${taskIndex + 1}${title}${id}`;
+        };
+        const issueList = (issues) => `<ul>${issues.map(issue => `<li>${this.escapeHtml(issue)}</li>`).join('')}</ul>`;
+
+        return `
+            <p class="import-summary">
+                ${report.errorCount} error${report.errorCount === 1 ? '' : 's'} · ${report.warningCount} warning${report.warningCount === 1 ? '' : 's'}
+            </p>
+            ${section('File', [
+                ...report.errors.map(error => this.escapeHtml(error)),
+                ...report.warnings.map(warning => `${this.escapeHtml(warning)} <small>warning</small>`)
+            ])}
+            ${section('Tasks', report.taskIssues.map(({ taskIndex, taskId, errors, warnings }) => `
+                ${taskLabel(taskIndex, taskId)}
+                ${issueList([...errors, ...warnings.map(warning => `${warning} (warning)`)])}
+            `))}
+            ${section('Repaired', (report.repairs || []).map(({ taskIndex, taskId, message }) => (
+                taskIndex === null ? this.escapeHtml(message) : `${taskLabel(taskIndex, taskId)} <small>${this.escapeHtml(message)}</small>`
+            )))}
+        `;
+    }
+
+    /**
+     * Show a dialog listing restore points, with options to compare, restore or save one
+     */
+    showRestorePoints() {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal" role="dialog" aria-modal="true" aria-labelledby="restorePointsTitle">
+                <h2 id="restorePointsTitle">Restore points</h2>
+                <p class="restore-hint">Saved before imports, before clearing all tasks and every half hour while you work.</p>
+                <ul class="restore-points" id="restorePointList"></ul>
+                <div class="import-preview" id="restorePointDiff"></div>
+                <div class="modal-actions">
+                    <button data-action="create-restore-point">Save restore point now</button>
+                    <button class="btn-cancel" data-action="close-restore-points">Close</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        const close = () => {
+            document.removeEventListener('keydown', handleKeydown);
+            if (overlay.parentNode) {
+                overlay.parentNode.removeChild(overlay);
+            }
+        };
+        const handleKeydown = (e) => {
+            if (e.key === 'Escape') close();
+        };
+        const renderList = () => Promise.resolve(this.taskManager.listRestorePoints()).then(points => {
+            overlay.querySelector('#restorePointList').innerHTML = points.length === 0
+                ? '<li class="no-tasks">No restore points yet</li>'
+                : points.map(point => this.createRestorePointHTML(point)).join('');
+        });
+
+        document.addEventListener('keydown', handleKeydown);
+        overlay.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            const id = Number(e.target.dataset.id);
+            if (e.target === overlay || action === 'close-restore-points') {
+                close();
+            } else if (action === 'create-restore-point') {
+                Promise.resolve(this.taskManager.createRestorePoint()).then(renderList);
+            } else if (action === 'compare-restore-point') {
+                Promise.resolve(this.taskManager.diffRestorePoint(id)).then(diff => {
+                    overlay.querySelector('#restorePointDiff').innerHTML = diff
+                        ? this.createRestorePointDiffHTML(diff)
+                        : '<p class="import-summary">This restore point cannot be read</p>';
                 });
-                this.renderTasks();
-                this.updateStats();
-                this.showNotification('Tasks imported successfully!', 'success');
-            } catch (error) {
-                this.showNotification('Invalid file format', 'error');
+            } else if (action === 'apply-restore-point') {
+                if (!confirm('Replace your current tasks with this restore point?')) {
+                    return;
+                }
+                close();
+                this.applyRestorePoint(id);
+            }
+        });
+
+        renderList();
+    }
+
+    /**
+     * Create a row for the restore point list
+     */
+    createRestorePointHTML(point) {
+        return `
+            <li class="restore-point">
+                <span>
+                    <strong>${this.escapeHtml(new Date(point.timestamp).toLocaleString())}</strong>
+                    <small>${this.escapeHtml(point.reason)} · ${point.taskCount} task${point.taskCount === 1 ? '' : 's'}</small>
+                </span>
+                <button data-action="compare-restore-point" data-id="${point.id}">Compare</button>
+                <button class="btn-complete" data-action="apply-restore-point" data-id="${point.id}">Restore</button>
+            </li>
+        `;
+    }
+
+    /**
+     * Describe what changed since a restore point
+     */
+    createRestorePointDiffHTML(diff) {
+        const section = (title, items) => items.length === 0 ? '' : `
+            <h3>${title} (${items.length})</h3>
+            <ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>
+        `;
+
+        return `
+            <p class="import-summary">
+                Since this point: ${diff.added.length} added · ${diff.removed.length} removed · ${diff.changed.length} changed
+            </p>
+            ${section('Added since (restoring removes these)', diff.added.map(task => this.escapeHtml(task.title)))}
+            ${section('Removed since (restoring brings these back)', diff.removed.map(task => this.escapeHtml(task.title)))}
+            ${section('Changed since', diff.changed.map(change => `${this.escapeHtml(change.title)} <small>${this.escapeHtml(change.fields.map(f => f.field).join(', '))}</small>`))}
+        `;
+    }
+
+    /**
+     * Restore a restore point and offer to undo it
+     */
+    applyRestorePoint(id) {
+        Promise.resolve(this.taskManager.restoreFromRestorePoint(id)).then(restored => {
+            if (restored) {
+                this.showNotification('Restore point applied', 'success', { label: 'Undo', onClick: () => this.undo() });
+            } else {
+                this.showNotification('Could not restore this restore point', 'error');
+            }
+        });
+    }
+
+    /**
+     * Show a dialog asking for a passphrase
+     * The dialog stays open and shows the error while onSubmit rejects.
+     * @param {Object} options - Dialog options
+     * @param {string} options.title - Dialog title
+     * @param {string} options.message - Explanation shown above the field
+     * @param {string} options.submitLabel - Label of the submit button
+     * @param {Function} options.onSubmit - Receives the passphrase and returns a Promise
+     * @param {Object} options.extraAction - Optional { label, onClick } button, e.g. to start over
+     */
+    showPassphraseDialog({ title, message, submitLabel, onSubmit, extraAction = null }) {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <form class="modal" role="dialog" aria-modal="true" aria-labelledby="passphraseTitle">
+                <h2 id="passphraseTitle">${this.escapeHtml(title)}</h2>
+                <p class="restore-hint">${this.escapeHtml(message)}</p>
+                <div class="form-group">
+                    <label for="passphraseInput">Passphrase:</label>
+                    <input type="password" id="passphraseInput" autocomplete="current-password" required>
+                </div>
+                <div class="modal-error" role="alert"></div>
+                <div class="modal-actions">
+                    ${extraAction ? `<button type="button" class="btn-cancel" data-action="extra">${this.escapeHtml(extraAction.label)}</button>` : ''}
+                    <button type="submit" class="btn-complete">${this.escapeHtml(submitLabel)}</button>
+                </div>
+            </form>
+        `;
+        document.body.appendChild(overlay);
+
+        const form = overlay.querySelector('form');
+        const input = overlay.querySelector('#passphraseInput');
+        const errorElement = overlay.querySelector('.modal-error');
+        const close = () => {
+            if (overlay.parentNode) {
+                overlay.parentNode.removeChild(overlay);
             }
         };
-        reader.readAsText(file);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            errorElement.textContent = '';
+            onSubmit(input.value).then(close, (error) => {
+                errorElement.textContent = error.message;
+                input.select();
+            });
+        });
+        if (extraAction) {
+            overlay.querySelector('[data-action="extra"]').addEventListener('click', () => {
+                if (extraAction.onClick() !== false) {
+                    close();
+                }
+            });
+        }
+
+        input.focus();
+    }
+
+    /**
+     * Ask for the passphrase of encrypted tasks and load them
+     * @param {string} message - Why the tasks are locked
+     */
+    showUnlockDialog(message) {
+        if (this.isUnlockDialogOpen) {
+            return;
+        }
+        this.isUnlockDialogOpen = true;
+
+        this.showPassphraseDialog({
+            title: 'Unlock your tasks',
+            message,
+            submitLabel: 'Unlock',
+            onSubmit: (passphrase) => this.taskManager.unlock(passphrase).then(() => {
+                this.isUnlockDialogOpen = false;
+                this.showNotification('Tasks unlocked', 'success');
+            }),
+            extraAction: {
+                label: 'Forgot passphrase',
+                onClick: () => {
+                    if (!confirm('Without the passphrase your encrypted tasks cannot be recovered. Delete them and start over?')) {
+                        return false;
+                    }
+                    this.isUnlockDialogOpen = false;
+                    Promise.resolve(this.taskManager.clearStorage()).then(() => {
+                        this.renderTasks();
+                        this.updateStats();
+                    });
+                    return true;
+                }
+            }
+        });
+    }
+
+    /**
+     * Show a dialog to turn encryption on or off, or change the passphrase
+     */
+    showEncryptionSettings() {
+        const encrypted = this.storageManager.isEncrypted();
+        const passphraseField = (id, label, autocomplete) => `
+            <div class="form-group">
+                <label for="${id}">${label}</label>
+                <input type="password" id="${id}" autocomplete="${autocomplete}">
+            </div>
+        `;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal" role="dialog" aria-modal="true" aria-labelledby="encryptionTitle">
+                <h2 id="encryptionTitle">Encryption</h2>
+                <p class="restore-hint">
+                    ${encrypted
+                        ? 'Your tasks, restore points and JSON exports are encrypted with your passphrase.'
+                        : 'Encrypt your tasks, restore points and JSON exports with a passphrase. If you forget it, your tasks cannot be recovered.'}
+                </p>
+                ${encrypted ? passphraseField('currentPassphrase', 'Current passphrase:', 'current-password') : ''}
+                ${passphraseField('newPassphrase', encrypted ? 'New passphrase:' : 'Passphrase:', 'new-password')}
+                ${passphraseField('confirmPassphrase', 'Repeat passphrase:', 'new-password')}
+                <div class="modal-error" role="alert"></div>
+                <div class="modal-actions">
+                    ${encrypted ? '<button data-action="disable-encryption">Turn off encryption</button>' : ''}
+                    <button class="btn-cancel" data-action="close-encryption">Cancel</button>
+                    <button class="btn-complete" data-action="save-encryption">${encrypted ? 'Change passphrase' : 'Encrypt'}</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        const errorElement = overlay.querySelector('.modal-error');
+        const value = (id) => {
+            const input = overlay.querySelector(`#${id}`);
+            return input ? input.value : '';
+        };
+        const close = () => {
+            document.removeEventListener('keydown', handleKeydown);
+            if (overlay.parentNode) {
+                overlay.parentNode.removeChild(overlay);
+            }
+        };
+        const handleKeydown = (e) => {
+            if (e.key === 'Escape') close();
+        };
+        const run = (change, successMessage) => {
+            errorElement.textContent = '';
+            Promise.resolve().then(change).then(() => {
+                close();
+                this.showNotification(successMessage, 'success');
+            }, (error) => {
+                errorElement.textContent = error.message;
+            });
+        };
+
+        document.addEventListener('keydown', handleKeydown);
+        overlay.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (e.target === overlay || action === 'close-encryption') {
+                close();
+            } else if (action === 'disable-encryption') {
+                run(() => this.taskManager.disableEncryption(value('currentPassphrase')), 'Encryption turned off');
+            } else if (action === 'save-encryption') {
+                if (value('newPassphrase') !== value('confirmPassphrase')) {
+                    errorElement.textContent = 'The passphrases do not match';
+                    return;
+                }
+                run(
+                    () => encrypted
+                        ? this.taskManager.changePassphrase(value('currentPassphrase'), value('newPassphrase'))
+                        : this.taskManager.enableEncryption(value('newPassphrase')),
+                    encrypted ? 'Passphrase changed' : 'Your tasks are now encrypted'
+                );
+            }
+        });
+
+        overlay.querySelector('input').focus();
     }
 }
 
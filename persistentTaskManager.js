@@ -1,225 +1,1984 @@
 /**
- * PersistentTaskManager - TaskManager with localStorage integration
- * Extends TaskManager with automatic data persistence
+ * PersistentTaskManager - TaskManager with pluggable storage
+ * Extends TaskManager with automatic data persistence. Changes saved by other tabs using the
+ * same storage key, or pulled from a sync server, are merged in and announced with a tasksSynced
+ * event; server sync progress is reported with syncStatus events. When the stored data is
+ * encrypted and no passphrase has been given, a storageLocked event asks for one (see unlock).
+ * storageQuotaWarning and storageQuotaExceeded events tell when storage is nearly or completely full.
+ * Completed tasks can be moved to an archive stored under its own key, which is only read when
+ * it is browsed, searched or changed, so the active task list stays small.
  */
 
+// Node.js environment: load what a browser gets from the earlier <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.TaskManager = require('./taskManager.js');
+    Object.assign(globalThis, require('./storageAdapters.js'), require('./storage.js'));
+}
+
 class PersistentTaskManager extends TaskManager {
-    constructor(storageKey = 'taskManagerData') {
+    /**
+     * @param {string} storageKey - Key the data is stored under
+     * @param {Object} options - Options
+     * @param {string|Object} options.adapter - Storage adapter name ('localStorage', 'indexedDB',
+     *   'memory', 'file') or instance; defaults to localStorage
+     * @param {number} options.restorePointInterval - Minimum time in ms between scheduled restore
+     *   points (default 30 minutes, 0 turns them off)
+     * @param {boolean} options.crossTabSync - Merge changes other tabs save under the same key
+     *   (default true)
+     * @param {Object} options.server - Sync server settings (see configureServerSync)
+     * @param {boolean} options.compression - Gzip stored data where that makes it smaller
+     *   (default false; see StorageManager.writeStoredValue)
+     * @param {number} options.saveDelay - Auto-save this many ms after the last of a burst of
+     *   changes instead of after every change (default 0; see setSaveDelay)
+     * @param {number} options.trashRetentionDays - Days deleted tasks stay in the trash (default
+     *   30, 0 keeps them); older ones are purged once the data has loaded, and then on the first
+     *   save after trashPurgeInterval (an hour) has passed
+     * @param {number} options.archiveAfterDays - Archive tasks completed this many days ago once the
+     *   data has loaded (default 0, which turns auto-archiving off; see archiveCompleted)
+     */
+    constructor(storageKey = 'taskManagerData', options = {}) {
         super();
-        this.storageManager = new StorageManager(storageKey);
+        this.storageManager = new StorageManager(storageKey, options.adapter);
+        this.storageManager.compression = options.compression === true;
+        this.storageQuotaState = 'ok';
+        this.archiveAfterDays = options.archiveAfterDays || 0;
+        this.isArchiving = false;
+        this.trashPurgeInterval = 60 * 60 * 1000;
+        this.lastTrashPurgeAt = 0;
+        if (options.trashRetentionDays !== undefined) {
+            this.setTrashRetention(options.trashRetentionDays);
+        }
         this.autoSave = true;
-        this.loadData();
+        this.saveDelay = 0;
+        this.saveTimer = null;
+        this.unloadListener = null;
+        this.restorePointInterval = options.restorePointInterval !== undefined ? options.restorePointInterval : 30 * 60 * 1000;
+        this.lastRestorePointAt = 0;
+        this.crossTabSync = options.crossTabSync !== false;
+        this.syncBase = this.createSnapshot();
+        this.isApplyingSync = false;
+        this.syncChannel = null;
+        this.storageListener = null;
+        this.savedElsewhere = false;
+        this.server = null;
+        this.syncState = { token: null, revisions: {}, outbox: [] };
+        this.serverSnapshot = null;
+        this.isApplyingServerChanges = false;
+        this.serverSyncPromise = null;
+        this.syncTimer = null;
+        this.onlineListener = null;
+        this.syncStatus = {
+            state: 'idle',
+            pending: 0,
+            lastSyncedAt: null,
+            lastError: null,
+            failures: 0,
+            nextRetryAt: null,
+            conflicts: 0
+        };
+
+        // Resolves once saved data is loaded (immediately for synchronous adapters)
+        let loading = this.loadData();
+        this.storageIsSynchronous = !(loading && typeof loading.then === 'function');
+        if (options.server) {
+            loading = this.storageManager.whenResolved(loading, () => this.configureServerSync(options.server));
+        }
+        this.ready = Promise.resolve(loading).then(() => {
+            this.purgeTrash();
+            return this.autoArchive();
+        });
+
+        // Every mutation (or group of mutations) ends with a single change event.
+        // Changes merged in from storage are saved by the merge itself.
+        this.on('change', () => {
+            if (!this.isApplyingSync) {
+                this.scheduleSave();
+            }
+            if (this.server) {
+                this.recordServerChanges();
+            }
+        });
+
+        if (this.crossTabSync) {
+            this.startCrossTabSync();
+        }
+        this.setSaveDelay(options.saveDelay);
+    }
+
+    /**
+     * Load data from storage on initialization
+     * Older data is backed up, migrated to the current schema and saved back. Data from a
+     * newer schema version is not loaded, and auto-save is turned off so it is not overwritten.
+     * Locked encrypted data is not loaded either (see handleStorageError).
+     * @returns {undefined|Promise} Promise that resolves once loaded, with an asynchronous adapter
+     */
+    loadData() {
+        const storageManager = this.storageManager;
+
+        return storageManager.callAdapter(() => storageManager.load(), (savedData) => {
+            if (!savedData) return;
+
+            let data;
+            try {
+                data = storageManager.migrateData(savedData);
+            } catch (error) {
+                console.error('Cannot load saved data:', error.message);
+                this.autoSave = false;
+                return;
+            }
+
+            const applyData = () => {
+                try {
+                    this.tasks = data.tasks || [];
+                    this.nextId = data.nextId || 1;
+                    this.trash = data.trash || [];
+                    this.clearHistory();
+                    this.syncBase = this.createSnapshot();
+                    console.log(`Loaded ${this.tasks.length} tasks from storage`);
+                } catch (error) {
+                    console.error('Error loading saved data:', error);
+                    this.tasks = [];
+                    this.nextId = 1;
+                    this.trash = [];
+                }
+            };
+
+            if (!storageManager.needsMigration(savedData)) {
+                applyData();
+                return;
+            }
+
+            return storageManager.whenResolved(storageManager.saveMigrationBackup(savedData), (backedUp) => {
+                applyData();
+                if (!backedUp) {
+                    console.error('Pre-migration backup failed; auto-save disabled to keep the original data');
+                    this.autoSave = false;
+                    return;
+                }
+                return this.saveData();
+            });
+        }, (error) => this.handleStorageError(error));
+    }
+
+    /**
+     * Handle an error loading from storage
+     * A storageLocked event { message } is dispatched when the data is encrypted and needs a
+     * passphrase; until unlock is called, nothing is saved (see StorageManager.writeStoredValue).
+     * @param {Error} error - Error from StorageManager.load
+     * @throws {Error} Errors other than a StorageError
+     */
+    handleStorageError(error) {
+        if (!(error instanceof StorageError)) {
+            throw error;
+        }
+
+        console.error('Cannot load saved data:', error.message);
+        if (error.code === 'locked') {
+            this.dispatch({ type: 'storageLocked', message: error.message });
+        }
+    }
+
+    /**
+     * Save data to storage
+     * With cross-tab sync on and a synchronous adapter, changes another tab saved in the meantime
+     * are merged in first (see mergeSavedData) so they are not overwritten. While other tabs' saves
+     * are announced (see startCrossTabSync), storage is only read after such an announcement.
+     * Asynchronous adapters are not read first, as later reads could then overtake the save.
+     * @returns {boolean|Promise<boolean>} True if save was successful
+     */
+    saveData() {
+        if (!this.autoSave) return;
+
+        const isListening = this.syncChannel !== null || this.storageListener !== null;
+        if (this.crossTabSync && this.storageIsSynchronous && (this.savedElsewhere || !isListening)) {
+            this.savedElsewhere = false;
+            const savedData = this.storageManager.load();
+            if (savedData && typeof savedData.then === 'function') {
+                // Storage has been encrypted since, so reading is asynchronous from now on
+                this.storageIsSynchronous = false;
+                savedData.catch(() => {});
+            } else {
+                this.mergeSavedData(savedData);
+            }
+        }
+        return this.writeData();
+    }
+
+    /**
+     * Save after a change: at once, or once saveDelay ms have passed without further changes
+     * Expired tasks are purged from the trash first, at most once every trashPurgeInterval ms.
+     * @returns {boolean|Promise<boolean>|undefined} Result of saveData when saving at once
+     */
+    scheduleSave() {
+        if (Date.now() - this.lastTrashPurgeAt >= this.trashPurgeInterval && this.purgeTrash() > 0) {
+            // The purge's own change event has scheduled the save
+            return;
+        }
+        if (this.saveDelay === 0) {
+            return this.saveData();
+        }
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveData();
+        }, this.saveDelay);
+    }
+
+    /**
+     * Write a delayed save now instead of waiting for saveDelay
+     * @returns {boolean|Promise<boolean>} True if the save was successful or no save was waiting
+     */
+    flushSave() {
+        if (!this.saveTimer) {
+            return true;
+        }
+        return this.saveData();
+    }
+
+    /**
+     * Forget a delayed save, e.g. because everything has just been written
+     */
+    cancelScheduledSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+    }
+
+    /**
+     * Set how long auto-save waits after a change, so a burst of changes is written once
+     * While a delay is set, a waiting save is flushed when the page unloads (beforeunload).
+     * Asynchronous adapters such as IndexedDB can only start that write, not wait for it.
+     * @param {number} delay - Delay in ms after the last change; 0 saves after every change
+     */
+    setSaveDelay(delay = 0) {
+        this.saveDelay = Math.max(0, Number(delay) || 0);
+
+        if (this.saveDelay === 0) {
+            this.flushSave();
+            if (this.unloadListener) {
+                window.removeEventListener('beforeunload', this.unloadListener);
+                this.unloadListener = null;
+            }
+        } else if (!this.unloadListener && typeof window !== 'undefined') {
+            this.unloadListener = () => this.flushSave();
+            window.addEventListener('beforeunload', this.unloadListener);
+        }
+    }
+
+    /**
+     * Write the current tasks to storage and tell other tabs about it
+     * Any delayed save is dropped, since this writes everything. Storage usage is checked after
+     * every save (see checkStorageQuota).
+     * @returns {boolean|Promise<boolean>} True if save was successful
+     */
+    writeData() {
+        this.cancelScheduledSave();
+        const snapshot = this.createSnapshot();
+        const dataToSave = {
+            tasks: snapshot.tasks,
+            nextId: snapshot.nextId,
+            trash: snapshot.trash,
+            lastSaved: new Date().toISOString()
+        };
+        const storageManager = this.storageManager;
+
+        return storageManager.callAdapter(() => storageManager.save(dataToSave), (success) => {
+            if (!success) {
+                console.warn(`Failed to save data to ${storageManager.adapter.name}`);
+                return success;
+            }
+
+            this.syncBase = snapshot;
+            if (this.syncChannel) {
+                this.syncChannel.postMessage({ type: 'saved' });
+            }
+            return storageManager.whenResolved(this.checkStorageQuota(), () => success);
+        }, (error) => this.handleSaveError(error));
+    }
+
+    /**
+     * Handle an error saving to storage
+     * The first failure because storage is full dispatches a storageQuotaExceeded event
+     * { message }; later ones only log until a save succeeds again.
+     * @param {Error} error - Error from StorageManager.save
+     * @returns {boolean} False
+     * @throws {Error} Errors other than a quota StorageError
+     */
+    handleSaveError(error) {
+        if (!(error instanceof StorageError) || error.code !== 'quota-exceeded') {
+            throw error;
+        }
+
+        console.warn(error.message);
+        if (this.storageQuotaState !== 'exceeded') {
+            this.storageQuotaState = 'exceeded';
+            this.dispatch({ type: 'storageQuotaExceeded', message: error.message });
+        }
+        return false;
+    }
+
+    /**
+     * Check how full storage is after a save
+     * Dispatches a storageQuotaWarning event { usagePercentage, usedSize, totalCapacity } when usage
+     * reaches storageManager.quotaWarningThreshold, once until it drops below it again.
+     * @returns {Object|Promise<Object>} Quota estimate (see StorageManager.getQuotaEstimate)
+     */
+    checkStorageQuota() {
+        return this.storageManager.whenResolved(this.storageManager.getQuotaEstimate(), (estimate) => {
+            const state = estimate.nearQuota ? 'warning' : 'ok';
+            if (state === 'warning' && this.storageQuotaState !== 'warning') {
+                this.dispatch({
+                    type: 'storageQuotaWarning',
+                    usagePercentage: estimate.usagePercentage,
+                    usedSize: estimate.usedSize,
+                    totalCapacity: estimate.totalCapacity
+                });
+            }
+            this.storageQuotaState = state;
+            return estimate;
+        });
+    }
+
+    /**
+     * Start listening for saves from other tabs
+     * Uses a BroadcastChannel where available, otherwise storage events (localStorage only).
+     * @returns {boolean} True if other tabs' saves will be picked up
+     */
+    startCrossTabSync() {
+        if (this.syncChannel || this.storageListener) {
+            return true;
+        }
+
+        const storageKey = this.storageManager.storageKey;
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.syncChannel = new BroadcastChannel(`task-manager:${storageKey}`);
+            this.syncChannel.onmessage = (event) => {
+                if (event.data && event.data.type === 'saved') {
+                    this.savedElsewhere = true;
+                    this.syncFromStorage();
+                }
+            };
+            // Do not keep Node.js processes alive just to listen
+            if (typeof this.syncChannel.unref === 'function') {
+                this.syncChannel.unref();
+            }
+            return true;
+        }
+
+        if (typeof window !== 'undefined' && this.storageManager.adapter instanceof LocalStorageAdapter) {
+            this.storageListener = (event) => {
+                if (event.key === storageKey) {
+                    this.savedElsewhere = true;
+                    this.syncFromStorage();
+                }
+            };
+            window.addEventListener('storage', this.storageListener);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Stop listening for saves from other tabs
+     */
+    stopCrossTabSync() {
+        if (this.syncChannel) {
+            this.syncChannel.close();
+            this.syncChannel = null;
+        }
+        if (this.storageListener) {
+            window.removeEventListener('storage', this.storageListener);
+            this.storageListener = null;
+        }
+    }
+
+    /**
+     * Load what other tabs saved and merge it into the current tasks
+     * Local changes that storage does not have yet are saved back.
+     * @returns {Object|null|Promise<Object|null>} Merge summary (see mergeSavedData), or null
+     *   if storage holds nothing new
+     */
+    syncFromStorage() {
+        return this.storageManager.callAdapter(() => this.storageManager.load(), (savedData) => {
+            this.savedElsewhere = false;
+            const summary = this.mergeSavedData(savedData);
+            if (summary && summary.unsaved && this.autoSave) {
+                return this.storageManager.whenResolved(this.writeData(), () => summary);
+            }
+            return summary;
+        }, (error) => {
+            this.handleStorageError(error);
+            return null;
+        });
+    }
+
+    /**
+     * Merge the data in storage into the current tasks
+     * Storage is compared with what this manager last loaded or saved, so a task changed on one
+     * side only keeps that change. When both sides changed a task, fields changed on one side are
+     * combined; a field changed differently on both sides is a conflict won by the copy changed
+     * most recently, and an edit wins over a deletion. The trash is merged too (see mergeTrash).
+     * Undo history is cleared when tasks change, since undoing would bring back the other tab's
+     * overwritten state.
+     * @param {Object|null} savedData - Data as stored
+     * @returns {Object|null} { added, updated, removed, conflicts, unsaved } or null if storage
+     *   holds nothing new, where added/updated/removed count changes to the current tasks,
+     *   conflicts lists { id, title, fields, kept: 'local' | 'saved' } (fields is null when one
+     *   side deleted the task) and unsaved is true if the merged tasks differ from storage
+     */
+    mergeSavedData(savedData) {
+        if (!savedData) {
+            return null;
+        }
+
+        let data;
+        try {
+            data = this.storageManager.migrateData(savedData);
+        } catch (error) {
+            console.error('Cannot merge saved data:', error.message);
+            return null;
+        }
+
+        const saved = { tasks: data.tasks || [], nextId: data.nextId || 1, trash: data.trash || [] };
+        if (JSON.stringify(saved) === JSON.stringify(this.syncBase)) {
+            return null;
+        }
+
+        const local = this.createSnapshot();
+        const merged = this.mergeTasks(this.syncBase, local, saved);
+        merged.trash = this.mergeTrash(this.syncBase.trash || [], local.trash, saved.trash, merged.tasks);
+        const diff = this.diffTasks(local.tasks, merged.tasks);
+        const trashChanged = JSON.stringify(merged.trash) !== JSON.stringify(local.trash);
+        const summary = {
+            added: diff.added.length,
+            updated: diff.changed.length,
+            removed: diff.removed.length,
+            conflicts: merged.conflicts,
+            unsaved: JSON.stringify(merged.tasks) !== JSON.stringify(saved.tasks) || merged.nextId !== saved.nextId ||
+                JSON.stringify(merged.trash) !== JSON.stringify(saved.trash)
+        };
+
+        this.syncBase = JSON.parse(JSON.stringify(saved));
+        const changed = summary.added + summary.updated + summary.removed > 0 || merged.nextId !== local.nextId || trashChanged;
+        if (changed || summary.conflicts.length > 0) {
+            this.isApplyingSync = true;
+            try {
+                if (changed) {
+                    this.restoreSnapshot(merged);
+                    this.clearHistory();
+                }
+                this.emit('tasksSynced', {
+                    source: 'tab',
+                    added: summary.added,
+                    updated: summary.updated,
+                    removed: summary.removed,
+                    conflicts: summary.conflicts
+                });
+            } finally {
+                this.isApplyingSync = false;
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Three-way merge of task lists by ID (see mergeSavedData)
+     * Tasks added on both sides with the same ID are both kept, and the local one is renumbered.
+     * @param {Object} base - Snapshot both sides started from
+     * @param {Object} local - Snapshot of the current tasks
+     * @param {Object} saved - Snapshot of the tasks in storage
+     * @returns {Object} { tasks, nextId, conflicts }
+     */
+    mergeTasks(base, local, saved) {
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const byId = (tasks) => new Map(tasks.map(task => [task.id, task]));
+        const highestId = (tasks) => tasks.reduce((max, task) => Math.max(max, Number(task.id) || 0), 0);
+        const baseById = byId(base.tasks);
+        const savedById = byId(saved.tasks);
+        let freshId = Math.max(local.nextId, saved.nextId, highestId(local.tasks) + 1, highestId(saved.tasks) + 1);
+
+        const idMap = new Map();
+        local.tasks.forEach(task => {
+            if (!baseById.has(task.id) && savedById.has(task.id) && !same(task, savedById.get(task.id))) {
+                idMap.set(task.id, freshId++);
+            }
+        });
+        const localTasks = this.renumberTasks(local.tasks, idMap);
+        const localById = byId(localTasks);
+
+        const tasks = [];
+        const conflicts = [];
+        const ids = new Set([...saved.tasks, ...localTasks].map(task => task.id));
+        ids.forEach(id => {
+            const original = baseById.get(id);
+            const mine = localById.get(id);
+            const theirs = savedById.get(id);
+            let kept = mine;
+
+            if (!same(original, theirs) && !same(mine, theirs)) {
+                if (same(original, mine)) {
+                    kept = theirs;
+                } else if (!mine || !theirs) {
+                    kept = mine || theirs;
+                    conflicts.push({ id, title: kept.title, fields: null, kept: mine ? 'local' : 'saved' });
+                } else {
+                    const keepMine = this.getLastChangedTime(mine) > this.getLastChangedTime(theirs);
+                    const before = original || {};
+                    const fields = [];
+                    kept = {};
+                    new Set([...Object.keys(theirs), ...Object.keys(mine)]).forEach(field => {
+                        let value;
+                        if (same(mine[field], before[field])) {
+                            value = theirs[field];
+                        } else if (same(theirs[field], before[field]) || same(mine[field], theirs[field])) {
+                            value = mine[field];
+                        } else {
+                            value = keepMine ? mine[field] : theirs[field];
+                            if (field !== 'updatedAt') {
+                                fields.push(field);
+                            }
+                        }
+                        if (value !== undefined) {
+                            kept[field] = value;
+                        }
+                    });
+                    if (fields.length > 0) {
+                        conflicts.push({ id, title: kept.title, fields, kept: keepMine ? 'local' : 'saved' });
+                    }
+                }
+            }
+            if (kept) {
+                tasks.push(kept);
+            }
+        });
+
+        return { tasks, nextId: freshId, conflicts };
+    }
+
+    /**
+     * Three-way merge of the trash by ID (see mergeSavedData)
+     * A task trashed on either side is kept, while one that has left the trash on either side
+     * (restored, emptied or purged) stays out, as do tasks back in the merged task list.
+     * Each side numbers its trash keys on its own, so deletions that got the same key are renumbered.
+     * @param {Array} base - Trash both sides started from
+     * @param {Array} local - Current trash
+     * @param {Array} saved - Trash in storage
+     * @param {Array} tasks - Merged tasks
+     * @returns {Array} Merged trash
+     */
+    mergeTrash(base, local, saved, tasks) {
+        const baseIds = new Set(base.map(task => task.id));
+        const localIds = new Set(local.map(task => task.id));
+        const savedIds = new Set(saved.map(task => task.id));
+        const taskIds = new Set(tasks.map(task => task.id));
+        const trash = new Map();
+
+        [...saved, ...local].forEach(task => {
+            const left = baseIds.has(task.id) && (!localIds.has(task.id) || !savedIds.has(task.id));
+            if (!left && !taskIds.has(task.id)) {
+                trash.set(task.id, task);
+            }
+        });
+
+        const merged = [...trash.values()];
+        const deletedAtByKey = new Map();
+        const rekeyed = new Map();
+        let freshKey = merged.reduce((max, task) => Math.max(max, task.trashKey || 0), 0) + 1;
+        return merged.map(task => {
+            if (task.trashKey == null) {
+                return task;
+            }
+            if (!deletedAtByKey.has(task.trashKey)) {
+                deletedAtByKey.set(task.trashKey, task.deletedAt);
+            }
+            if (deletedAtByKey.get(task.trashKey) === task.deletedAt) {
+                return task;
+            }
+            const group = `${task.trashKey}|${task.deletedAt}`;
+            if (!rekeyed.has(group)) {
+                rekeyed.set(group, freshKey++);
+            }
+            return { ...task, trashKey: rekeyed.get(group) };
+        });
+    }
+
+    /**
+     * Give tasks new IDs, updating references to them
+     * @param {Array} tasks - Tasks (not modified)
+     * @param {Map} idMap - New ID for each old ID
+     * @returns {Array} Tasks with copies where anything changed (the same array if idMap is empty)
+     */
+    renumberTasks(tasks, idMap) {
+        if (idMap.size === 0) {
+            return tasks;
+        }
+
+        const remap = (id) => (idMap.has(id) ? idMap.get(id) : id);
+        return tasks.map(task => {
+            const copy = { ...task, id: remap(task.id) };
+            if (copy.parentId != null) copy.parentId = remap(copy.parentId);
+            if (Array.isArray(copy.blockedBy)) copy.blockedBy = copy.blockedBy.map(remap);
+            if (copy.nextOccurrenceId != null) copy.nextOccurrenceId = remap(copy.nextOccurrenceId);
+            return copy;
+        });
+    }
+
+    /**
+     * Get when a task was last changed, for settling conflicts
+     * @param {Object} task - Task
+     * @returns {number} Milliseconds since the epoch, or 0 if the task has no timestamps
+     */
+    getLastChangedTime(task) {
+        return Date.parse(task.updatedAt || task.completedAt || task.createdAt) || 0;
+    }
+
+    /**
+     * Enable or disable auto-save
+     * @param {boolean} enabled - Whether to enable auto-save
+     */
+    setAutoSave(enabled) {
+        this.autoSave = enabled;
+        if (enabled) {
+            this.saveData();
+        }
+    }
+
+    /**
+     * Force save data to storage, including changes waiting for saveDelay
+     * @returns {boolean|Promise<boolean>} True if save was successful
+     */
+    forceSave() {
+        return this.saveData();
+    }
+
+    /**
+     * Create a backup of current data
+     * @returns {Object|Promise<Object>} Backup data
+     */
+    createBackup() {
+        return this.storageManager.createBackup();
+    }
+
+    /**
+     * Restore data from backup
+     * @param {Object} backup - Backup data
+     * @returns {boolean|Promise<boolean>} True if restore was successful
+     * @throws {StorageError} 'quota-exceeded' if storage is full
+     */
+    restoreFromBackup(backup) {
+        return this.storageManager.whenResolved(this.storageManager.restoreFromBackup(backup), (success) => {
+            if (!success) {
+                return false;
+            }
+            return this.storageManager.whenResolved(this.loadData(), () => true);
+        });
+    }
+
+    /**
+     * Take a restore point of the current tasks
+     * @param {string} reason - Shown in the restore point list
+     * @returns {Object|null|Promise<Object|null>} { id, timestamp, reason, taskCount } or null on error
+     */
+    createRestorePoint(reason = 'Manual') {
+        this.lastRestorePointAt = Date.now();
+        return this.storageManager.saveRestorePoint(this.createSnapshot(), reason);
+    }
+
+    /**
+     * Take a restore point before a change, unless there is nothing to protect
+     * @param {string} reason - Shown in the restore point list
+     * @returns {Object|null|Promise<Object|null>} See createRestorePoint
+     */
+    createAutomaticRestorePoint(reason) {
+        if (this.tasks.length === 0) {
+            this.lastRestorePointAt = Date.now();
+            return null;
+        }
+        return this.createRestorePoint(reason);
+    }
+
+    /**
+     * List restore points, newest first
+     * @returns {Array|Promise<Array>} { id, timestamp, reason, taskCount } for each restore point
+     */
+    listRestorePoints() {
+        return this.storageManager.listRestorePoints();
+    }
+
+    /**
+     * Compare a restore point with the current tasks
+     * @param {number} id - Restore point ID
+     * @returns {Object|null|Promise<Object|null>} Changes since the restore point (see diffTasks),
+     *   or null if it does not exist or cannot be read
+     */
+    diffRestorePoint(id) {
+        return this.storageManager.whenResolved(this.storageManager.loadRestorePoint(id), (point) => {
+            const data = this.readRestorePoint(point);
+            return data ? this.diffTasks(data.tasks, this.tasks) : null;
+        });
+    }
+
+    /**
+     * Replace the current tasks with a restore point
+     * A restore point of the current tasks is taken first, and the restore can be undone.
+     * @param {number} id - Restore point ID
+     * @returns {boolean|Promise<boolean>} True if the restore point was applied
+     */
+    restoreFromRestorePoint(id) {
+        const storageManager = this.storageManager;
+
+        return storageManager.whenResolved(storageManager.loadRestorePoint(id), (point) => {
+            const data = this.readRestorePoint(point);
+            if (!data) {
+                return false;
+            }
+
+            return storageManager.whenResolved(this.createAutomaticRestorePoint('Before restore'), () => {
+                this.withHistory('Restore backup', () => {
+                    this.restoreSnapshot({ tasks: data.tasks || [], nextId: data.nextId || 1, trash: data.trash });
+                    this.emit('tasksRestored', { action: 'restorePoint', label: point.reason, restorePointId: point.id });
+                });
+                return true;
+            });
+        });
+    }
+
+    /**
+     * Get the data of a restore point in the current schema
+     * @param {Object|null} point - Restore point
+     * @returns {Object|null} Data with tasks and nextId, or null if missing or unreadable
+     */
+    readRestorePoint(point) {
+        if (!point) {
+            console.error('Restore point not found');
+            return null;
+        }
+
+        try {
+            return this.storageManager.migrateData(point.data);
+        } catch (error) {
+            console.error('Cannot read restore point:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Compare two task lists by ID
+     * @param {Array} before - Earlier tasks
+     * @param {Array} after - Later tasks
+     * @returns {Object} { added, removed, changed, unchanged } where added and removed list tasks,
+     *   changed lists { id, title, fields: [{ field, before, after }] } and unchanged is a count
+     */
+    diffTasks(before, after) {
+        const beforeById = new Map(before.map(task => [task.id, task]));
+        const afterIds = new Set(after.map(task => task.id));
+        const diff = {
+            added: after.filter(task => !beforeById.has(task.id)),
+            removed: before.filter(task => !afterIds.has(task.id)),
+            changed: [],
+            unchanged: 0
+        };
+
+        after.filter(task => beforeById.has(task.id)).forEach(task => {
+            const previous = beforeById.get(task.id);
+            const fields = [...new Set([...Object.keys(previous), ...Object.keys(task)])]
+                .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(task[field]))
+                .map(field => ({ field, before: previous[field], after: task[field] }));
+
+            if (fields.length > 0) {
+                diff.changed.push({ id: task.id, title: task.title, fields });
+            } else {
+                diff.unchanged++;
+            }
+        });
+
+        return diff;
+    }
+
+    /**
+     * Clear all tasks, taking a restore point first
+     */
+    clearAllTasks() {
+        this.createAutomaticRestorePoint('Before clearing all tasks');
+        super.clearAllTasks();
+    }
+
+    /**
+     * Import task records (see TaskManager.importTasks), taking a restore point first
+     */
+    importTasks(tasks, nextId = null, options = {}) {
+        this.createAutomaticRestorePoint('Before import');
+        return super.importTasks(tasks, nextId, options);
+    }
+
+    /**
+     * Take a scheduled restore point before the first change of a session, and then before
+     * changes at most once every restorePointInterval
+     * @param {string} label - Description of the mutation
+     * @returns {Object|null} The undo entry (see TaskManager.recordHistory)
+     */
+    recordHistory(label) {
+        if (this.historyGroupDepth === 0 && this.restorePointInterval > 0 &&
+            Date.now() - this.lastRestorePointAt >= this.restorePointInterval) {
+            this.createAutomaticRestorePoint('Scheduled');
+        }
+        return super.recordHistory(label);
+    }
+
+    /**
+     * Permanently delete tasks that have been in the trash longer than trashRetentionDays
+     * (see TaskManager.purgeTrash), noting when for the purge scheduleSave runs
+     * @param {Date} now - Reference time (defaults to now)
+     * @returns {number} Number of tasks deleted
+     */
+    purgeTrash(now = new Date()) {
+        this.lastTrashPurgeAt = Date.now();
+        return super.purgeTrash(now);
+    }
+
+    /**
+     * Move a completed task and its subtasks to the archive
+     * @param {number} id - Task ID
+     * @returns {boolean|Promise<boolean>} True if the task was archived
+     * @throws {Error} If the task or one of its subtasks is not completed; StorageError if the
+     *   archive cannot be read or is full (rejects with an asynchronous adapter)
+     */
+    archiveTask(id) {
+        const task = this.getTaskById(id);
+        if (!task) {
+            return false;
+        }
+        if ([task, ...this.getDescendants(id)].some(t => t.status !== 'completed')) {
+            throw new Error('Only completed tasks can be archived');
+        }
+
+        return this.storageManager.whenResolved(this.moveToArchive([id]), (count) => count > 0);
+    }
+
+    /**
+     * Archive every task completed more than the given number of days ago
+     * Subtasks go with their parent, so only top-level tasks whose subtasks are all completed
+     * are archived.
+     * @param {number} days - Minimum age in days since completion (0 archives every completed task)
+     * @param {Date} now - Reference time (defaults to now)
+     * @returns {number|Promise<number>} Number of tasks archived, including subtasks
+     * @throws {StorageError} If the archive cannot be read or is full (rejects with an asynchronous adapter)
+     */
+    archiveCompleted(days = 0, now = new Date()) {
+        const ids = this.getArchivableTasks(days, now).map(task => task.id);
+        if (ids.length === 0) {
+            return 0;
+        }
+        return this.moveToArchive(ids);
+    }
+
+    /**
+     * Get the top-level tasks archiveCompleted would archive
+     * @param {number} days - Minimum age in days since completion
+     * @param {Date} now - Reference time
+     * @returns {Array} Tasks
+     */
+    getArchivableTasks(days, now) {
+        const cutoff = now.getTime() - days * 24 * 60 * 60 * 1000;
+        return this.tasks.filter(task =>
+            task.status === 'completed' &&
+            (task.parentId == null || !this.getTaskById(task.parentId)) &&
+            Date.parse(task.completedAt) <= cutoff &&
+            this.getDescendants(task.id).every(t => t.status === 'completed')
+        );
+    }
+
+    /**
+     * Archive tasks completed archiveAfterDays ago, if auto-archiving is on
+     * Errors are logged rather than thrown, so loading never fails because of the archive.
+     * @returns {number|Promise<number>} Number of tasks archived
+     */
+    autoArchive() {
+        if (this.archiveAfterDays <= 0) {
+            return 0;
+        }
+
+        try {
+            const archived = this.archiveCompleted(this.archiveAfterDays);
+            return archived && typeof archived.then === 'function'
+                ? archived.catch((error) => { console.error('Cannot archive completed tasks:', error.message); return 0; })
+                : archived;
+        } catch (error) {
+            console.error('Cannot archive completed tasks:', error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Move tasks and their subtasks from the task list to the archive
+     * Archived tasks get an archivedAt timestamp and an archiveKey shared by everything archived
+     * together. The archive is read and written before the tasks leave the list, so nothing is lost if
+     * that fails. The tasks are also taken out of the undo history, so undo cannot bring them back
+     * into the list while they are in the archive.
+     * @param {Array<number>} ids - IDs of the tasks to archive
+     * @returns {number|Promise<number>} Number of tasks archived, including subtasks
+     */
+    moveToArchive(ids) {
+        const storageManager = this.storageManager;
+
+        return storageManager.whenResolved(storageManager.loadArchive(), (archived) => {
+            const archivedIds = [...new Set(ids.flatMap(id => [id, ...this.getDescendants(id).map(t => t.id)]))]
+                .filter(id => this.getTaskById(id));
+            if (archivedIds.length === 0) {
+                return 0;
+            }
+
+            const archivedAt = new Date().toISOString();
+            const archiveKey = archived.reduce((max, task) => Math.max(max, task.archiveKey || 0), 0) + 1;
+            const tasks = this.tasks
+                .filter(task => archivedIds.includes(task.id))
+                .map(task => ({ ...JSON.parse(JSON.stringify(task)), archivedAt, archiveKey }));
+
+            return storageManager.whenResolved(storageManager.saveArchive([...archived, ...tasks]), (saved) => {
+                if (!saved) {
+                    return 0;
+                }
+
+                this.isArchiving = true;
+                try {
+                    this.tasks = this.tasks.filter(task => !archivedIds.includes(task.id));
+                    this.tasks.forEach(task => {
+                        if (task.blockedBy && task.blockedBy.some(id => archivedIds.includes(id))) {
+                            task.blockedBy = task.blockedBy.filter(id => !archivedIds.includes(id));
+                        }
+                    });
+                    const archivedKeys = tasks.map(task => `${task.id}|${task.createdAt}`);
+                    this.updateHistory((snapshot) => {
+                        const removed = snapshot.tasks.filter(task => archivedKeys.includes(`${task.id}|${task.createdAt}`)).map(task => task.id);
+                        snapshot.tasks = snapshot.tasks.filter(task => !removed.includes(task.id));
+                        snapshot.tasks.forEach(task => {
+                            task.blockedBy = (task.blockedBy || []).filter(id => !removed.includes(id));
+                        });
+                    });
+                    this.emit('tasksArchived', { archivedIds });
+                } finally {
+                    this.isArchiving = false;
+                }
+                return archivedIds.length;
+            });
+        });
+    }
+
+    /**
+     * Get the archived tasks, most recently archived first
+     * The archive is read from storage on every call and never kept in memory.
+     * @returns {Array|Promise<Array>} Archived tasks, each with an archivedAt timestamp
+     */
+    getArchive() {
+        return this.storageManager.whenResolved(this.storageManager.loadArchive(), (archived) =>
+            archived.sort((a, b) => (b.archivedAt || '').localeCompare(a.archivedAt || '')));
+    }
+
+    /**
+     * Search the archived tasks with the search syntax of search()
+     * @param {string} query - Search query
+     * @returns {Array|Promise<Array>} Matching archived tasks, best match first
+     * @throws {Error} If the query has a syntax error
+     */
+    searchArchive(query) {
+        // Report syntax errors before reading anything, even with an asynchronous adapter
+        this.parseSearchQuery(query);
+
+        return this.storageManager.whenResolved(this.storageManager.loadArchive(), (archived) => {
+            const archive = new TaskManager();
+            archive.tasks = archived;
+            return archive.search(query);
+        });
+    }
+
+    /**
+     * Move an archived task back to the task list, along with the subtasks archived with it
+     * See TaskManager.reinsertTasks for how parents, dependencies and taken IDs are handled.
+     * @param {number} id - ID of the archived task
+     * @param {number} archiveKey - archiveKey of the entry, for when the archive holds several tasks
+     *   with this ID (defaults to the most recently archived one)
+     * @returns {Object|null|Promise<Object|null>} The restored task, or null if it is not archived
+     */
+    restoreFromArchive(id, archiveKey = null) {
+        const storageManager = this.storageManager;
+
+        return storageManager.whenResolved(storageManager.loadArchive(), (archived) => {
+            const task = [...archived].reverse().find(t => t.id === id && (archiveKey == null || t.archiveKey === archiveKey));
+            if (!task) {
+                return null;
+            }
+
+            const archivedTogether = (t) => t.archiveKey === task.archiveKey && t.archivedAt === task.archivedAt;
+            const restoring = [task];
+            for (let i = 0; i < restoring.length; i++) {
+                archived
+                    .filter(t => t.parentId === restoring[i].id && archivedTogether(t) && !restoring.includes(t))
+                    .forEach(t => restoring.push(t));
+            }
+
+            const remaining = archived.filter(t => !restoring.includes(t));
+            return storageManager.whenResolved(storageManager.saveArchive(remaining), (saved) => {
+                if (!saved) {
+                    return null;
+                }
+
+                restoring.forEach(t => {
+                    delete t.archivedAt;
+                    delete t.archiveKey;
+                });
+                const restoredIds = this.reinsertTasks(restoring);
+
+                // Add the tasks to the undo history too, or undo would lose them now that they are
+                // out of the archive; steps where one of their IDs belongs to another task are dropped
+                const exists = (snapshot, taskId) => restoredIds.includes(taskId) || snapshot.tasks.some(t => t.id === taskId);
+                this.updateHistory((snapshot) => {
+                    if (snapshot.tasks.some(t => restoredIds.includes(t.id))) {
+                        return false;
+                    }
+                    snapshot.tasks.push(...restoring.map(t => ({
+                        ...JSON.parse(JSON.stringify(t)),
+                        parentId: exists(snapshot, t.parentId) ? t.parentId : null,
+                        blockedBy: (t.blockedBy || []).filter(taskId => exists(snapshot, taskId))
+                    })));
+                    snapshot.nextId = Math.max(snapshot.nextId, ...restoredIds.map(taskId => taskId + 1));
+                    return true;
+                });
+                this.emit('taskUnarchived', { task, restoredIds });
+                return task;
+            });
+        });
+    }
+
+    /**
+     * Export all data to file, encrypted while storage is encrypted or when a passphrase is given
+     * @param {string} filename - Name of the export file
+     * @param {Object} options - See StorageManager.exportData
+     * @returns {boolean|Promise<boolean>} True if export was successful; a Promise when encrypting
+     */
+    exportToFile(filename = 'task-manager-backup.json', options = {}) {
+        const dataToExport = {
+            tasks: this.tasks,
+            nextId: this.nextId,
+            exportedAt: new Date().toISOString(),
+            version: '1.0.0',
+            schemaVersion: this.storageManager.getCurrentSchemaVersion()
+        };
+
+        return this.storageManager.exportData(dataToExport, filename, options);
+    }
+
+    /**
+     * Import data from file, migrating it from older schema versions
+     * Every record is validated first and nothing is imported if there are errors.
+     * @param {File} file - File to import
+     * @param {Object} options - Import options
+     * @param {boolean} options.repair - Fix what can safely be fixed before validating (see repairImportData)
+     * @param {string} options.mode - 'replace' (default), 'append' or 'merge' (see planImport)
+     * @param {string} options.conflict - 'newer' (default), 'local' or 'incoming' (see planImport)
+     * @param {string} options.passphrase - Passphrase of an encrypted file
+     * @returns {Promise<Object>} Validation report (see validateImportData) plus
+     *   success (true if the tasks were imported), repairs (list of changes made), errorCode
+     *   (the StorageError code if an encrypted file could not be decrypted) and, on success,
+     *   changes ({ added, updated, skipped, removed } counts)
+     */
+    async importFromFile(file, { passphrase = null, ...options } = {}) {
+        let importedData;
+        try {
+            importedData = await this.storageManager.importData(file, passphrase);
+        } catch (error) {
+            if (!(error instanceof StorageError)) {
+                throw error;
+            }
+            return { ...this.createImportReport([error.message]), success: false, repairs: [], errorCode: error.code };
+        }
+        if (!importedData) {
+            return { ...this.createImportReport(['File could not be read as JSON']), success: false, repairs: [] };
+        }
+
+        return this.importParsedData(importedData, options);
+    }
+
+    /**
+     * Export tasks as a CSV file
+     * @param {string} filename - Name of the file
+     * @param {Object} options - CSV options (see StorageManager.tasksToCSV)
+     * @returns {boolean} True if export was successful
+     */
+    exportToCSV(filename = 'tasks.csv', options = {}) {
+        return this.storageManager.exportCSV(this.tasks, filename, options);
+    }
+
+    /**
+     * Import tasks from a CSV file, validated the same way as importFromFile
+     * @param {File} file - File to import
+     * @param {Object} options - importFromFile options plus delimiter and columnMap (see StorageManager.csvToTasks)
+     * @returns {Promise<Object>} Same report as importFromFile, plus ignoredColumns
+     */
+    async importFromCSV(file, { delimiter = null, columnMap = {}, ...options } = {}) {
+        let parsed;
+        try {
+            parsed = this.storageManager.csvToTasks(await file.text(), { delimiter, columnMap });
+        } catch (error) {
+            return { ...this.createImportReport([error.message]), success: false, repairs: [], ignoredColumns: [] };
+        }
+
+        const data = {
+            tasks: parsed.tasks,
+            nextId: parsed.tasks.reduce((max, task) => Math.max(max, task.id), 0) + 1,
+            schemaVersion: this.storageManager.getCurrentSchemaVersion()
+        };
+        const report = this.importParsedData(data, options);
+        return { ...report, ignoredColumns: parsed.ignoredColumns };
     }
 
     /**
-     * Load data from localStorage on initialization
+     * Export tasks as an iCalendar file of VTODO components
+     * @param {string} filename - Name of the file
+     * @returns {boolean} True if export was successful
      */
-    loadData() {
-        const savedData = this.storageManager.load();
-        if (savedData) {
-            try {
-                this.tasks = savedData.tasks || [];
-                this.nextId = savedData.nextId || 1;
-                console.log(`Loaded ${this.tasks.length} tasks from storage`);
-            } catch (error) {
-                console.error('Error loading saved data:', error);
-                this.tasks = [];
-                this.nextId = 1;
-            }
+    exportToICS(filename = 'tasks.ics') {
+        return this.storageManager.exportICS(this.tasks, filename);
+    }
+
+    /**
+     * Import the VTODO components of an iCalendar file, validated the same way as importFromFile
+     * @param {File} file - File to import
+     * @param {Object} options - See importFromFile
+     * @returns {Promise<Object>} Same report as importFromFile
+     */
+    async importFromICS(file, options = {}) {
+        return this.importTextFile(file, text => this.storageManager.icsToTasks(text), options);
+    }
+
+    /**
+     * Export tasks as a todo.txt file
+     * @param {string} filename - Name of the file
+     * @returns {boolean} True if export was successful
+     */
+    exportToTodoTxt(filename = 'todo.txt') {
+        return this.storageManager.exportTodoTxt(this.tasks, filename);
+    }
+
+    /**
+     * Import a todo.txt file, validated the same way as importFromFile
+     * @param {File} file - File to import
+     * @param {Object} options - See importFromFile
+     * @returns {Promise<Object>} Same report as importFromFile
+     */
+    async importFromTodoTxt(file, options = {}) {
+        return this.importTextFile(file, text => this.storageManager.todoTxtToTasks(text), options);
+    }
+
+    /**
+     * Export tasks as a Markdown checklist
+     * @param {string} filename - Name of the file
+     * @returns {boolean} True if export was successful
+     */
+    exportToMarkdown(filename = 'tasks.md') {
+        return this.storageManager.exportMarkdown(this.tasks, filename);
+    }
+
+    /**
+     * Import a Markdown checklist, validated the same way as importFromFile
+     * @param {File} file - File to import
+     * @param {Object} options - See importFromFile
+     * @returns {Promise<Object>} Same report as importFromFile
+     */
+    async importFromMarkdown(file, options = {}) {
+        return this.importTextFile(file, text => this.storageManager.markdownToTasks(text), options);
+    }
+
+    /**
+     * Parse a text file into task records and import them
+     * @param {File} file - File to import
+     * @param {Function} parse - Turns the file text into task records
+     * @param {Object} options - See importFromFile
+     * @returns {Promise<Object>} Same report as importFromFile
+     */
+    async importTextFile(file, parse, options) {
+        let tasks;
+        try {
+            tasks = parse(await file.text());
+        } catch (error) {
+            return { ...this.createImportReport([error.message]), success: false, repairs: [] };
         }
+
+        return this.importParsedData({
+            tasks,
+            nextId: tasks.reduce((max, task) => Math.max(max, task.id), 0) + 1,
+            schemaVersion: this.storageManager.getCurrentSchemaVersion()
+        }, options);
     }
 
     /**
-     * Save data to localStorage
+     * Migrate, optionally repair, validate and import parsed file data
+     * @param {Object} importedData - Data with a tasks array and optional nextId
+     * @param {Object} options - See importFromFile
+     * @returns {Object} See importFromFile
      */
-    saveData() {
-        if (!this.autoSave) return;
+    importParsedData(importedData, { repair = false, mode = 'replace', conflict = 'newer' } = {}) {
+        const { data, report, repairs } = this.prepareImportData(importedData, { repair });
+        if (!report.valid) {
+            console.error(`Import rejected: ${report.errorCount} error(s) found`);
+            return { ...report, success: false, repairs };
+        }
 
-        const dataToSave = {
-            tasks: this.tasks,
-            nextId: this.nextId,
-            lastSaved: new Date().toISOString()
+        let plan;
+        try {
+            plan = this.planImport(data.tasks, { mode, conflict, nextId: data.nextId });
+            this.importTasks(data.tasks, data.nextId, { mode, conflict });
+        } catch (error) {
+            return { ...this.createImportReport([error.message], [], [], data.tasks.length), success: false, repairs };
+        }
+
+        const changes = {
+            added: plan.added.length,
+            updated: plan.updated.length,
+            skipped: plan.skipped.length,
+            removed: plan.removed.length
         };
+        return { ...report, success: true, repairs, changes };
+    }
 
-        const success = this.storageManager.save(dataToSave);
-        if (!success) {
-            console.warn('Failed to save data to localStorage');
+    /**
+     * Migrate, optionally repair, and validate parsed file data without importing it, e.g. to
+     * preview the import
+     * @param {Object} importedData - Data with a tasks array and optional nextId (not modified)
+     * @param {Object} options - { repair } (see importFromFile)
+     * @returns {Object} { data, report, repairs } where data is what importParsedData would import
+     *   (null if it could not be migrated), report is the validation report (see validateImportData)
+     *   and repairs lists the changes made
+     */
+    prepareImportData(importedData, { repair = false } = {}) {
+        let data = importedData;
+        let repairs = [];
+        try {
+            if (data && Array.isArray(data.tasks)) {
+                data = this.storageManager.migrateData(data);
+            }
+            if (repair) {
+                ({ data, repairs } = this.repairImportData(data));
+            }
+        } catch (error) {
+            return { data: null, report: this.createImportReport([error.message]), repairs };
         }
-        return success;
+
+        return { data, report: this.validateImportData(data), repairs };
     }
 
     /**
-     * Override addTask to include auto-save
+     * Validate data before importing it
+     * Builds on getDataIntegrityReport: dangling dependency and parent references are
+     * warnings, every other integrity issue is an error. nextId must exceed every task ID.
+     * @param {Object} data - Data with a tasks array and optional nextId
+     * @returns {Object} { valid, totalTasks, errorCount, warningCount, errors, warnings, taskIssues }
+     *   where errors/warnings apply to the whole file and taskIssues lists
+     *   { taskIndex, taskId, errors, warnings } for every task with a problem
      */
-    addTask(title, description = '', priority = 'medium') {
-        const task = super.addTask(title, description, priority);
-        this.saveData();
-        return task;
+    validateImportData(data) {
+        if (!data || !Array.isArray(data.tasks)) {
+            return this.createImportReport(['Invalid data structure: expected a tasks array']);
+        }
+
+        const warningIssues = ['Dependency on missing task', 'Orphaned subtask (parent not found)'];
+        const integrity = this.getDataIntegrityReport(data.tasks);
+        const taskIssues = integrity.issues.map(({ taskIndex, taskId, issues }) => ({
+            taskIndex,
+            taskId,
+            errors: issues.filter(issue => !warningIssues.includes(issue)),
+            warnings: issues.filter(issue => warningIssues.includes(issue))
+        }));
+
+        const errors = [];
+        const warnings = [];
+        const maxId = data.tasks.reduce((max, task) => Math.max(max, Number(task && task.id) || 0), 0);
+        if (data.nextId == null) {
+            warnings.push('nextId is missing and will be computed from the highest task ID');
+        } else if (!Number.isInteger(data.nextId) || data.nextId <= maxId) {
+            errors.push(`nextId (${data.nextId}) must be an integer greater than the highest task ID (${maxId})`);
+        }
+
+        return this.createImportReport(errors, warnings, taskIssues, data.tasks.length);
     }
 
     /**
-     * Override completeTask to include auto-save
+     * Build an import report and its totals
+     * @returns {Object} Import report
      */
-    completeTask(id) {
-        const result = super.completeTask(id);
-        if (result) {
-            this.saveData();
-        }
-        return result;
+    createImportReport(errors, warnings = [], taskIssues = [], totalTasks = 0) {
+        const errorCount = errors.length + taskIssues.reduce((sum, issue) => sum + issue.errors.length, 0);
+        const warningCount = warnings.length + taskIssues.reduce((sum, issue) => sum + issue.warnings.length, 0);
+
+        return {
+            valid: errorCount === 0,
+            totalTasks,
+            errorCount,
+            warningCount,
+            errors,
+            warnings,
+            taskIssues
+        };
     }
 
     /**
-     * Override deleteTask to include auto-save
+     * Fix import data where that is safe to do automatically
+     * Renumbers missing and duplicate IDs, normalises priority and status, drops references
+     * to missing tasks and recomputes nextId. Tasks without a title are left for validation to reject.
+     * @param {Object} data - Data with a tasks array (not modified)
+     * @returns {Object} { data, repairs } where repairs lists { taskIndex, taskId, message }
      */
-    deleteTask(id) {
-        const result = super.deleteTask(id);
-        if (result) {
-            this.saveData();
+    repairImportData(data) {
+        if (!data || !Array.isArray(data.tasks)) {
+            return { data, repairs: [] };
+        }
+
+        const repaired = JSON.parse(JSON.stringify(data));
+        const repairs = [];
+        const note = (taskIndex, task, message) => repairs.push({ taskIndex, taskId: task.id, message });
+        const isValidId = (id) => Number.isInteger(id) && id > 0;
+        const isTask = (task) => task && typeof task === 'object';
+        let maxId = repaired.tasks.reduce((max, task) => Math.max(max, isTask(task) && isValidId(task.id) ? task.id : 0), 0);
+
+        // IDs: the first task keeps a duplicated ID, later ones are renumbered
+        const seenIds = new Set();
+        repaired.tasks.forEach((task, index) => {
+            if (!isTask(task)) return;
+            if (!isValidId(task.id) || seenIds.has(task.id)) {
+                const oldId = task.id;
+                task.id = ++maxId;
+                note(index, task, isValidId(oldId)
+                    ? `Renumbered duplicate ID ${oldId} to ${task.id}`
+                    : `Assigned ID ${task.id} in place of invalid ID ${JSON.stringify(oldId)}`);
+            }
+            seenIds.add(task.id);
+        });
+
+        repaired.tasks.forEach((task, index) => {
+            if (!isTask(task)) return;
+            const priority = typeof task.priority === 'string' ? task.priority.trim().toLowerCase() : '';
+            const normalizedPriority = ['low', 'medium', 'high'].includes(priority) ? priority : 'medium';
+            if (task.priority !== normalizedPriority) {
+                note(index, task, `Priority ${JSON.stringify(task.priority)} set to "${normalizedPriority}"`);
+                task.priority = normalizedPriority;
+            }
+
+            const status = typeof task.status === 'string' ? task.status.trim().toLowerCase() : '';
+            const normalizedStatus = ['pending', 'completed'].includes(status)
+                ? status
+                : (task.completedAt ? 'completed' : 'pending');
+            if (task.status !== normalizedStatus) {
+                note(index, task, `Status ${JSON.stringify(task.status)} set to "${normalizedStatus}"`);
+                task.status = normalizedStatus;
+            }
+
+            if (Array.isArray(task.blockedBy)) {
+                const existing = task.blockedBy.filter(id => seenIds.has(id) && id !== task.id);
+                if (existing.length !== task.blockedBy.length) {
+                    note(index, task, 'Removed dependencies on missing tasks');
+                    task.blockedBy = existing;
+                }
+            }
+
+            if (task.parentId != null && (task.parentId === task.id || !seenIds.has(task.parentId))) {
+                note(index, task, `Removed invalid parent ${task.parentId}`);
+                task.parentId = null;
+            }
+        });
+
+        if (!Number.isInteger(repaired.nextId) || repaired.nextId <= maxId) {
+            repairs.push({ taskIndex: null, taskId: null, message: `Set nextId to ${maxId + 1}` });
+            repaired.nextId = maxId + 1;
         }
-        return result;
+
+        return { data: repaired, repairs };
     }
 
     /**
-     * Override clearAllTasks to include auto-save
+     * Get storage information
+     * @returns {Object|Promise<Object>} Storage usage statistics
      */
-    clearAllTasks() {
-        super.clearAllTasks();
-        this.saveData();
+    getStorageInfo() {
+        return this.storageManager.getStorageInfo();
     }
 
     /**
-     * Enable or disable auto-save
-     * @param {boolean} enabled - Whether to enable auto-save
+     * Clear all data from storage, including restore points and the server sync state
+     * @returns {boolean|Promise<boolean>} True if clear was successful
      */
-    setAutoSave(enabled) {
-        this.autoSave = enabled;
-        if (enabled) {
-            this.saveData();
+    clearStorage() {
+        const storageManager = this.storageManager;
+        this.cancelScheduledSave();
+
+        return storageManager.whenResolved(storageManager.clear(), (success) => {
+            if (!success) {
+                return false;
+            }
+            this.tasks = [];
+            this.nextId = 1;
+            this.trash = [];
+            this.clearHistory();
+            this.syncBase = this.createSnapshot();
+            this.serverSnapshot = this.server ? this.createSnapshot() : null;
+            this.syncState = { token: null, revisions: {}, outbox: [] };
+            return storageManager.whenResolved(storageManager.clearRestorePoints(), (cleared) =>
+                storageManager.whenResolved(storageManager.clearSyncState(), (syncCleared) =>
+                    storageManager.whenResolved(storageManager.clearArchive(), (archiveCleared) => cleared && syncCleared && archiveCleared)));
+        });
+    }
+
+    /**
+     * Unlock encrypted storage and load the tasks saved in it
+     * Emits storageUnlocked once the tasks are loaded.
+     * @param {string} passphrase - Passphrase the data was encrypted with
+     * @returns {Promise<boolean>} True once unlocked
+     * @throws {StorageError} 'wrong-passphrase' if the passphrase is wrong
+     */
+    async unlock(passphrase) {
+        await this.storageManager.unlock(passphrase);
+        await this.loadData();
+        this.purgeTrash();
+        await this.autoArchive();
+        if (this.server) {
+            // The sync state could not be read while locked
+            await this.configureServerSync(this.server);
         }
+        this.emit('storageUnlocked', { taskCount: this.tasks.length });
+        return true;
     }
 
     /**
-     * Force save data to localStorage
-     * @returns {boolean} True if save was successful
+     * Encrypt everything stored with a passphrase (see StorageManager.enableEncryption)
+     * @param {string} passphrase - New passphrase
+     * @returns {Promise<boolean>} True once the stored data is encrypted
      */
-    forceSave() {
-        return this.saveData();
+    async enableEncryption(passphrase) {
+        await this.storageManager.enableEncryption(passphrase);
+        return this.rewriteStoredData();
     }
 
     /**
-     * Create a backup of current data
-     * @returns {Object} Backup data
+     * Re-encrypt everything stored with a new passphrase (see StorageManager.changePassphrase)
+     * @param {string} currentPassphrase - Passphrase in use
+     * @param {string} newPassphrase - Passphrase to use from now on
+     * @returns {Promise<boolean>} True once the stored data is re-encrypted
      */
-    createBackup() {
-        return this.storageManager.createBackup();
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        await this.storageManager.changePassphrase(currentPassphrase, newPassphrase);
+        return this.rewriteStoredData();
     }
 
     /**
-     * Restore data from backup
-     * @param {Object} backup - Backup data
-     * @returns {boolean} True if restore was successful
+     * Store everything unencrypted again (see StorageManager.disableEncryption)
+     * @param {string} passphrase - Passphrase in use
+     * @returns {Promise<boolean>} True once the stored data is decrypted
      */
-    restoreFromBackup(backup) {
-        const success = this.storageManager.restoreFromBackup(backup);
-        if (success) {
-            this.loadData();
+    async disableEncryption(passphrase) {
+        await this.storageManager.disableEncryption(passphrase);
+        return this.rewriteStoredData();
+    }
+
+    /**
+     * Save the current tasks and sync state after the encryption changed
+     * Saves made while the stored data was being rewritten may have been overwritten by it.
+     * @returns {Promise<boolean>} True if saved
+     */
+    async rewriteStoredData() {
+        const saved = this.autoSave ? await this.writeData() : true;
+        if (this.server) {
+            await this.storageManager.saveSyncState(this.syncState);
         }
-        return success;
+        return saved;
     }
 
     /**
-     * Export all data to file
-     * @param {string} filename - Name of the export file
-     * @returns {boolean} True if export was successful
+     * Turn on sync with a REST server (see syncWithServer)
+     * @param {Object} settings - Server settings
+     * @param {string} settings.endpoint - Base URL; requests go to <endpoint>/changes
+     * @param {Function} settings.fetch - fetch implementation (defaults to the global fetch)
+     * @param {Object} settings.headers - Extra request headers, e.g. Authorization
+     * @param {string} settings.conflict - 'newer' (default), 'local' or 'server' (see keepsLocalVersion)
+     * @param {number} settings.syncDelay - Sync this many ms after a change (default 2000, 0 syncs
+     *   only when syncWithServer is called)
+     * @param {number} settings.retryDelay - Delay before the first retry after a failure in ms,
+     *   doubled on each further failure (default 1000, 0 turns retries off)
+     * @param {number} settings.maxRetryDelay - Longest delay between retries in ms (default 5 minutes)
+     * @returns {undefined|Promise} Promise that resolves once the sync state is loaded, with an asynchronous adapter
+     * @throws {Error} If the endpoint or conflict policy is invalid
      */
-    exportToFile(filename = 'task-manager-backup.json') {
-        const dataToExport = {
-            tasks: this.tasks,
-            nextId: this.nextId,
-            exportedAt: new Date().toISOString(),
-            version: '1.0.0'
+    configureServerSync(settings = {}) {
+        if (!settings.endpoint || typeof settings.endpoint !== 'string') {
+            throw new Error('A sync server endpoint is required');
+        }
+        const conflict = settings.conflict || 'newer';
+        if (!['newer', 'local', 'server'].includes(conflict)) {
+            throw new Error(`Invalid conflict policy "${conflict}"`);
+        }
+
+        this.stopServerSync();
+        this.server = {
+            endpoint: settings.endpoint.replace(/\/+$/, ''),
+            fetch: settings.fetch || ((url, init) => fetch(url, init)),
+            headers: settings.headers || {},
+            conflict,
+            syncDelay: settings.syncDelay !== undefined ? settings.syncDelay : 2000,
+            retryDelay: settings.retryDelay !== undefined ? settings.retryDelay : 1000,
+            maxRetryDelay: settings.maxRetryDelay !== undefined ? settings.maxRetryDelay : 5 * 60 * 1000
         };
+        this.serverSnapshot = this.createSnapshot();
+
+        if (typeof window !== 'undefined') {
+            this.onlineListener = () => this.syncWithServer();
+            window.addEventListener('online', this.onlineListener);
+        }
 
-        return this.storageManager.exportData(dataToExport, filename);
+        return this.storageManager.whenResolved(this.storageManager.loadSyncState(), (state) => {
+            // Changes recorded while the state was loading are queued again on top of it
+            const recorded = this.syncState.outbox;
+            if (state) {
+                this.syncState = {
+                    token: state.token || null,
+                    revisions: state.revisions || {},
+                    outbox: state.outbox || []
+                };
+            }
+            recorded.forEach(entry => this.queueServerChange(entry.id, entry.action));
+            this.updateSyncStatus({});
+        });
     }
 
     /**
-     * Import data from file
-     * @param {File} file - File to import
-     * @returns {Promise<boolean>} True if import was successful
+     * Turn server sync off and cancel any scheduled sync or retry
+     * The outbox is kept, and is sent once configureServerSync is called again.
      */
-    async importFromFile(file) {
-        const importedData = await this.storageManager.importData(file);
-        if (!importedData) {
+    stopServerSync() {
+        clearTimeout(this.syncTimer);
+        this.syncTimer = null;
+        if (this.onlineListener) {
+            window.removeEventListener('online', this.onlineListener);
+            this.onlineListener = null;
+        }
+        this.server = null;
+    }
+
+    /**
+     * Sync with the server set up by configureServerSync
+     * Sends the outbox of changes made since the last sync, settling conflicts per the conflict
+     * policy, then pulls the changes other clients made since the last sync token. Network errors
+     * and 408, 429 and 5xx responses are retried with exponential backoff. Protocol:
+     *   POST <endpoint>/changes { changes: [{ id, action: 'put' | 'delete', baseRevision, task }] }
+     *     -> { results: [{ id, status: 'ok', revision } | { id, status: 'conflict', revision, task }] }
+     *   GET <endpoint>/changes?since=<token>
+     *     -> { changes: [{ id, revision, task }], token }
+     * where revision counts the server's versions of a task and task is null once deleted.
+     * Nothing is synced while storage is locked.
+     * @returns {Promise<boolean>} True if sync was successful
+     */
+    async syncWithServer() {
+        if (!this.server) {
+            console.warn('Server sync is not configured');
+            return false;
+        }
+        if (this.storageManager.isLocked) {
+            console.warn('Cannot sync with the server while storage is locked');
             return false;
         }
 
+        if (!this.serverSyncPromise) {
+            this.serverSyncPromise = this.runServerSync().finally(() => {
+                this.serverSyncPromise = null;
+            });
+        }
+        return this.serverSyncPromise;
+    }
+
+    /**
+     * Run one sync (see syncWithServer)
+     * @returns {Promise<boolean>} True if sync was successful
+     */
+    async runServerSync() {
+        clearTimeout(this.syncTimer);
+        this.syncTimer = null;
+        this.collectServerChanges();
+        this.updateSyncStatus({ state: 'syncing' });
+
         try {
-            // Validate imported data structure
-            if (importedData.tasks && Array.isArray(importedData.tasks)) {
-                this.tasks = importedData.tasks;
-                this.nextId = importedData.nextId || this.tasks.length + 1;
-                this.saveData();
-                return true;
-            } else {
-                console.error('Invalid data structure in imported file');
-                return false;
+            // Entries kept after a conflict are sent again with the server's revision
+            let conflicts = 0;
+            for (let round = 0; round < 3 && this.syncState.outbox.length > 0; round++) {
+                conflicts += await this.pushServerChanges();
+            }
+            await this.pullServerChanges();
+            await this.storageManager.saveSyncState(this.syncState);
+
+            this.updateSyncStatus({
+                state: 'idle',
+                lastSyncedAt: new Date().toISOString(),
+                lastError: null,
+                failures: 0,
+                nextRetryAt: null,
+                conflicts
+            });
+            if (this.syncState.outbox.length > 0 && this.server && this.server.syncDelay > 0) {
+                this.scheduleServerSync(this.server.syncDelay);
             }
+            return true;
         } catch (error) {
-            console.error('Error importing data:', error);
+            console.error('Server sync failed:', error.message);
+            await this.storageManager.saveSyncState(this.syncState);
+
+            const failures = this.syncStatus.failures + 1;
+            const retryable = !error.status || error.status === 408 || error.status === 429 || error.status >= 500;
+            const delay = retryable && this.server ? this.getRetryDelay(failures) : 0;
+            if (delay > 0) {
+                this.scheduleServerSync(delay);
+            }
+            this.updateSyncStatus({
+                state: error.status ? 'error' : 'offline',
+                lastError: error.message,
+                failures,
+                nextRetryAt: delay > 0 ? new Date(Date.now() + delay).toISOString() : null
+            });
             return false;
         }
     }
 
     /**
-     * Get storage information
-     * @returns {Object} Storage usage statistics
+     * Send the outbox and settle the server's answers
+     * @returns {Promise<number>} Number of conflicts
      */
-    getStorageInfo() {
-        return this.storageManager.getStorageInfo();
+    async pushServerChanges() {
+        const sent = [...this.syncState.outbox];
+        const changes = sent.map(entry => {
+            const task = entry.action === 'put' ? this.getTaskById(entry.id) : null;
+            return { id: entry.id, action: task ? 'put' : 'delete', baseRevision: entry.baseRevision, task };
+        });
+        const { results } = await this.requestServer('POST', '/changes', { changes });
+
+        const serverTasks = new Map();
+        const idMap = new Map();
+        let freshId = Math.max(this.nextId, this.tasks.reduce((max, task) => Math.max(max, task.id), 0) + 1);
+        let conflicts = 0;
+
+        results.forEach(result => {
+            const index = sent.findIndex(entry => entry.id === result.id);
+            if (index === -1) return;
+
+            const entry = sent[index];
+            const local = this.getTaskById(entry.id);
+            const remote = result.task || null;
+            if (result.status === 'ok') {
+                this.settleServerChange(entry, result.revision, changes[index].action === 'put');
+            } else if (JSON.stringify(local) === JSON.stringify(remote)) {
+                this.settleServerChange(entry, result.revision, remote !== null);
+            } else if (entry.baseRevision === 0 && local && remote) {
+                // Another client created a different task with the same ID: take theirs, renumber ours
+                idMap.set(entry.id, freshId++);
+                serverTasks.set(entry.id, remote);
+                this.settleServerChange(entry, result.revision, true);
+            } else if (this.keepsLocalVersion(local, remote)) {
+                conflicts++;
+                const current = this.syncState.outbox.find(outboxEntry => outboxEntry.id === entry.id);
+                if (current) {
+                    current.baseRevision = result.revision;
+                }
+            } else {
+                conflicts++;
+                serverTasks.set(entry.id, remote);
+                this.settleServerChange(entry, result.revision, remote !== null);
+            }
+        });
+
+        if (serverTasks.size > 0 || idMap.size > 0) {
+            this.applyServerChanges(serverTasks, idMap);
+        }
+        return conflicts;
     }
 
     /**
-     * Clear all data from localStorage
-     * @returns {boolean} True if clear was successful
+     * Pull the changes made on the server since the last sync token
+     * Tasks still waiting in the outbox are left alone; sending them settles any conflict.
+     * @returns {Promise} Resolves once the changes are applied
      */
-    clearStorage() {
-        const success = this.storageManager.clear();
-        if (success) {
-            this.tasks = [];
-            this.nextId = 1;
+    async pullServerChanges() {
+        const since = this.syncState.token ? `?since=${encodeURIComponent(this.syncState.token)}` : '';
+        const { changes, token } = await this.requestServer('GET', `/changes${since}`);
+        const revisions = this.syncState.revisions;
+        const serverTasks = new Map();
+
+        changes.forEach(({ id, revision, task }) => {
+            if (revision <= (revisions[id] || 0) || this.syncState.outbox.some(entry => entry.id === id)) {
+                return;
+            }
+            serverTasks.set(id, task || null);
+            if (task) {
+                revisions[id] = revision;
+            } else {
+                delete revisions[id];
+            }
+        });
+
+        if (serverTasks.size > 0) {
+            this.applyServerChanges(serverTasks);
         }
-        return success;
+        this.syncState.token = token;
     }
 
     /**
-     * Sync data with server (placeholder for future implementation)
-     * @returns {Promise<boolean>} True if sync was successful
+     * Record the server's revision for a sent change and take it out of the outbox
+     * If the task changed again while the change was on its way, the newer outbox entry is
+     * rebased on that revision instead.
+     * @param {Object} entry - Outbox entry that was sent
+     * @param {number} revision - Server revision of the task
+     * @param {boolean} exists - False if the task is deleted on the server
      */
-    async syncWithServer() {
-        // Placeholder for future server sync implementation
-        console.log('Server sync not implemented yet');
-        return false;
+    settleServerChange(entry, revision, exists) {
+        const revisions = this.syncState.revisions;
+        if (exists) {
+            revisions[entry.id] = revision;
+        } else {
+            delete revisions[entry.id];
+        }
+
+        const outbox = this.syncState.outbox;
+        const index = outbox.findIndex(outboxEntry => outboxEntry.id === entry.id);
+        if (index === -1) return;
+        if (outbox[index] === entry) {
+            outbox.splice(index, 1);
+        } else {
+            outbox[index].baseRevision = exists ? revision : 0;
+        }
+    }
+
+    /**
+     * Decide a conflict between a local change and the server's copy of a task
+     * Policies: 'local' keeps the local change, 'server' takes the server's copy, and 'newer'
+     * keeps the copy changed most recently, with an edit winning over a deletion.
+     * @param {Object|null} local - Local task, or null if deleted locally
+     * @param {Object|null} remote - Server's task, or null if deleted on the server
+     * @returns {boolean} True if the local change should be sent again
+     */
+    keepsLocalVersion(local, remote) {
+        if (this.server.conflict !== 'newer') {
+            return this.server.conflict === 'local';
+        }
+        if (!local || !remote) {
+            return local !== null;
+        }
+        return this.getLastChangedTime(local) > this.getLastChangedTime(remote);
+    }
+
+    /**
+     * Apply tasks from the server without adding them to the outbox
+     * Undo history is cleared, since undoing would overwrite the server's changes.
+     * @param {Map} serverTasks - Task (or null to delete it) for each task ID
+     * @param {Map} idMap - New IDs for local tasks whose ID the server gave to another task
+     */
+    applyServerChanges(serverTasks, idMap = new Map()) {
+        const before = this.tasks;
+        const tasks = this.renumberTasks(before, idMap);
+
+        // Renumbered tasks and the tasks referring to them are sent as new changes
+        idMap.forEach((newId, oldId) => {
+            this.syncState.outbox = this.syncState.outbox.filter(entry => entry.id !== oldId);
+        });
+        tasks.forEach((task, index) => {
+            if (task !== before[index] && JSON.stringify(task) !== JSON.stringify(before[index])) {
+                this.queueServerChange(task.id, 'put');
+            }
+        });
+
+        serverTasks.forEach((task, id) => {
+            const index = tasks.findIndex(existing => existing.id === id);
+            if (task && index !== -1) {
+                tasks[index] = task;
+            } else if (task) {
+                tasks.push(task);
+            } else if (index !== -1) {
+                tasks.splice(index, 1);
+            }
+        });
+
+        const diff = this.diffTasks(before, tasks);
+        const highestId = tasks.reduce((max, task) => Math.max(max, task.id), 0);
+        this.isApplyingServerChanges = true;
+        try {
+            this.restoreSnapshot({ tasks, nextId: Math.max(this.nextId, highestId + 1) });
+            this.clearHistory();
+            this.emit('tasksSynced', {
+                source: 'server',
+                added: diff.added.length,
+                updated: diff.changed.length,
+                removed: diff.removed.length,
+                conflicts: []
+            });
+        } finally {
+            this.isApplyingServerChanges = false;
+        }
+    }
+
+    /**
+     * Call the sync server
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below the endpoint
+     * @param {Object} body - JSON body, if any
+     * @returns {Promise<Object>} Parsed JSON response
+     * @throws {Error} With a status property if the server answered with an error or invalid JSON
+     */
+    async requestServer(method, path, body = null) {
+        const response = await this.server.fetch(`${this.server.endpoint}${path}`, {
+            method,
+            headers: { ...(body ? { 'Content-Type': 'application/json' } : {}), ...this.server.headers },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        let error = null;
+        if (!response.ok) {
+            error = new Error(`Sync server responded with ${response.status}`);
+        } else {
+            try {
+                return await response.json();
+            } catch (parseError) {
+                error = new Error('Sync server sent an invalid response');
+            }
+        }
+        error.status = response.status;
+        throw error;
+    }
+
+    /**
+     * Add the tasks changed since the last change event to the outbox, save it and schedule a sync
+     */
+    recordServerChanges() {
+        if (!this.collectServerChanges()) {
+            return;
+        }
+
+        this.storageManager.saveSyncState(this.syncState);
+        this.updateSyncStatus({});
+        if (this.server.syncDelay > 0 && this.syncStatus.failures === 0 && !this.serverSyncPromise) {
+            this.scheduleServerSync(this.server.syncDelay);
+        }
+    }
+
+    /**
+     * Queue every task that changed since the last call, plus tasks the server has never seen
+     * Changes applied from the server itself are not queued.
+     * @returns {boolean} True if the outbox changed
+     */
+    collectServerChanges() {
+        const snapshot = this.createSnapshot();
+        const previous = this.serverSnapshot || snapshot;
+        this.serverSnapshot = snapshot;
+        if (this.isApplyingServerChanges) {
+            return false;
+        }
+
+        const outbox = this.syncState.outbox;
+        const before = JSON.stringify(outbox);
+        const diff = this.diffTasks(previous.tasks, snapshot.tasks);
+        diff.added.concat(diff.changed).forEach(task => this.queueServerChange(task.id, 'put'));
+        // Archived tasks stay on the server; they have only left this device's active list
+        if (!this.isArchiving) {
+            diff.removed.forEach(task => this.queueServerChange(task.id, 'delete'));
+        }
+        this.tasks
+            .filter(task => !this.syncState.revisions[task.id] && !outbox.some(entry => entry.id === task.id))
+            .forEach(task => this.queueServerChange(task.id, 'put'));
+
+        return JSON.stringify(this.syncState.outbox) !== before;
+    }
+
+    /**
+     * Put a change in the outbox, replacing any earlier change to the same task
+     * @param {number} id - Task ID
+     * @param {string} action - 'put' or 'delete'
+     */
+    queueServerChange(id, action) {
+        const outbox = this.syncState.outbox;
+        const index = outbox.findIndex(entry => entry.id === id);
+        const baseRevision = index === -1 ? this.syncState.revisions[id] || 0 : outbox[index].baseRevision;
+        const entry = { id, action, baseRevision };
+
+        if (index === -1) {
+            outbox.push(entry);
+        } else {
+            outbox[index] = entry;
+        }
+    }
+
+    /**
+     * Sync after a delay, replacing any sync already scheduled
+     * @param {number} delay - Delay in ms
+     */
+    scheduleServerSync(delay) {
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => {
+            this.syncTimer = null;
+            this.syncWithServer();
+        }, delay);
+    }
+
+    /**
+     * Get the delay before retrying after a number of failed syncs
+     * @param {number} failures - Failed syncs in a row
+     * @returns {number} Delay in ms (0 if retries are off)
+     */
+    getRetryDelay(failures) {
+        const { retryDelay, maxRetryDelay } = this.server;
+        return retryDelay > 0 ? Math.min(retryDelay * 2 ** (failures - 1), maxRetryDelay) : 0;
+    }
+
+    /**
+     * Get the server sync status
+     * @returns {Object} { state: 'idle' | 'syncing' | 'offline' | 'error', pending, lastSyncedAt,
+     *   lastError, failures, nextRetryAt, conflicts } where pending counts outbox entries and
+     *   conflicts counts those settled in the last successful sync
+     */
+    getSyncStatus() {
+        return { ...this.syncStatus };
+    }
+
+    /**
+     * Update the sync status and tell syncStatus listeners
+     * The event does not count as a change, so nothing is saved or re-rendered.
+     * @param {Object} changes - Status fields to change
+     */
+    updateSyncStatus(changes) {
+        this.syncStatus = { ...this.syncStatus, ...changes, pending: this.syncState.outbox.length };
+        this.dispatch({ type: 'syncStatus', ...this.syncStatus });
     }
 
     /**
      * Get data integrity report
+     * @param {Array} tasks - Tasks to check (defaults to the current tasks)
      * @returns {Object} Data integrity information
      */
-    getDataIntegrityReport() {
+    getDataIntegrityReport(tasks = this.tasks) {
         const report = {
-            totalTasks: this.tasks.length,
+            totalTasks: tasks.length,
             validTasks: 0,
             invalidTasks: 0,
             issues: []
         };
+        const seenIds = new Set();
 
-        this.tasks.forEach((task, index) => {
+        tasks.forEach((task, index) => {
             const issues = [];
+
+            if (!task || typeof task !== 'object') {
+                report.invalidTasks++;
+                report.issues.push({ taskIndex: index, taskId: undefined, issues: ['Not a task object'] });
+                return;
+            }
             
             if (!task.id || typeof task.id !== 'number') {
                 issues.push('Invalid or missing ID');
+            } else if (seenIds.has(task.id)) {
+                issues.push('Duplicate ID');
             }
+            seenIds.add(task.id);
             if (!task.title || typeof task.title !== 'string') {
                 issues.push('Invalid or missing title');
             }
@@ -229,6 +1988,16 @@ class PersistentTaskManager extends TaskManager {
             if (!task.status || !['pending', 'completed'].includes(task.status)) {
                 issues.push('Invalid status');
             }
+            if (task.blockedBy && task.blockedBy.some(id => !tasks.some(t => t && t.id === id))) {
+                issues.push('Dependency on missing task');
+            }
+            if (task.parentId != null) {
+                if (task.parentId === task.id) {
+                    issues.push('Task is its own parent');
+                } else if (!tasks.some(t => t && t.id === task.parentId)) {
+                    issues.push('Orphaned subtask (parent not found)');
+                }
+            }
 
             if (issues.length === 0) {
                 report.validTasks++;
@@ -245,3 +2014,8 @@ class PersistentTaskManager extends TaskManager {
         return report;
     }
 }
+
+// Node.js environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PersistentTaskManager;
+}
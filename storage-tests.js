@@ -1,43 +1,108 @@
 /**
  * Test suite for StorageManager and PersistentTaskManager
- * Tests localStorage functionality and data persistence
+ * Tests every storage adapter and data persistence
  */
 
+// Node.js environment: load what a browser gets from the earlier <script> tags
+if (typeof window === 'undefined') {
+    globalThis.PersistentTaskManager = require('./persistentTaskManager.js');
+    Object.assign(globalThis, require('./storageAdapters.js'), require('./storage.js'));
+}
+
 class StorageTests {
     constructor() {
-        this.storageManager = new StorageManager('test-storage');
-        this.persistentTaskManager = new PersistentTaskManager('test-persistent');
+        this.adapterTypes = ['localStorage', 'indexedDB', 'memory', 'file'];
+        this.adapter = null;
         this.testResults = [];
     }
 
     /**
-     * Run all storage tests
+     * Run all storage tests once for each adapter available in this environment
      */
-    runAllTests() {
+    async runAllTests() {
         console.log('🧪 Running Storage Tests...\n');
         
-        this.testStorageAvailability();
-        this.testSaveAndLoad();
-        this.testDataIntegrity();
-        this.testExportImport();
-        this.testBackupRestore();
-        this.testPersistentTaskManager();
-        this.testErrorHandling();
+        for (const type of this.adapterTypes) {
+            this.adapter = this.createAdapter(type);
+            if (!this.adapter.isAvailable()) {
+                console.log(`⏭️  Skipping ${this.adapter.name} tests (not available in this environment)\n`);
+                continue;
+            }
+            
+            console.log(`📦 Testing with the ${this.adapter.name} adapter...\n`);
+            this.storageManager = new StorageManager('test-storage', this.adapter);
+            this.persistentTaskManager = await this.createManager('test-persistent');
+            
+            await this.testStorageAvailability();
+            await this.testSaveAndLoad();
+            await this.testDataIntegrity();
+            await this.testSubtaskIntegrity();
+            await this.testExportImport();
+            await this.testBackupRestore();
+            await this.testPersistentTaskManager();
+            await this.testMigrations();
+            await this.testImportValidation();
+            await this.testCSV();
+            await this.testICS();
+            await this.testPlainTextFormats();
+            await this.testRestorePoints();
+            await this.testCrossTabSync();
+            await this.testServerSync();
+            await this.testEncryption();
+            await this.testStorageQuota();
+            await this.testBatchedSaves();
+            await this.testTrash();
+            await this.testArchive();
+            await this.testErrorHandling();
+            await this.cleanup();
+        }
         
         this.printResults();
-        this.cleanup();
+    }
+
+    /**
+     * Create a fresh adapter of the given type
+     */
+    createAdapter(type) {
+        if (type === 'file' && typeof require === 'function') {
+            // Keep test files out of the working directory
+            return new FileStorageAdapter(require('path').join(require('os').tmpdir(), 'task-manager-storage-tests'));
+        }
+        return createStorageAdapter(type);
+    }
+
+    /**
+     * Path to export a test file to: under Node.js exports are written to disk, so keep them
+     * out of the working directory too
+     */
+    exportPath(filename) {
+        if (typeof document !== 'undefined' || typeof require !== 'function') {
+            return filename;
+        }
+        const directory = require('path').join(require('os').tmpdir(), 'task-manager-storage-tests');
+        require('fs').mkdirSync(directory, { recursive: true });
+        return require('path').join(directory, filename);
+    }
+
+    /**
+     * Create a PersistentTaskManager on the current adapter and wait for it to load
+     */
+    async createManager(storageKey, options = {}) {
+        const manager = new PersistentTaskManager(storageKey, { ...options, adapter: this.adapter });
+        await manager.ready;
+        return manager;
     }
 
     /**
      * Test storage availability
      */
-    testStorageAvailability() {
+    async testStorageAvailability() {
         console.log('Testing storage availability...');
         
         const isAvailable = this.storageManager.isAvailable;
-        this.assert(isAvailable === true, 'localStorage should be available');
+        this.assert(isAvailable === true, 'Storage should be available');
         
-        const storageInfo = this.storageManager.getStorageInfo();
+        const storageInfo = await this.storageManager.getStorageInfo();
         this.assert(storageInfo.available === true, 'Storage info should indicate availability');
         
         console.log('✅ Storage availability tests passed\n');
@@ -46,7 +111,7 @@ class StorageTests {
     /**
      * Test save and load functionality
      */
-    testSaveAndLoad() {
+    async testSaveAndLoad() {
         console.log('Testing save and load...');
         
         const testData = {
@@ -59,20 +124,20 @@ class StorageTests {
         };
 
         // Test save
-        const saveResult = this.storageManager.save(testData);
+        const saveResult = await this.storageManager.save(testData);
         this.assert(saveResult === true, 'Save should return true');
 
         // Test load
-        const loadedData = this.storageManager.load();
+        const loadedData = await this.storageManager.load();
         this.assert(loadedData !== null, 'Loaded data should not be null');
         this.assert(loadedData.tasks.length === 2, 'Should load correct number of tasks');
         this.assert(loadedData.nextId === 3, 'Should load correct nextId');
 
         // Test clear
-        const clearResult = this.storageManager.clear();
+        const clearResult = await this.storageManager.clear();
         this.assert(clearResult === true, 'Clear should return true');
 
-        const clearedData = this.storageManager.load();
+        const clearedData = await this.storageManager.load();
         this.assert(clearedData === null, 'Data should be null after clear');
 
         console.log('✅ Save and load tests passed\n');
@@ -81,7 +146,7 @@ class StorageTests {
     /**
      * Test data integrity
      */
-    testDataIntegrity() {
+    async testDataIntegrity() {
         console.log('Testing data integrity...');
         
         const testData = {
@@ -93,8 +158,8 @@ class StorageTests {
             nextId: 4
         };
 
-        this.storageManager.save(testData);
-        this.persistentTaskManager.loadData();
+        await this.storageManager.save(testData);
+        await this.persistentTaskManager.loadData();
         
         const integrityReport = this.persistentTaskManager.getDataIntegrityReport();
         this.assert(integrityReport.totalTasks === 3, 'Should report correct total tasks');
@@ -105,10 +170,32 @@ class StorageTests {
         console.log('✅ Data integrity tests passed\n');
     }
 
+    /**
+     * Test integrity checks for subtasks
+     */
+    async testSubtaskIntegrity() {
+        console.log('Testing subtask integrity...');
+        
+        const manager = await this.createManager('test-subtasks');
+        manager.tasks = [
+            { id: 1, title: 'Parent', priority: 'high', status: 'pending', parentId: null },
+            { id: 2, title: 'Child', priority: 'low', status: 'pending', parentId: 1 },
+            { id: 3, title: 'Orphan', priority: 'low', status: 'pending', parentId: 42 }
+        ];
+        
+        const report = manager.getDataIntegrityReport();
+        this.assert(report.validTasks === 2, 'Subtasks with an existing parent should be valid');
+        this.assert(report.invalidTasks === 1, 'Orphaned subtasks should be invalid');
+        this.assert(report.issues[0].taskId === 3, 'Should report the orphaned subtask');
+        
+        await manager.clearStorage();
+        console.log('✅ Subtask integrity tests passed\n');
+    }
+
     /**
      * Test export and import functionality
      */
-    testExportImport() {
+    async testExportImport() {
         console.log('Testing export and import...');
         
         const testData = {
@@ -119,17 +206,16 @@ class StorageTests {
         };
 
         // Test export (we can't easily test file download in this environment)
-        const exportResult = this.storageManager.exportData(testData, 'test-export.json');
+        const exportResult = this.storageManager.exportData(testData, this.exportPath('test-export.json'));
         this.assert(exportResult === true, 'Export should return true');
 
         // Test import with mock file
         const mockFile = new Blob([JSON.stringify(testData)], { type: 'application/json' });
         mockFile.name = 'test-import.json';
         
-        this.storageManager.importData(mockFile).then(importedData => {
-            this.assert(importedData !== null, 'Import should return data');
-            this.assert(importedData.tasks.length === 1, 'Should import correct number of tasks');
-        });
+        const importedData = await this.storageManager.importData(mockFile);
+        this.assert(importedData !== null, 'Import should return data');
+        this.assert(importedData.tasks.length === 1, 'Should import correct number of tasks');
 
         console.log('✅ Export and import tests passed\n');
     }
@@ -137,7 +223,7 @@ class StorageTests {
     /**
      * Test backup and restore functionality
      */
-    testBackupRestore() {
+    async testBackupRestore() {
         console.log('Testing backup and restore...');
         
         const testData = {
@@ -147,23 +233,23 @@ class StorageTests {
             nextId: 2
         };
 
-        this.storageManager.save(testData);
+        await this.storageManager.save(testData);
         
         // Test backup creation
-        const backup = this.storageManager.createBackup();
+        const backup = await this.storageManager.createBackup();
         this.assert(backup !== null, 'Backup should not be null');
         this.assert(backup.timestamp !== undefined, 'Backup should have timestamp');
         this.assert(backup.data.tasks.length === 1, 'Backup should contain correct data');
 
         // Clear data
-        this.storageManager.clear();
-        this.assert(this.storageManager.load() === null, 'Data should be cleared');
+        await this.storageManager.clear();
+        this.assert(await this.storageManager.load() === null, 'Data should be cleared');
 
         // Test restore
-        const restoreResult = this.storageManager.restoreFromBackup(backup);
+        const restoreResult = await this.storageManager.restoreFromBackup(backup);
         this.assert(restoreResult === true, 'Restore should return true');
 
-        const restoredData = this.storageManager.load();
+        const restoredData = await this.storageManager.load();
         this.assert(restoredData !== null, 'Data should be restored');
         this.assert(restoredData.tasks.length === 1, 'Should restore correct number of tasks');
 
@@ -173,53 +259,1022 @@ class StorageTests {
     /**
      * Test PersistentTaskManager functionality
      */
-    testPersistentTaskManager() {
+    async testPersistentTaskManager() {
         console.log('Testing PersistentTaskManager...');
         
         // Clear any existing data
-        this.persistentTaskManager.clearStorage();
+        await this.persistentTaskManager.clearStorage();
         
         // Test auto-save functionality
         const task = this.persistentTaskManager.addTask('Persistent Test', 'Test description', 'high');
         this.assert(task.id === 1, 'Task should have correct ID');
         
         // Create new instance to test persistence
-        const newManager = new PersistentTaskManager('test-persistent');
+        const newManager = await this.createManager('test-persistent');
         const loadedTasks = newManager.getTasks();
         this.assert(loadedTasks.length === 1, 'Should load persisted task');
         this.assert(loadedTasks[0].title === 'Persistent Test', 'Should load correct task data');
 
+        // Test that the next occurrence of a recurring task is persisted
+        const recurring = this.persistentTaskManager.addTask('Weekly report', '', 'medium', { recurrence: 'weekly' });
+        this.persistentTaskManager.completeTask(recurring.id);
+        const reloaded = await this.createManager('test-persistent');
+        this.assert(reloaded.getTasks('pending').some(t => t.title === 'Weekly report'), 'Should persist the next occurrence');
+        this.persistentTaskManager.deleteTask(recurring.nextOccurrenceId);
+        this.persistentTaskManager.deleteTask(recurring.id);
+
+        // Test that undo is persisted
+        this.persistentTaskManager.deleteTask(task.id);
+        this.persistentTaskManager.undo();
+        const afterUndo = await this.createManager('test-persistent');
+        this.assert(afterUndo.getTaskById(task.id) !== null, 'Undo should be saved to storage');
+        this.assert(afterUndo.canUndo() === false, 'Loaded data should start with empty history');
+
+        // Test that a group of mutations is saved once
+        let saveCount = 0;
+        const originalSave = this.persistentTaskManager.storageManager.save.bind(this.persistentTaskManager.storageManager);
+        this.persistentTaskManager.storageManager.save = (data) => {
+            saveCount++;
+            return originalSave(data);
+        };
+        this.persistentTaskManager.withHistory('Bulk add', () => {
+            this.persistentTaskManager.addTask('Bulk 1');
+            this.persistentTaskManager.addTask('Bulk 2');
+        });
+        this.persistentTaskManager.storageManager.save = originalSave;
+        this.assert(saveCount === 1, 'Grouped mutations should be saved once');
+
         // Test storage info
-        const storageInfo = this.persistentTaskManager.getStorageInfo();
+        const storageInfo = await this.persistentTaskManager.getStorageInfo();
         this.assert(storageInfo.available === true, 'Storage info should be available');
         this.assert(storageInfo.dataSize > 0, 'Should have data in storage');
 
         console.log('✅ PersistentTaskManager tests passed\n');
     }
 
+    /**
+     * Test schema migrations
+     */
+    async testMigrations() {
+        console.log('Testing schema migrations...');
+        
+        const key = 'test-migration';
+        const storageManager = new StorageManager(key, this.adapter);
+        const currentVersion = storageManager.getCurrentSchemaVersion();
+        const legacyData = {
+            tasks: [
+                { id: 1, title: 'Legacy task', description: '', priority: 'high', status: 'completed' },
+                { id: 4, title: 'Old pending', description: '', priority: 'low', status: 'pending', createdAt: '2024-01-02T00:00:00.000Z' }
+            ],
+            lastSaved: '2024-02-01T00:00:00.000Z'
+        };
+        
+        // Test 1: Legacy data is backed up, migrated and saved back on load
+        await this.adapter.save(key, JSON.stringify(legacyData));
+        const manager = await this.createManager(key);
+        const legacyTask = manager.getTaskById(1);
+        this.assert(Array.isArray(legacyTask.tags) && legacyTask.blockedBy.length === 0, 'Migration should add missing fields');
+        this.assert(legacyTask.createdAt === legacyData.lastSaved, 'Missing timestamps should come from saved metadata');
+        this.assert(legacyTask.completedAt === legacyData.lastSaved, 'Completed legacy tasks should get a completion date');
+        this.assert(manager.getTaskById(4).createdAt === '2024-01-02T00:00:00.000Z', 'Existing timestamps should be kept');
+        this.assert(manager.nextId === 5, 'Migration should derive a missing nextId');
+        const saved = await storageManager.load();
+        this.assert(saved.schemaVersion === currentVersion, 'Migrated data should be saved with the current schema version');
+        const backup = await storageManager.loadMigrationBackup(0);
+        this.assert(backup !== null && backup.data.tasks[0].tags === undefined, 'Original data should be backed up before migrating');
+        
+        // Test 2: Data from a newer version is refused and left untouched
+        const futureData = { tasks: [{ id: 1, title: 'From the future' }], nextId: 2, schemaVersion: currentVersion + 1 };
+        await this.adapter.save(key, JSON.stringify(futureData));
+        const refused = await this.createManager(key);
+        this.assert(refused.getTasks().length === 0, 'Data from a newer schema version should not be loaded');
+        refused.addTask('Must not overwrite');
+        await refused.saveData();
+        this.assert((await storageManager.load()).schemaVersion === currentVersion + 1, 'Newer data should not be overwritten');
+        
+        // Test 3: Imports are migrated too
+        const legacyFile = new Blob([JSON.stringify(legacyData)], { type: 'application/json' });
+        this.assert((await manager.importFromFile(legacyFile)).success === true, 'Legacy imports should succeed');
+        this.assert(Array.isArray(manager.getTaskById(1).tags), 'Imported legacy data should be migrated');
+        const futureFile = new Blob([JSON.stringify(futureData)], { type: 'application/json' });
+        this.assert((await manager.importFromFile(futureFile)).success === false, 'Imports from a newer schema version should be refused');
+        
+        // Test 4: Registering further migrations
+        storageManager.registerMigration({
+            version: currentVersion + 1,
+            description: 'Test migration',
+            migrate: (data) => ({ ...data, tasks: data.tasks.map(task => ({ ...task, migrated: true })) })
+        });
+        this.assert(storageManager.migrateData(legacyData).tasks.every(task => task.migrated), 'Registered migrations should run in order');
+        let rejected = false;
+        try {
+            storageManager.registerMigration({ version: currentVersion + 5, migrate: (data) => data });
+        } catch (error) {
+            rejected = true;
+        }
+        this.assert(rejected, 'Migrations must be registered in version order');
+        
+        await storageManager.clear();
+        await this.adapter.clear(storageManager.getMigrationBackupKey(0));
+        console.log('✅ Schema migration tests passed\n');
+    }
+
+    /**
+     * Test import validation and repair
+     */
+    async testImportValidation() {
+        console.log('Testing import validation...');
+        
+        const manager = await this.createManager('test-import-validation');
+        const existing = manager.addTask('Keep me');
+        const brokenData = {
+            tasks: [
+                { id: 1, title: 'First', priority: 'HIGH', status: 'pending' },
+                { id: 1, title: 'Duplicate', priority: 'medium', status: 'done', completedAt: '2024-01-01T00:00:00.000Z' },
+                { id: 2, title: 'Blocked', priority: 'urgent', status: 'pending', blockedBy: [1, 99] },
+                { id: 3, title: 'Orphan', priority: 'low', status: 'pending', parentId: 42 }
+            ],
+            nextId: 2
+        };
+        const toFile = (data) => new Blob([JSON.stringify(data)], { type: 'application/json' });
+        
+        // Test 1: Strict validation reports problems per task and imports nothing
+        const report = await manager.importFromFile(toFile(brokenData));
+        this.assert(report.success === false && report.valid === false, 'Invalid data should be rejected');
+        this.assert(manager.getTasks().length === 1 && manager.getTaskById(existing.id) !== null, 'Rejected imports should not change tasks');
+        const duplicate = report.taskIssues.find(issue => issue.taskIndex === 1);
+        this.assert(duplicate && duplicate.errors.includes('Duplicate ID') && duplicate.errors.includes('Invalid status'), 'Errors should be listed per task');
+        const orphan = report.taskIssues.find(issue => issue.taskIndex === 3);
+        this.assert(orphan && orphan.errors.length === 0 && orphan.warnings.length === 1, 'Dangling references should be warnings');
+        this.assert(report.errors.some(error => error.includes('nextId')), 'A nextId below existing IDs should be an error');
+        this.assert(report.errorCount === 5 && report.warningCount === 2, 'Report should total errors and warnings');
+        
+        // Test 2: Repair mode fixes what it safely can
+        const repaired = await manager.importFromFile(toFile(brokenData), { repair: true });
+        this.assert(repaired.success === true, 'Repaired data should import');
+        const titles = manager.getTasks().map(task => `${task.id}:${task.title}`).join(',');
+        this.assert(titles === '1:First,4:Duplicate,2:Blocked,3:Orphan', 'Duplicate IDs should be renumbered');
+        this.assert(manager.getTaskById(1).priority === 'high' && manager.getTaskById(2).priority === 'medium', 'Priorities should be normalised');
+        this.assert(manager.getTaskById(4).status === 'completed', 'Unknown status should follow completedAt');
+        this.assert(manager.getTaskById(2).blockedBy.join() === '1' && manager.getTaskById(3).parentId === null, 'Dangling references should be removed');
+        this.assert(manager.nextId === 5 && manager.addTask('After import').id === 5, 'nextId should be recomputed');
+        this.assert(repaired.repairs.length === 7, 'Every repair should be reported');
+        
+        // Test 3: Problems repair cannot fix still block the import
+        const untitled = await manager.importFromFile(toFile({ tasks: [{ id: 1, title: '' }] }), { repair: true });
+        this.assert(untitled.success === false && untitled.taskIssues[0].errors.includes('Invalid or missing title'), 'Missing titles should not be repaired');
+        const notJson = await manager.importFromFile(new Blob(['not json']));
+        this.assert(notJson.success === false && notJson.errors.length === 1, 'Unreadable files should be reported');
+        
+        // Test 4: Merge mode keeps current tasks
+        const mergeFile = toFile({ tasks: [{ id: 50, title: 'Merged in', priority: 'low', status: 'pending' }], nextId: 51 });
+        const merged = await manager.importFromFile(mergeFile, { mode: 'merge' });
+        this.assert(merged.success && merged.changes.added === 1 && manager.getTasks().length === 6, 'Merge imports should keep current tasks');
+
+        // Test 5: Data can be prepared for a preview without importing it
+        const prepared = manager.prepareImportData({ tasks: [{ id: 7, title: 'Legacy' }] }, { repair: true });
+        this.assert(prepared.report.valid && prepared.data.schemaVersion === manager.storageManager.getCurrentSchemaVersion(), 'Prepared data should be migrated');
+        this.assert(prepared.data.tasks[0].priority === 'medium' && prepared.repairs.length > 0, 'Prepared data should be repaired');
+        this.assert(manager.getTasks().length === 6, 'Preparing data should not import it');
+        const future = manager.prepareImportData({ tasks: [], schemaVersion: 99 });
+        this.assert(future.data === null && !future.report.valid, 'Data from a newer version should not be prepared');
+
+        await manager.clearStorage();
+        console.log('✅ Import validation tests passed\n');
+    }
+
+    /**
+     * Test CSV export and import
+     */
+    async testCSV() {
+        console.log('Testing CSV export and import...');
+        
+        const tasks = [
+            {
+                id: 1, title: 'Plan, then "ship"', description: 'Line one\nLine two', priority: 'high', status: 'pending',
+                dueDate: '2024-03-01', tags: ['work', 'q1'], parentId: null, blockedBy: [], recurrence: null,
+                createdAt: '2024-01-01T00:00:00.000Z', updatedAt: null, completedAt: null
+            },
+            {
+                id: 2, title: 'Ünïcödé 🚀', description: '', priority: 'low', status: 'completed',
+                dueDate: null, tags: [], parentId: 1, blockedBy: [1],
+                recurrence: { frequency: 'weekly', interval: 2, weekdays: [1], dayOfMonth: null, endDate: null, count: null, occurrence: 1 },
+                createdAt: '2024-01-02T00:00:00.000Z', updatedAt: null, completedAt: '2024-01-03T00:00:00.000Z'
+            }
+        ];
+        
+        // Test 1: Round trip keeps commas, quotes, line breaks and structured fields
+        const csv = this.storageManager.tasksToCSV(tasks);
+        this.assert(csv.startsWith('id,title,description,') && csv.endsWith('\r\n'), 'CSV should have a header row and CRLF line endings');
+        this.assert(csv.includes('"Plan, then ""ship"""') && csv.includes('"Line one\nLine two"'), 'Special characters should be quoted');
+        const { tasks: parsed, ignoredColumns } = this.storageManager.csvToTasks(csv);
+        this.assert(JSON.stringify(parsed) === JSON.stringify(tasks) && ignoredColumns.length === 0, 'CSV round trip should preserve tasks');
+        
+        // Test 2: Byte order mark and delimiters
+        const bomCSV = this.storageManager.tasksToCSV(tasks, { bom: true, delimiter: ';' });
+        this.assert(bomCSV.charCodeAt(0) === 0xFEFF && bomCSV.includes('id;title;'), 'BOM and delimiter options should apply');
+        this.assert(this.storageManager.csvToTasks(bomCSV).tasks[1].title === 'Ünïcödé 🚀', 'Delimiter should be detected and the BOM ignored');
+        this.assert(this.storageManager.csvToTasks(bomCSV.replace(/;/g, '|'), { delimiter: '|' }).tasks.length === 2, 'Explicit delimiters should be used');
+        
+        // Test 3: Header mapping
+        const foreign = 'Name,Notes,Owner,Labels,Done On\nBuy milk,2 litres,Sam,"Home, Errands",2024-02-01T00:00:00.000Z\n,,,,\nCall Bob,,Alex,,\n';
+        const mapped = this.storageManager.csvToTasks(foreign, { columnMap: { 'Done On': 'completedAt' } });
+        this.assert(mapped.tasks.length === 2 && mapped.tasks[0].title === 'Buy milk' && mapped.tasks[0].description === '2 litres', 'Aliases should map headers to fields');
+        this.assert(mapped.tasks[0].tags.join() === 'home,errands' && mapped.tasks[0].status === 'completed', 'Mapped columns should be converted');
+        this.assert(mapped.tasks.map(task => task.id).join() === '1,2' && mapped.ignoredColumns.join() === 'Owner', 'Missing IDs should be assigned and unknown columns reported');
+        
+        // Test 4: Malformed files are rejected
+        const errorOf = (fn) => { try { fn(); return null; } catch (error) { return error.message; } };
+        this.assert(errorOf(() => this.storageManager.parseCSV('a,b\n"open,c\n')) === 'CSV parse error: unterminated quoted field starting on line 2', 'Unterminated quotes should be reported');
+        this.assert(errorOf(() => this.storageManager.csvToTasks('id,notes\n1,x')) === 'CSV file has no title column', 'A title column should be required');
+        this.assert(errorOf(() => this.storageManager.tasksToCSV(tasks, { delimiter: '"' })) === 'Invalid CSV delimiter', 'Quote delimiters should be rejected');
+        
+        // Test 5: PersistentTaskManager imports through the usual validation
+        const manager = await this.createManager('test-csv');
+        const report = await manager.importFromCSV(new Blob([csv], { type: 'text/csv' }));
+        this.assert(report.success && manager.getTasks().length === 2 && manager.nextId === 3, 'CSV imports should replace tasks');
+        const invalid = await manager.importFromCSV(new Blob(['title,priority\nBad,urgent\n']));
+        this.assert(invalid.success === false && invalid.taskIssues[0].errors.includes('Invalid priority'), 'CSV imports should be validated');
+        this.assert(manager.exportToCSV(this.exportPath('test-export.csv')) === true, 'CSV export should return true');
+        
+        await manager.clearStorage();
+        console.log('✅ CSV tests passed\n');
+    }
+
+    /**
+     * Test iCalendar export and import
+     */
+    async testICS() {
+        console.log('Testing iCalendar export and import...');
+        
+        const tasks = [
+            {
+                id: 1, title: `Plan; ship, then \\ rest ${'é'.repeat(40)}`, description: 'Line one\nLine two', priority: 'high', status: 'completed',
+                dueDate: '2024-03-01', tags: ['work', 'a,b'], parentId: null, blockedBy: [], recurrence: null,
+                createdAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-01-02T00:00:00.000Z', completedAt: '2024-01-03T00:00:00.000Z'
+            },
+            {
+                id: 5, title: '🚀'.repeat(25), description: '', priority: 'low', status: 'pending',
+                dueDate: null, tags: [], parentId: 1, blockedBy: [], recurrence: null,
+                createdAt: '2024-01-04T00:00:00.000Z', updatedAt: null, completedAt: null
+            }
+        ];
+        
+        // Test 1: Export writes escaped, folded VTODO components
+        const ics = this.storageManager.tasksToICS(tasks);
+        const lines = ics.split('\r\n');
+        this.assert(lines[0] === 'BEGIN:VCALENDAR' && ics.endsWith('END:VCALENDAR\r\n'), 'Export should be a calendar with CRLF line endings');
+        this.assert(lines.every(line => new TextEncoder().encode(line).length <= 75), 'Lines should be folded at 75 octets');
+        this.assert(lines.some(line => line.startsWith(' ')) && !/\r\n [\uDC00-\uDFFF]/.test(ics), 'Folding should not split characters');
+        this.assert(ics.includes('SUMMARY:Plan\\; ship\\, then \\\\ rest') && ics.includes('DESCRIPTION:Line one\\nLine two'), 'Text should be escaped');
+        this.assert(ics.includes('PRIORITY:1') && ics.includes('PRIORITY:9') && ics.includes('STATUS:COMPLETED') && ics.includes('STATUS:NEEDS-ACTION'), 'Priority and status should be mapped');
+        this.assert(ics.includes('CREATED:20240101T000000Z') && ics.includes('COMPLETED:20240103T000000Z'), 'Timestamps should be UTC date-times');
+        
+        // Test 2: Round trip
+        this.assert(JSON.stringify(this.storageManager.icsToTasks(ics)) === JSON.stringify(tasks), 'iCalendar round trip should preserve tasks');
+        
+        // Test 3: Files from other calendar clients
+        const foreign = [
+            'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Other//EN',
+            'BEGIN:VEVENT', 'UID:event-1', 'SUMMARY:Not a task', 'END:VEVENT',
+            'BEGIN:VTODO', 'UID:abc@example.com', 'SUMMARY:Write the', '\t report', 'PRIORITY:3',
+            'CATEGORIES:Work,Writing', 'CATEGORIES:urgent', 'DUE;TZID=Europe/Paris:20240510T170000',
+            'BEGIN:VALARM', 'ACTION:DISPLAY', 'DESCRIPTION:Reminder', 'END:VALARM', 'END:VTODO',
+            'BEGIN:VTODO', 'UID:def@example.com', 'SUMMARY:Outline', 'RELATED-TO:abc@example.com',
+            'STATUS:IN-PROCESS', 'COMPLETED:20240102T120000Z', 'END:VTODO',
+            'END:VCALENDAR'
+        ].join('\n');
+        const imported = this.storageManager.icsToTasks(foreign);
+        this.assert(imported.length === 2 && imported[0].title === 'Write the report' && imported[0].description === '', 'Only to-dos should be imported, unfolded, without alarm text');
+        this.assert(imported[0].priority === 'high' && imported[0].dueDate === '2024-05-10' && imported[0].tags.join() === 'work,writing,urgent', 'Properties should be mapped');
+        this.assert(imported[1].status === 'pending' && imported[1].parentId === imported[0].id && imported[1].id === 2, 'IDs and parents should be assigned');
+        
+        // Test 4: Malformed files are rejected
+        const errorOf = (fn) => { try { fn(); return null; } catch (error) { return error.message; } };
+        this.assert(errorOf(() => this.storageManager.icsToTasks('SUMMARY:x')) === 'File is not an iCalendar file', 'Non-calendar files should be rejected');
+        this.assert(errorOf(() => this.storageManager.icsToTasks('BEGIN:VCALENDAR\nBEGIN:VTODO\nEND:VCALENDAR')) === 'iCalendar parse error: unexpected END:VCALENDAR on line 3', 'Mismatched components should be reported');
+        this.assert(errorOf(() => this.storageManager.icsToTasks('BEGIN:VCALENDAR\nBEGIN:VTODO\nno colon')) === 'iCalendar parse error: expected NAME:value on line 3', 'Malformed lines should be reported');
+        
+        // Test 5: PersistentTaskManager imports through the usual validation
+        const manager = await this.createManager('test-ics');
+        const report = await manager.importFromICS(new Blob([ics], { type: 'text/calendar' }));
+        this.assert(report.success && manager.getTasks().length === 2 && manager.nextId === 6, 'iCalendar imports should replace tasks');
+        this.assert(manager.exportToICS(this.exportPath('test-export.ics')) === true, 'iCalendar export should return true');
+        
+        await manager.clearStorage();
+        console.log('✅ iCalendar tests passed\n');
+    }
+
+    /**
+     * Test todo.txt and Markdown checklist export and import
+     */
+    async testPlainTextFormats() {
+        console.log('Testing todo.txt and Markdown formats...');
+        
+        const task = (fields) => ({
+            id: null, title: '', description: '', priority: 'medium', status: 'pending', dueDate: null, tags: [],
+            parentId: null, blockedBy: [], recurrence: null, createdAt: null, updatedAt: null, completedAt: null, ...fields
+        });
+        const tasks = [
+            task({ id: 1, title: 'Ship +release v2', description: 'Line one\n\n  indented; 100% done', priority: 'high', dueDate: '2024-03-01', tags: ['release', 'work'], createdAt: '2024-01-01T09:30:00.000Z' }),
+            task({ id: 2, title: 'x marks the spot', priority: 'low', status: 'completed', parentId: 1, createdAt: '2024-01-02T10:00:00.000Z', updatedAt: '2024-01-03T00:00:00.000Z', completedAt: '2024-01-04T12:00:00.000Z' }),
+            task({ id: 7, title: 'Meet at 10:30', status: 'completed', createdAt: '2024-01-05T00:00:00.000Z' })
+        ];
+        const byId = (list) => JSON.stringify([...list].sort((a, b) => a.id - b.id));
+        
+        // Test 1: todo.txt export and round trip
+        const todoTxt = this.storageManager.tasksToTodoTxt(tasks);
+        const todoLines = todoTxt.trim().split('\n');
+        this.assert(todoLines[0].startsWith(`(A) ${this.storageManager.formatLocalDate(tasks[0].createdAt)} Ship +release v2 +work due:2024-03-01`), 'Pending tasks should start with priority and creation date');
+        this.assert(todoLines[1].startsWith('x ') && todoLines[1].includes(' pri:C ') && todoLines[2].startsWith('x Meet at 10:30 '), 'Completed tasks should start with x');
+        this.assert(byId(this.storageManager.todoTxtToTasks(todoTxt)) === byId(tasks), 'todo.txt round trip should preserve tasks');
+        const tricky = [
+            task({ id: 1, title: 'Call Bob +1', tags: ['work'], createdAt: '2024-01-01T09:30:00.000Z' }),
+            task({ id: 2, title: 'Renew passport due:May', createdAt: '2024-01-01T09:30:00.000Z' }),
+            task({ id: 3, title: '2024-05-01 kickoff', status: 'completed', createdAt: '2024-01-01T09:30:00.000Z' })
+        ];
+        const trickyTxt = this.storageManager.tasksToTodoTxt(tricky);
+        this.assert(trickyTxt.includes(' +work title:Call%20Bob%20%2B1 '), 'Titles ending in a tag should be written as a title extension');
+        this.assert(byId(this.storageManager.todoTxtToTasks(trickyTxt)) === byId(tricky), 'Titles that look like tags, extensions or dates should survive a round trip');
+
+        // Test 2: todo.txt written by other tools
+        const foreignTodo = this.storageManager.todoTxtToTasks('(A) 2024-01-01 Call mom +family @phone\n\nx 2024-02-02 2024-02-01 Pay bills pri:C\n(D) Weed garden due:2024-06-01\nBuy +groceries milk\n');
+        this.assert(foreignTodo.length === 4 && foreignTodo[0].title === 'Call mom' && foreignTodo[0].tags.join() === 'family,phone', 'Projects and contexts should become tags');
+        this.assert(foreignTodo[0].createdAt === this.storageManager.parseLocalDate('2024-01-01') && foreignTodo[1].completedAt === this.storageManager.parseLocalDate('2024-02-02'), 'Dates should become timestamps');
+        this.assert(foreignTodo.map(item => item.priority).join() === 'high,low,low,medium' && foreignTodo[1].status === 'completed', 'Priority letters and completion should be mapped');
+        this.assert(foreignTodo[3].title === 'Buy +groceries milk' && foreignTodo[3].tags.join() === 'groceries', 'Tags inside the text should stay in the title');
+        
+        // Test 3: Markdown export and round trip
+        const markdown = this.storageManager.tasksToMarkdown(tasks);
+        this.assert(markdown.includes('## High priority\n\n- [ ] Ship +release v2 <!-- id:1 ') && markdown.includes('  - [x] x marks the spot <!-- id:2 priority:low '), 'Subtasks should be nested under their parent');
+        this.assert(markdown.indexOf('## Medium priority') > markdown.indexOf('## High priority') && !markdown.includes('## Low priority'), 'Tasks should be grouped by priority');
+        this.assert(byId(this.storageManager.markdownToTasks(markdown)) === byId(tasks), 'Markdown round trip should preserve tasks');
+        
+        // Test 4: Checklists written by hand
+        const foreignMarkdown = this.storageManager.markdownToTasks('# Sprint\n\n## High\n- [ ] Deploy\n  - [x] Tests\n    all green\n* [X] Docs\n\nSome paragraph\n\n## Later\n- [ ] Plain\n');
+        this.assert(foreignMarkdown.map(item => `${item.id}:${item.title}:${item.priority}:${item.status}`).join() === '1:Deploy:high:pending,2:Tests:high:completed,3:Docs:high:completed,4:Plain:medium:pending', 'Headings should set the priority');
+        this.assert(foreignMarkdown[1].parentId === 1 && foreignMarkdown[1].description === 'all green' && foreignMarkdown[2].parentId === null, 'Nesting and descriptions should be read');
+        
+        // Test 5: PersistentTaskManager imports through the usual validation
+        const manager = await this.createManager('test-plain-text');
+        const report = await manager.importFromMarkdown(new Blob([markdown], { type: 'text/markdown' }));
+        this.assert(report.success && manager.getTasks().length === 3 && manager.getTaskById(2).parentId === 1, 'Markdown imports should replace tasks');
+        const appended = await manager.importFromTodoTxt(new Blob(['(A) New task\n']), { mode: 'append' });
+        this.assert(appended.success && manager.getTasks().length === 4, 'todo.txt imports should support import modes');
+        this.assert(manager.exportToTodoTxt(this.exportPath('test.txt')) === true && manager.exportToMarkdown(this.exportPath('test.md')) === true, 'Plain-text exports should return true');
+        
+        await manager.clearStorage();
+        console.log('✅ todo.txt and Markdown tests passed\n');
+    }
+
+    /**
+     * Test restore points
+     */
+    async testRestorePoints() {
+        console.log('Testing restore points...');
+        
+        const manager = await this.createManager('test-restore-points');
+        await manager.clearStorage();
+        
+        // Test 1: Scheduled points are taken before changes, at most once per interval
+        manager.addTask('First');
+        manager.addTask('Second', '', 'high');
+        this.assert((await manager.listRestorePoints()).length === 0, 'Empty task lists should not get restore points');
+        manager.lastRestorePointAt = 0;
+        manager.addTask('Third');
+        manager.addTask('Fourth');
+        let points = await manager.listRestorePoints();
+        this.assert(points.length === 1 && points[0].reason === 'Scheduled' && points[0].taskCount === 2, 'A scheduled point should hold the tasks before the change');
+        
+        // Test 2: Manual points skip unchanged data
+        const manual = await manager.createRestorePoint();
+        if (!manual) {
+            this.assert(false, 'Restore points should be saved');
+            await manager.clearStorage();
+            return;
+        }
+        const again = await manager.createRestorePoint('Again');
+        this.assert(manual.reason === 'Manual' && manual.taskCount === 4 && again.id === manual.id, 'Identical data should not be stored twice');
+        
+        // Test 3: Destructive operations take a restore point first
+        manager.clearAllTasks();
+        points = await manager.listRestorePoints();
+        this.assert(points.length === 2 && points[0].id === manual.id, 'Clearing unchanged tasks should reuse the newest point');
+        manager.addTask('Fifth');
+        manager.importTasks([
+            { id: 1, title: 'Imported', priority: 'low', status: 'pending', createdAt: new Date().toISOString() },
+            { id: 10, title: 'Tenth', priority: 'low', status: 'pending', createdAt: new Date().toISOString() }
+        ]);
+        points = await manager.listRestorePoints();
+        this.assert(points[0].reason === 'Before import' && points[0].taskCount === 1, 'Imports should take a restore point');
+        
+        // Test 4: Diff against the current tasks
+        manager.addTask('Sixth');
+        const diff = await manager.diffRestorePoint(manual.id);
+        this.assert(diff.added.map(task => task.title).join() === 'Tenth,Sixth' && diff.removed.length === 3, 'Diff should list added and removed tasks');
+        this.assert(diff.changed.length === 1 && diff.changed[0].fields.some(change => change.field === 'title' && change.before === 'First'), 'Diff should list changed fields');
+        this.assert(await manager.diffRestorePoint(999) === null, 'Unknown restore points should have no diff');
+        
+        // Test 5: Restoring replaces the tasks, takes a point first and can be undone
+        this.assert(await manager.restoreFromRestorePoint(manual.id) === true, 'Restore should succeed');
+        this.assert(manager.getTasks().map(task => task.title).join() === 'First,Second,Third,Fourth' && manager.nextId === 5, 'Restore should bring back the tasks');
+        this.assert((await manager.listRestorePoints())[0].reason === 'Before restore', 'Restore should take a restore point first');
+        const reloaded = await this.createManager('test-restore-points');
+        this.assert(reloaded.getTasks().length === 4, 'Restored tasks should be saved');
+        manager.undo();
+        this.assert(manager.getTasks().map(task => task.title).join() === 'Imported,Tenth,Sixth', 'Restore should be undoable');
+        this.assert(await manager.restoreFromRestorePoint(999) === false, 'Unknown restore points should not restore');
+        
+        // Test 6: Retention keeps the last N points and one per day
+        const day = 24 * 60 * 60 * 1000;
+        const now = new Date('2024-06-30T12:34:00.000Z');
+        const synthetic = [];
+        for (let i = 0; i < 12; i++) {
+            synthetic.push({ id: 100 + i, timestamp: new Date(now.getTime() - i * 60 * 1000).toISOString() });
+        }
+        for (let i = 1; i <= 10; i++) {
+            synthetic.push({ id: 200 + i * 2, timestamp: new Date(now.getTime() - i * day).toISOString() });
+            synthetic.push({ id: 201 + i * 2, timestamp: new Date(now.getTime() - i * day - 60 * 1000).toISOString() });
+        }
+        const kept = this.storageManager.pruneRestorePoints(synthetic, now).map(point => point.id);
+        this.assert(kept.length === 17 && kept.slice(0, 10).join() === '100,101,102,103,104,105,106,107,108,109', 'The newest points should be kept');
+        this.assert(kept.slice(10).join() === '202,204,206,208,210,212,214', 'The newest point of each recent day should be kept');
+        
+        // Test 7: Clearing storage removes restore points
+        await manager.clearStorage();
+        this.assert((await manager.listRestorePoints()).length === 0, 'clearStorage should remove restore points');
+        
+        console.log('✅ Restore point tests passed\n');
+    }
+
+    /**
+     * Test merging changes saved by another tab
+     */
+    async testCrossTabSync() {
+        console.log('Testing cross-tab sync...');
+
+        const tabA = await this.createManager('test-cross-tab');
+        await tabA.clearStorage();
+        const tabB = await this.createManager('test-cross-tab');
+        // Sync by hand so the test does not depend on message timing
+        tabA.stopCrossTabSync();
+        tabB.stopCrossTabSync();
+        const events = [];
+        tabB.on('tasksSynced', event => events.push(event));
+
+        // Test 1: Changes saved by one tab show up in the other
+        const shared = tabA.addTask('Shared', 'Both tabs see this');
+        tabA.addTask('Doomed');
+        let summary = await tabB.syncFromStorage();
+        if (!summary || tabB.getTasks().length !== 2) {
+            this.assert(false, 'Saved tasks should reach the other tab');
+            await tabA.clearStorage();
+            return;
+        }
+        this.assert(summary.added === 2 && summary.conflicts.length === 0 && !summary.unsaved, 'New tasks should be merged in');
+        this.assert(tabB.getTasks().map(task => task.title).join() === 'Shared,Doomed' && tabB.nextId === 3, 'The other tab should load the tasks');
+        this.assert(events.length === 1 && events[0].added === 2, 'Merging should emit tasksSynced');
+        this.assert(await tabB.syncFromStorage() === null, 'Nothing new should mean no merge');
+
+        // Test 2: Edits made at the same time are combined, and conflicts settled by the newest edit
+        tabB.autoSave = false; // Hold tab B's changes back so both tabs change the list at once
+        tabA.updateTask(shared.id, { title: 'Renamed in A', description: 'Edited in A' });
+        tabA.addTask('Added in A');
+        tabA.deleteTask(2);
+        tabB.updateTask(shared.id, { priority: 'high', description: 'Edited in B' });
+        tabB.getTaskById(shared.id).updatedAt = new Date(Date.now() + 60000).toISOString();
+        tabB.addTask('Added in B');
+        tabB.autoSave = true;
+        summary = await tabB.syncFromStorage();
+        const merged = tabB.getTaskById(shared.id);
+        this.assert(merged.title === 'Renamed in A' && merged.priority === 'high' && merged.description === 'Edited in B', 'Fields changed in one tab only should be combined');
+        this.assert(summary.conflicts.length === 1 && summary.conflicts[0].fields.join() === 'description' && summary.conflicts[0].kept === 'local', 'Fields changed in both tabs should be reported as conflicts');
+        this.assert(tabB.getTasks().map(task => `${task.id}:${task.title}`).join() === '1:Renamed in A,3:Added in A,4:Added in B' && tabB.nextId === 5, 'Tasks added in both tabs should both be kept');
+        this.assert(summary.unsaved === true && tabB.canUndo() === false, 'The merge should be saved and clear undo history');
+
+        // Test 3: Tab A picks up the merged result, and its own saves merge first
+        summary = await tabA.syncFromStorage();
+        this.assert(summary.added === 1 && summary.updated === 1 && !summary.unsaved, 'The first tab should pick up the merged tasks');
+        this.assert(JSON.stringify(tabA.getTasks()) === JSON.stringify(tabB.getTasks()), 'Both tabs should end up with the same tasks');
+
+        // Test 4: A deleted task that was edited elsewhere is kept
+        tabB.autoSave = false;
+        tabA.updateTask(3, { description: 'Still needed' });
+        tabB.deleteTask(3);
+        tabB.autoSave = true;
+        summary = await tabB.syncFromStorage();
+        this.assert(tabB.getTaskById(3) !== null && summary.conflicts[0].fields === null && summary.conflicts[0].kept === 'saved', 'An edit should win over a deletion');
+
+        // Test 5: With synchronous storage, saving merges what the other tab saved first
+        if (tabB.storageIsSynchronous) {
+            tabA.addTask('Only in A');
+            tabB.addTask('Only in B');
+            const reloaded = await this.createManager('test-cross-tab');
+            this.assert(['Only in A', 'Only in B'].every(title => reloaded.getTasks().some(task => task.title === title)), 'Saving should not overwrite the other tab\'s tasks');
+        }
+
+        // Test 6: While other tabs' saves are announced, storage is only read before saving after one
+        if (tabB.storageIsSynchronous && tabB.startCrossTabSync()) {
+            await tabB.syncFromStorage();
+            const load = tabB.storageManager.load;
+            let loads = 0;
+            tabB.storageManager.load = (...args) => {
+                loads++;
+                return load.apply(tabB.storageManager, args);
+            };
+            tabB.addTask('Nothing announced');
+            this.assert(loads === 0, 'Saving should not read storage when no other tab has saved');
+            tabB.savedElsewhere = true;
+            tabB.addTask('After an announcement');
+            this.assert(loads === 1 && tabB.savedElsewhere === false, 'Saving should merge first after another tab saved');
+            tabB.storageManager.load = load;
+            tabB.stopCrossTabSync();
+        }
+
+        await tabA.clearStorage();
+        console.log('✅ Cross-tab sync tests passed\n');
+    }
+
+    /**
+     * Test syncing with a server through the mock server
+     */
+    async testServerSync() {
+        console.log('Testing server sync...');
+
+        const server = new MockSyncServer();
+        // Long retry delays so no retry fires while the test runs
+        const settings = { endpoint: 'https://sync.example/api/', fetch: server.fetch, syncDelay: 0, retryDelay: 60000, maxRetryDelay: 240000 };
+        const laptop = await this.createManager('test-sync-laptop', { server: settings });
+        const phone = await this.createManager('test-sync-phone', { server: settings });
+        await laptop.clearStorage();
+        await phone.clearStorage();
+        const states = [];
+        laptop.on('syncStatus', status => states.push(status.state));
+
+        // Test 1: Changes are queued, sent and pulled by other clients
+        laptop.addTask('Write spec');
+        laptop.addTask('Review spec');
+        this.assert(laptop.getSyncStatus().pending === 2, 'Changes should wait in the outbox');
+        this.assert(await laptop.syncWithServer() === true, 'Sync should succeed');
+        let status = laptop.getSyncStatus();
+        this.assert(server.records.size === 2 && status.pending === 0 && status.lastSyncedAt !== null, 'Sync should send the outbox');
+        this.assert(states.slice(-2).join() === 'syncing,idle', 'Sync should report its progress');
+        await phone.syncWithServer();
+        this.assert(phone.getTasks().map(task => task.title).join() === 'Write spec,Review spec', 'Other clients should pull the tasks');
+        this.assert(phone.getSyncStatus().pending === 0 && phone.canUndo() === false, 'Pulled tasks should not be sent back');
+
+        // Test 2: Offline changes stay in a saved outbox, and retries back off
+        server.offline = true;
+        laptop.updateTask(1, { title: 'Write the spec' });
+        laptop.deleteTask(2);
+        laptop.addTask('Offline idea');
+        this.assert(await laptop.syncWithServer() === false, 'Sync should fail while offline');
+        status = laptop.getSyncStatus();
+        this.assert(status.state === 'offline' && status.pending === 3 && status.failures === 1 && status.nextRetryAt !== null, 'Status should report the failure and the next retry');
+        this.assert([1, 2, 3, 4].map(failures => laptop.getRetryDelay(failures)).join() === '60000,120000,240000,240000', 'Retries should back off up to the limit');
+        const savedState = await laptop.storageManager.loadSyncState();
+        this.assert(savedState !== null && savedState.outbox.map(entry => `${entry.id}:${entry.action}`).join() === '1:put,2:delete,3:put', 'The outbox should be saved');
+
+        // Test 3: Back online, conflicts are settled by the newer copy
+        server.offline = false;
+        phone.updateTask(1, { priority: 'high' });
+        phone.getTaskById(1).updatedAt = new Date(Date.now() + 60000).toISOString();
+        await phone.syncWithServer();
+        this.assert(await laptop.syncWithServer() === true, 'Sync should succeed once back online');
+        status = laptop.getSyncStatus();
+        this.assert(status.state === 'idle' && status.failures === 0 && status.conflicts === 1 && status.pending === 0, 'Conflicts should be counted and the outbox emptied');
+        this.assert(laptop.getTaskById(1).title === 'Write spec' && laptop.getTaskById(1).priority === 'high', 'The newer server copy should win');
+        await phone.syncWithServer();
+        this.assert(phone.getTasks().map(task => task.title).join() === 'Write spec,Offline idea', 'Deletions and additions should reach other clients');
+
+        // Test 4: The local policy sends the local copy again
+        await laptop.configureServerSync({ ...settings, conflict: 'local' });
+        phone.updateTask(3, { description: 'From the phone' });
+        await phone.syncWithServer();
+        laptop.updateTask(3, { description: 'From the laptop' });
+        await laptop.syncWithServer();
+        await phone.syncWithServer();
+        this.assert(phone.getTaskById(3).description === 'From the laptop', 'The local policy should overwrite the server copy');
+
+        // Test 5: Tasks created with the same ID on two clients are both kept
+        laptop.addTask('Laptop task');
+        phone.addTask('Phone task');
+        await laptop.syncWithServer();
+        await phone.syncWithServer();
+        await laptop.syncWithServer();
+        const titles = (manager) => manager.getTasks().map(task => task.title).sort().join();
+        this.assert(titles(laptop) === titles(phone) && titles(phone).includes('Laptop task') && titles(phone).includes('Phone task'), 'Both new tasks should be kept');
+        this.assert(phone.getTaskById(4).title === 'Laptop task', 'The client syncing later should renumber its task');
+
+        // Test 6: Server errors are retried, client errors are not
+        server.failWith = 503;
+        await laptop.syncWithServer();
+        this.assert(laptop.getSyncStatus().state === 'error' && laptop.getSyncStatus().nextRetryAt !== null, '5xx responses should be retried');
+        server.failWith = 400;
+        await laptop.syncWithServer();
+        status = laptop.getSyncStatus();
+        this.assert(status.state === 'error' && status.nextRetryAt === null && status.lastError.includes('400'), '4xx responses should not be retried');
+
+        laptop.stopServerSync();
+        phone.stopServerSync();
+        this.assert(await laptop.syncWithServer() === false, 'Sync should be off once stopped');
+        await laptop.clearStorage();
+        await phone.clearStorage();
+        console.log('✅ Server sync tests passed\n');
+    }
+
+    /**
+     * Test passphrase encryption of stored data and export files
+     */
+    async testEncryption() {
+        console.log('Testing encryption...');
+
+        const manager = await this.createManager('test-encrypted', { crossTabSync: false });
+        await manager.clearStorage();
+        manager.storageManager.encryptionIterations = 1000; // Keep key derivation fast in tests
+        manager.addTask('Call Acme Corp', 'Ask Jane about the contract');
+        await manager.createRestorePoint();
+
+        // Test 1: Stored data and restore points are encrypted
+        try {
+            await manager.enableEncryption('correct horse');
+        } catch (error) {
+            this.assert(false, `Encryption should be enabled (${error.message})`);
+            await manager.clearStorage();
+            return;
+        }
+        const stored = await this.adapter.load('test-encrypted');
+        const storedPoints = await this.adapter.load('test-encrypted-restore-points');
+        this.assert(JSON.parse(stored).format === 'task-manager-encrypted' && !stored.includes('Acme') && !storedPoints.includes('Acme'), 'Stored data and restore points should be encrypted');
+        manager.addTask('Send invoice');
+        await manager.forceSave();
+        this.assert((await manager.storageManager.load()).tasks.length === 2, 'Encrypted data should load while unlocked');
+
+        // Test 2: A new session is locked until the right passphrase is given
+        const reopened = new PersistentTaskManager('test-encrypted', { adapter: this.adapter, crossTabSync: false });
+        const lockedEvents = [];
+        reopened.on('storageLocked', event => lockedEvents.push(event));
+        await reopened.ready;
+        this.assert(lockedEvents.length === 1 && reopened.storageManager.isLocked && reopened.getTasks().length === 0, 'Encrypted data should ask for the passphrase');
+        this.assert(await reopened.forceSave() === false, 'Nothing should be saved over locked data');
+        let error = null;
+        try {
+            await reopened.unlock('wrong horse');
+        } catch (e) {
+            error = e;
+        }
+        this.assert(error instanceof StorageError && error.code === 'wrong-passphrase', 'A wrong passphrase should be reported');
+        await reopened.unlock('correct horse');
+        this.assert(reopened.getTasks().length === 2 && !reopened.storageManager.isLocked, 'Unlocking should load the tasks');
+        this.assert((await reopened.listRestorePoints()).length === 1, 'Restore points should be readable once unlocked');
+
+        // Test 3: Changing the passphrase checks the current one and re-encrypts
+        error = null;
+        try {
+            await reopened.changePassphrase('wrong horse', 'battery staple');
+        } catch (e) {
+            error = e;
+        }
+        this.assert(error && error.code === 'wrong-passphrase', 'Changing the passphrase should check the current one');
+        await reopened.changePassphrase('correct horse', 'battery staple');
+        error = null;
+        try {
+            await manager.storageManager.load();
+        } catch (e) {
+            error = e;
+        }
+        this.assert(error && error.code === 'locked' && manager.storageManager.isLocked, 'Other sessions should lock once the passphrase changes');
+        const another = new StorageManager('test-encrypted', this.adapter);
+        error = null;
+        try {
+            await another.unlock('correct horse');
+        } catch (e) {
+            error = e;
+        }
+        this.assert(error && error.code === 'wrong-passphrase', 'The old passphrase should stop working');
+        await another.unlock('battery staple');
+        this.assert((await another.load()).tasks.length === 2, 'The new passphrase should unlock the data');
+
+        // Test 4: Exports are encrypted and need the passphrase elsewhere
+        let exported = null;
+        reopened.storageManager.downloadFile = (content) => { exported = content; };
+        this.assert(await reopened.exportToFile() === true && !exported.includes('Acme'), 'Exports should be encrypted');
+        const file = new Blob([exported], { type: 'application/json' });
+        this.assert((await reopened.storageManager.importData(file)).tasks.length === 2, 'Exports should import with the current passphrase');
+        const elsewhere = new StorageManager('test-encrypted-elsewhere', this.adapter);
+        error = null;
+        try {
+            await elsewhere.importData(file);
+        } catch (e) {
+            error = e;
+        }
+        this.assert(error && error.code === 'locked', 'Importing elsewhere should ask for the passphrase');
+        this.assert((await elsewhere.importData(file, 'battery staple')).tasks.length === 2, 'The passphrase should decrypt the export');
+        const report = await reopened.importFromFile(file, { passphrase: 'wrong horse' });
+        this.assert(report.success === false && report.errorCode === 'wrong-passphrase', 'A wrong export passphrase should be reported');
+
+        // Test 5: Turning encryption off stores plain data again
+        await reopened.disableEncryption('battery staple');
+        this.assert(JSON.parse(await this.adapter.load('test-encrypted')).tasks.length === 2 && !reopened.storageManager.isEncrypted(), 'Data should be stored unencrypted again');
+
+        await manager.clearStorage();
+        await reopened.clearStorage();
+        console.log('✅ Encryption tests passed\n');
+    }
+
+    /**
+     * Test storage usage reporting, quota errors and compression
+     */
+    async testStorageQuota() {
+        console.log('Testing storage quota...');
+
+        // Test 1: Usage is reported without writing anything
+        const keyCount = typeof localStorage !== 'undefined' ? localStorage.length : 0;
+        const info = await this.storageManager.getStorageInfo();
+        this.assert(info.available === true && info.usedSize >= info.dataSize, 'Storage info should report usage');
+        this.assert(await this.adapter.load('__capacity_test__') === null, 'Storage info should not write test data');
+        if (this.adapter instanceof LocalStorageAdapter) {
+            this.assert(localStorage.length === keyCount && info.estimated === true && info.totalCapacity > 0, 'localStorage capacity should be estimated without filling it');
+            const used = this.adapter.info().used;
+            const scannedAt = this.adapter.usageScannedAt;
+            this.adapter.save('test-quota-usage', 'x'.repeat(100));
+            const after = this.adapter.info();
+            this.adapter.clear('test-quota-usage');
+            this.assert(after.used === used + 'test-quota-usage'.length + 100 && this.adapter.usageScannedAt === scannedAt, 'Usage should be updated from saves without reading every key');
+        }
+
+        // Test 2: A full store warns first, then fails with a typed error reported once
+        const limited = new MemoryStorageAdapter();
+        const capacity = 4000;
+        limited.info = () => ({ ...MemoryStorageAdapter.prototype.info.call(limited), capacity });
+        limited.save = (key, value) => {
+            const current = limited.store.has(key) ? key.length + limited.store.get(key).length : 0;
+            if (limited.info().used - current + key.length + value.length > capacity) {
+                throw Object.assign(new Error('The quota has been exceeded'), { name: 'QuotaExceededError' });
+            }
+            limited.store.set(key, value);
+        };
+        const manager = new PersistentTaskManager('test-quota', { adapter: limited, crossTabSync: false, restorePointInterval: 0 });
+        const events = [];
+        manager.on('storageQuotaWarning', event => events.push(event));
+        manager.on('storageQuotaExceeded', event => events.push(event));
+        for (let i = 0; i < 100 && !events.some(event => event.type === 'storageQuotaExceeded'); i++) {
+            manager.addTask(`Task ${i}`, 'Some words to take up space in the store');
+        }
+        this.assert(events.length === 2 && events[0].type === 'storageQuotaWarning' && events[0].usagePercentage >= 80, 'Nearly full storage should warn');
+        this.assert(events[1].type === 'storageQuotaExceeded' && events[1].message.includes('full'), 'Full storage should be reported');
+        manager.addTask('One more');
+        this.assert(events.length === 2 && manager.forceSave() === false, 'Full storage should be reported only once');
+        let error = null;
+        try {
+            manager.storageManager.save({ tasks: manager.getTasks(), nextId: manager.nextId });
+        } catch (e) {
+            error = e;
+        }
+        this.assert(error instanceof StorageError && error.code === 'quota-exceeded', 'Saving to a full store should throw a quota error');
+        manager.deleteTask(1);
+        manager.deleteTask(2);
+        manager.deleteTask(3);
+        manager.emptyTrash();
+        this.assert(manager.forceSave() === true, 'Saving should work again once there is room');
+
+        // Test 3: Compressed data is smaller and loads without the option
+        const compressed = await this.createManager('test-compressed', { compression: true, crossTabSync: false });
+        if (compressed.storageManager.canCompress()) {
+            await compressed.clearStorage();
+            for (let i = 0; i < 50; i++) {
+                compressed.addTask(`Weekly report ${i}`, 'Collect the numbers and send them round');
+            }
+            await compressed.forceSave();
+            const stored = await this.adapter.load('test-compressed');
+            this.assert(JSON.parse(stored).format === 'task-manager-compressed' && stored.length < JSON.stringify(compressed.getTasks()).length / 2, 'Stored data should be compressed');
+            const reloaded = await this.createManager('test-compressed', { crossTabSync: false });
+            this.assert(reloaded.getTasks().length === 50 && reloaded.getTaskById(50).title === 'Weekly report 49', 'Compressed data should load without the option');
+        }
+        await compressed.clearStorage();
+
+        console.log('✅ Storage quota tests passed\n');
+    }
+
+    /**
+     * Test that transactions save once and that saves can be delayed
+     */
+    async testBatchedSaves() {
+        console.log('Testing batched saves...');
+
+        const adapter = new MemoryStorageAdapter();
+        let writes = 0;
+        adapter.save = (key, value) => {
+            if (key === 'test-batched') writes++;
+            adapter.store.set(key, value);
+        };
+
+        // Test 1: A transaction is written once, and a failed one not at all
+        const manager = new PersistentTaskManager('test-batched', { adapter, crossTabSync: false, restorePointInterval: 0 });
+        manager.transaction(tm => {
+            for (let i = 0; i < 1000; i++) {
+                tm.addTask(`Bulk ${i}`);
+            }
+        });
+        this.assert(writes === 1, 'A transaction should be saved once');
+        try {
+            manager.batch(tm => {
+                tm.getTasks().forEach(task => tm.completeTask(task.id));
+                throw new Error('Stop');
+            });
+        } catch (error) {
+            // Expected
+        }
+        const saved = JSON.parse(adapter.load('test-batched'));
+        this.assert(writes === 1 && manager.getTasks('completed').length === 0, 'A failed batch should be rolled back without saving');
+        this.assert(saved.tasks.length === 1000, 'Storage should hold the whole transaction');
+
+        // Test 2: With a save delay, a burst of changes is written once after the delay
+        writes = 0;
+        manager.setSaveDelay(20);
+        manager.addTask('First');
+        manager.completeTask(1);
+        manager.deleteTask(2);
+        this.assert(writes === 0, 'Delayed saves should wait');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        this.assert(writes === 1, 'A burst of changes should be saved once');
+        if (typeof window !== 'undefined') {
+            this.assert(manager.unloadListener !== null, 'Delayed saves should be flushed before unload');
+        }
+
+        // Test 3: Flushing writes a waiting save at once, and only once
+        manager.addTask('Flushed');
+        this.assert(manager.flushSave() === true && writes === 2, 'flushSave should write a waiting save');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        this.assert(writes === 2, 'A flushed save should not be written again');
+        const reloaded = new PersistentTaskManager('test-batched', { adapter, crossTabSync: false });
+        this.assert(reloaded.getTasks().length === manager.getTasks().length && reloaded.getTasks().some(task => task.title === 'Flushed'), 'Flushed changes should be stored');
+        manager.addTask('Switched');
+        manager.setSaveDelay(0);
+        this.assert(writes === 3 && manager.saveTimer === null, 'Turning the delay off should save waiting changes');
+
+        console.log('✅ Batched save tests passed\n');
+    }
+
+    /**
+     * Test that the trash is stored, purged on load and merged between tabs
+     */
+    async testTrash() {
+        console.log('Testing trash storage...');
+
+        const tabA = await this.createManager('test-trash', { restorePointInterval: 0 });
+        await tabA.clearStorage();
+        tabA.stopCrossTabSync();
+        const kept = tabA.addTask('Kept');
+        const expired = tabA.addTask('Expired');
+        const binned = tabA.addTask('Binned');
+
+        // Test 1: Trashed tasks are stored and reloaded
+        tabA.deleteTask(expired.id);
+        tabA.deleteTask(binned.id);
+        await tabA.forceSave();
+        const tabB = await this.createManager('test-trash');
+        tabB.stopCrossTabSync();
+        this.assert(tabB.getTasks().length === 1 && tabB.getTrash().length === 2, 'The trash should be saved and loaded');
+
+        // Test 2: Tasks trashed longer than the retention are purged on load
+        tabA.trash.find(task => task.id === expired.id).deletedAt = '2020-01-01T00:00:00.000Z';
+        await tabA.forceSave();
+        const reloaded = await this.createManager('test-trash', { crossTabSync: false });
+        await reloaded.forceSave();
+        const stored = await reloaded.storageManager.load();
+        this.assert(reloaded.getTrash().map(task => task.id).join() === String(binned.id), 'Expired tasks should be purged on load');
+        this.assert(stored.trash.length === 1, 'The purge should be saved');
+
+        // Test 3: Tasks expiring while the app is open are purged on a later save, and undo cannot bring them back
+        const session = await this.createManager('test-trash-purge', { crossTabSync: false, restorePointInterval: 0 });
+        await session.clearStorage();
+        session.deleteTask(session.addTask('Aging').id);
+        session.trash[0].deletedAt = '2020-01-01T00:00:00.000Z';
+        session.addTask('Not yet');
+        this.assert(session.getTrash().length === 1, 'The trash should be purged at most once an hour');
+        session.lastTrashPurgeAt = 0;
+        session.addTask('An hour later');
+        this.assert(session.getTrash().length === 0 && (await session.storageManager.load()).trash.length === 0, 'Expired tasks should be purged and saved while the app is open');
+        while (session.undo()) {
+            this.assert(session.getTrash().length === 0 && !session.getTasks().some(task => task.title === 'Aging'), 'Undo should not bring purged tasks back');
+        }
+        await session.clearStorage();
+
+        // Test 4: Deleting and restoring in one tab reaches the other
+        await tabB.syncFromStorage();
+        tabB.restoreTask(binned.id);
+        tabB.deleteTask(kept.id);
+        await tabA.syncFromStorage();
+        this.assert(tabA.getTasks().map(task => task.title).join() === 'Binned', 'Restored tasks should reach the other tab');
+        this.assert(tabA.getTrash().map(task => task.title).join() === 'Kept', 'The trash should be merged between tabs');
+
+        await tabA.clearStorage();
+        console.log('✅ Trash storage tests passed\n');
+    }
+
+    /**
+     * Test archiving completed tasks into their own store
+     */
+    async testArchive() {
+        console.log('Testing archive...');
+
+        const manager = await this.createManager('test-archive', { crossTabSync: false, restorePointInterval: 0 });
+        await manager.clearStorage();
+        const report = manager.addTask('Quarterly report');
+        const draft = manager.addSubtask(report.id, 'Draft');
+        const pending = manager.addTask('Still to do');
+        const recent = manager.addTask('Done today');
+        manager.completeTask(report.id);
+        manager.completeTask(recent.id);
+
+        // Test 1: Completed tasks are archived with their subtasks, in their own store
+        let error = null;
+        try {
+            manager.archiveTask(pending.id);
+        } catch (e) {
+            error = e;
+        }
+        this.assert(error !== null, 'Pending tasks should not be archived');
+        this.assert(await manager.archiveTask(report.id) === true, 'archiveTask should archive a completed task');
+        this.assert(manager.getTasks().map(task => task.title).join() === 'Still to do,Done today', 'Archived tasks should leave the task list');
+        const stored = await manager.storageManager.load();
+        this.assert(stored.tasks.length === 2, 'Archived tasks should not be saved with the task list');
+        let archive = await manager.getArchive();
+        this.assert(archive.length === 2 && archive.every(task => task.archivedAt), 'The archive should hold the task and its subtask');
+
+        // Test 2: The archive is searchable
+        const found = await manager.searchArchive('quarterly status:completed');
+        this.assert(found.length === 1 && found[0].id === report.id, 'Archived tasks should be searchable');
+
+        // Test 3: Bulk archiving only takes tasks completed long enough ago
+        this.assert(await manager.archiveCompleted(7) === 0, 'Recently completed tasks should not be archived');
+        manager.getTaskById(recent.id).completedAt = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+        this.assert(await manager.archiveCompleted(7) === 1 && manager.getTasks().length === 1, 'Tasks completed long ago should be archived');
+
+        // Test 4: Archived tasks can be restored with their subtasks
+        const restored = await manager.restoreFromArchive(report.id);
+        this.assert(restored && restored.archivedAt === undefined, 'restoreFromArchive should return the restored task');
+        this.assert(manager.getTaskById(draft.id) && manager.getTaskById(draft.id).parentId === report.id, 'Subtasks should be restored with their parent');
+        archive = await manager.getArchive();
+        this.assert(archive.map(task => task.id).join() === String(recent.id), 'Restored tasks should leave the archive');
+        this.assert(await manager.restoreFromArchive(999) === null, 'Restoring a task that is not archived should return null');
+        this.assert(manager.undo() === 'Complete task', 'Archiving and restoring should keep the undo history');
+        this.assert(manager.getTaskById(report.id) && !manager.getTaskById(recent.id), 'Undo should neither lose restored tasks nor bring back archived ones');
+        manager.redo();
+
+        // Test 5: Auto-archiving runs once the data has loaded
+        manager.getTaskById(report.id).completedAt = '2020-01-01T00:00:00.000Z';
+        await manager.forceSave();
+        const reloaded = await this.createManager('test-archive', { crossTabSync: false, archiveAfterDays: 30 });
+        this.assert(reloaded.getTasks().map(task => task.title).join() === 'Still to do', 'Old completed tasks should be archived on load');
+        this.assert((await reloaded.getArchive()).length === 3, 'Auto-archived tasks should be added to the archive');
+
+        await reloaded.clearStorage();
+        this.assert((await reloaded.getArchive()).length === 0, 'Clearing storage should clear the archive');
+
+        // Test 6: Archive keys tell apart archived tasks that share an ID
+        const first = reloaded.addTask('First');
+        reloaded.completeTask(first.id);
+        await reloaded.archiveTask(first.id);
+        reloaded.importTasks([
+            { id: first.id, title: 'Second', priority: 'low', status: 'completed', createdAt: new Date().toISOString(), completedAt: new Date().toISOString() },
+            { id: first.id + 1, title: 'Second child', priority: 'low', status: 'completed', parentId: first.id, createdAt: new Date().toISOString(), completedAt: new Date().toISOString() }
+        ]);
+        await reloaded.archiveTask(first.id);
+        archive = await reloaded.getArchive();
+        const firstEntry = archive.find(task => task.title === 'First');
+        this.assert(archive.length === 3 && new Set(archive.map(task => task.archiveKey)).size === 2, 'Each archiving should get its own archive key');
+        const unarchived = await reloaded.restoreFromArchive(first.id, firstEntry.archiveKey);
+        this.assert(unarchived.title === 'First' && reloaded.getTasks().length === 1, 'restoreFromArchive should restore only the entry with the given archive key');
+        this.assert((await reloaded.restoreFromArchive(first.id)).title === 'Second' && reloaded.getTasks().length === 3, 'The remaining entry should be restored with its subtask');
+
+        await reloaded.clearStorage();
+        console.log('✅ Archive tests passed\n');
+    }
+
     /**
      * Test error handling
      */
-    testErrorHandling() {
+    async testErrorHandling() {
         console.log('Testing error handling...');
         
         // Test with invalid data
         const invalidData = { invalid: 'data' };
-        const saveResult = this.storageManager.save(invalidData);
+        const saveResult = await this.storageManager.save(invalidData);
         this.assert(saveResult === true, 'Should handle invalid data gracefully');
 
         // Test restore with invalid backup
         const invalidBackup = { invalid: 'backup' };
-        const restoreResult = this.storageManager.restoreFromBackup(invalidBackup);
+        const restoreResult = await this.storageManager.restoreFromBackup(invalidBackup);
         this.assert(restoreResult === false, 'Should reject invalid backup');
 
         // Test import with invalid file
         const invalidFile = new Blob(['invalid json'], { type: 'application/json' });
         invalidFile.name = 'invalid.json';
         
-        this.storageManager.importData(invalidFile).then(result => {
-            this.assert(result === null, 'Should handle invalid import gracefully');
-        });
+        const result = await this.storageManager.importData(invalidFile);
+        this.assert(result === null, 'Should handle invalid import gracefully');
 
         console.log('✅ Error handling tests passed\n');
     }
@@ -227,16 +1282,19 @@ class StorageTests {
     /**
      * Clean up test data
      */
-    cleanup() {
-        this.storageManager.clear();
-        this.persistentTaskManager.clearStorage();
-        console.log('🧹 Test cleanup completed');
+    async cleanup() {
+        await this.storageManager.clear();
+        await this.persistentTaskManager.clearStorage();
+        console.log(`🧹 Test cleanup completed (${this.adapter.name})\n`);
     }
 
     /**
      * Assert helper method
      */
     assert(condition, message) {
+        if (this.adapter) {
+            message = `[${this.adapter.name}] ${message}`;
+        }
         if (condition) {
             this.testResults.push({ status: 'PASS', message });
         } else {
@@ -265,12 +1323,82 @@ class StorageTests {
     }
 }
 
+/**
+ * In-memory server speaking the sync protocol of PersistentTaskManager.syncWithServer
+ * Pass server.fetch as the fetch server setting. Set offline to drop the connection, or
+ * failWith to an HTTP status to fail the next request.
+ */
+class MockSyncServer {
+    constructor() {
+        this.records = new Map();
+        this.sequence = 0;
+        this.offline = false;
+        this.failWith = null;
+        this.fetch = (url, init) => this.handle(url, init);
+    }
+
+    /**
+     * Answer a request the way fetch would
+     * @param {string} url - Request URL
+     * @param {Object} init - fetch options (method, body)
+     * @returns {Promise<Object>} Response with ok, status and json()
+     */
+    async handle(url, { method = 'GET', body = null } = {}) {
+        if (this.offline) {
+            throw new TypeError('Failed to fetch');
+        }
+        if (this.failWith) {
+            const status = this.failWith;
+            this.failWith = null;
+            return this.respond(status, { error: 'Mock failure' });
+        }
+
+        const { pathname, searchParams } = new URL(url);
+        if (!pathname.endsWith('/changes')) {
+            return this.respond(404, { error: 'Not found' });
+        }
+
+        if (method === 'POST') {
+            const results = JSON.parse(body).changes.map(change => {
+                const record = this.records.get(change.id);
+                const revision = record ? record.revision : 0;
+                if (change.baseRevision !== revision) {
+                    return { id: change.id, status: 'conflict', revision, task: record ? record.task : null };
+                }
+
+                this.records.set(change.id, {
+                    task: change.action === 'put' ? change.task : null,
+                    revision: revision + 1,
+                    sequence: ++this.sequence
+                });
+                return { id: change.id, status: 'ok', revision: revision + 1 };
+            });
+            return this.respond(200, { results });
+        }
+
+        const since = Number(searchParams.get('since')) || 0;
+        const changes = [...this.records]
+            .filter(([, record]) => record.sequence > since)
+            .map(([id, record]) => ({ id, revision: record.revision, task: record.task }));
+        return this.respond(200, { changes, token: String(this.sequence) });
+    }
+
+    respond(status, body) {
+        const text = JSON.stringify(body);
+        return { ok: status >= 200 && status < 300, status, json: async () => JSON.parse(text) };
+    }
+}
+
 // Auto-run tests when this file is loaded
 if (typeof window !== 'undefined') {
     // Browser environment
     window.StorageTests = StorageTests;
+    window.MockSyncServer = MockSyncServer;
     console.log('Storage tests loaded. Run "new StorageTests().runAllTests()" to execute tests.');
 } else {
     // Node.js environment
     module.exports = StorageTests;
+    if (require.main === module) {
+        new StorageTests().runAllTests();
+    }
 }
@@ -1,249 +1,2216 @@
 /**
- * StorageManager - Handles data persistence using localStorage
- * Provides methods for saving, loading, and managing task data
+ * StorageManager - Handles data persistence through a storage adapter
+ * Provides methods for saving, loading, and managing task data.
+ * With an asynchronous adapter (e.g. IndexedDB) save, load, clear, getStorageInfo,
+ * createBackup, restoreFromBackup, the restore point, sync state and archive methods return
+ * Promises of their usual results. So do they once storage is encrypted (see enableEncryption)
+ * or compression is on (see writeStoredValue), whatever the adapter.
  */
 
+// Node.js environment: load what a browser gets from the earlier <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./storageAdapters.js'));
+}
+
+/**
+ * Schema migrations, oldest first. Step N upgrades data from schema version N - 1 to N,
+ * so the current schema version is the version of the last step. Data saved before
+ * schema versions existed (including '1.0.0' exports) is schema version 0.
+ */
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Add fields for due dates, tags, subtasks, dependencies and recurrence',
+        migrate(data) {
+            // Missing timestamps come from the best date we know instead of "now"
+            const fallbackDate = data.lastSaved || data.exportedAt || null;
+            const tasks = (data.tasks || []).map(task => ({
+                ...task,
+                dueDate: task.dueDate || null,
+                tags: Array.isArray(task.tags) ? task.tags : [],
+                parentId: task.parentId != null ? task.parentId : null,
+                blockedBy: Array.isArray(task.blockedBy) ? task.blockedBy : [],
+                recurrence: task.recurrence || null,
+                createdAt: task.createdAt || task.updatedAt || task.completedAt || fallbackDate,
+                updatedAt: task.updatedAt || null,
+                completedAt: task.completedAt || (task.status === 'completed' ? task.updatedAt || fallbackDate : null)
+            }));
+            const maxId = tasks.reduce((max, task) => Math.max(max, Number(task.id) || 0), 0);
+
+            return { ...data, tasks, nextId: data.nextId || maxId + 1 };
+        }
+    },
+    {
+        version: 2,
+        description: 'Add the trash of deleted tasks',
+        migrate(data) {
+            return { ...data, trash: Array.isArray(data.trash) ? data.trash : [] };
+        }
+    }
+];
+
+/**
+ * Task fields written to CSV files, in column order
+ */
+const CSV_COLUMNS = [
+    'id', 'title', 'description', 'priority', 'status', 'dueDate', 'tags',
+    'parentId', 'blockedBy', 'recurrence', 'createdAt', 'updatedAt', 'completedAt'
+];
+
+/**
+ * Other CSV header names understood on import (compared lower-case, without spaces, _ or -)
+ */
+const CSV_COLUMN_ALIASES = {
+    name: 'title',
+    task: 'title',
+    notes: 'description',
+    due: 'dueDate',
+    labels: 'tags',
+    parent: 'parentId',
+    dependencies: 'blockedBy',
+    repeat: 'recurrence',
+    created: 'createdAt',
+    updated: 'updatedAt',
+    completed: 'completedAt'
+};
+
+/**
+ * iCalendar PRIORITY values written for each task priority (1 is highest, 9 lowest)
+ */
+const ICS_PRIORITIES = {
+    high: 1,
+    medium: 5,
+    low: 9
+};
+
+/**
+ * todo.txt priority letters written for each task priority
+ */
+const TODO_TXT_PRIORITIES = {
+    high: 'A',
+    medium: 'B',
+    low: 'C'
+};
+
+/**
+ * Words a todo.txt line ends with that are read as tags or extensions rather than as part of the title
+ */
+const TODO_TXT_TRAILING_WORD = /^(?:[+@]\S+|(?:due|id|parent|pri|title|desc|created|updated|completed):\S+)$/;
+
+/**
+ * Markdown checklist section headings, in the order they are written
+ */
+const MARKDOWN_PRIORITY_HEADINGS = {
+    high: 'High priority',
+    medium: 'Medium priority',
+    low: 'Low priority'
+};
+
+/**
+ * Marks stored values and export files encrypted with a passphrase. They are JSON objects
+ * { format, version, iterations, salt, iv, data } holding AES-GCM ciphertext under a key derived
+ * with PBKDF2 (SHA-256) from the passphrase, salt and iteration count; binary fields are base64.
+ */
+const ENCRYPTION_FORMAT = 'task-manager-encrypted';
+
+/**
+ * Marks compressed stored values: JSON objects { format, version, encoding, data } where data is
+ * the base64 gzip of the serialized value
+ */
+const COMPRESSION_FORMAT = 'task-manager-compressed';
+
+/**
+ * Error for storage problems the user can act on
+ * code is 'locked' (encrypted data and no passphrase yet), 'wrong-passphrase', 'corrupted'
+ * (encrypted data cannot be decrypted), 'not-encrypted', 'unsupported' (no WebCrypto or
+ * compression streams) or 'quota-exceeded' (the storage backend is full).
+ */
+class StorageError extends Error {
+    /**
+     * @param {string} message - Message to show the user
+     * @param {string} code - Error code
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = 'StorageError';
+        this.code = code;
+    }
+}
+
 class StorageManager {
-    constructor(storageKey = 'taskManagerData') {
+    /**
+     * @param {string} storageKey - Key the data is stored under
+     * @param {string|Object} adapter - Adapter name or instance (see storageAdapters.js)
+     */
+    constructor(storageKey = 'taskManagerData', adapter = 'localStorage') {
         this.storageKey = storageKey;
+        this.adapter = createStorageAdapter(adapter);
+        this.migrations = [...SCHEMA_MIGRATIONS];
+        this.restorePointRetention = { keepLast: 10, keepDays: 7 };
+        this.restorePointQueue = null;
+        this.encryptionIterations = 600000;
+        this.encryption = null;
+        this.isLocked = false;
+        this.pendingWrites = null;
+        this.compression = false;
+        this.quotaWarningThreshold = 0.8;
         this.isAvailable = this.checkStorageAvailability();
     }
 
     /**
-     * Check if localStorage is available
-     * @returns {boolean} True if localStorage is available
+     * Check if the storage backend is available
+     * @returns {boolean} True if the backend is available
      */
     checkStorageAvailability() {
+        const available = this.adapter.isAvailable();
+        if (!available) {
+            console.warn(`${this.adapter.name} is not available`);
+        }
+        return available;
+    }
+
+    /**
+     * Run an adapter operation and hand its result to onSuccess, or any error to onError
+     * Stays synchronous for synchronous adapters and returns a Promise for asynchronous ones.
+     * @param {Function} operation - Calls the adapter
+     * @param {Function} onSuccess - Receives the operation's result
+     * @param {Function} onError - Receives any error thrown or rejected
+     * @returns {*} Result of onSuccess/onError, or a Promise of it
+     */
+    callAdapter(operation, onSuccess, onError) {
         try {
-            const testKey = '__storage_test__';
-            localStorage.setItem(testKey, 'test');
-            localStorage.removeItem(testKey);
-            return true;
-        } catch (e) {
-            console.warn('localStorage is not available:', e.message);
-            return false;
+            const result = operation();
+            if (result && typeof result.then === 'function') {
+                return result.then(onSuccess).catch(onError);
+            }
+            return onSuccess(result);
+        } catch (error) {
+            return onError(error);
+        }
+    }
+
+    /**
+     * Pass a value that may be a Promise on to a callback
+     * @param {*} result - Plain value or Promise
+     * @param {Function} callback - Receives the resolved value
+     * @returns {*} Result of the callback, or a Promise of it
+     */
+    whenResolved(result, callback) {
+        if (result && typeof result.then === 'function') {
+            return result.then(callback);
         }
+        return callback(result);
     }
 
     /**
-     * Save data to localStorage
+     * Save data to storage, stamped with the current schema version
      * @param {Object} data - Data to save
-     * @returns {boolean} True if save was successful
+     * @returns {boolean|Promise<boolean>} True if save was successful
+     * @throws {StorageError} 'quota-exceeded' (rejects with an asynchronous adapter) if the
+     *   backend is full
      */
     save(data) {
         if (!this.isAvailable) {
-            console.error('Cannot save data: localStorage is not available');
+            console.error(`Cannot save data: ${this.adapter.name} is not available`);
             return false;
         }
 
-        try {
-            const serializedData = JSON.stringify(data);
-            localStorage.setItem(this.storageKey, serializedData);
-            console.log('Data saved successfully to localStorage');
-            return true;
-        } catch (error) {
-            console.error('Error saving data to localStorage:', error);
-            return false;
-        }
+        return this.callAdapter(
+            () => this.writeStoredValue(this.storageKey, {
+                ...data,
+                schemaVersion: this.getCurrentSchemaVersion()
+            }),
+            () => {
+                console.log(`Data saved successfully to ${this.adapter.name}`);
+                return true;
+            },
+            (error) => {
+                if (this.isQuotaError(error)) {
+                    throw new StorageError(`${this.adapter.name} is full, so your latest changes could not be saved`, 'quota-exceeded');
+                }
+                console.error(`Error saving data to ${this.adapter.name}:`, error);
+                return false;
+            }
+        );
     }
 
     /**
-     * Load data from localStorage
-     * @returns {Object|null} Loaded data or null if not found/error
+     * Load data from storage
+     * @returns {Object|null|Promise<Object|null>} Loaded data or null if not found/error
+     * @throws {StorageError} Rejects if the data is encrypted and storage is locked ('locked'),
+     *   or cannot be decrypted ('corrupted')
      */
     load() {
         if (!this.isAvailable) {
-            console.error('Cannot load data: localStorage is not available');
+            console.error(`Cannot load data: ${this.adapter.name} is not available`);
             return null;
         }
 
-        try {
-            const serializedData = localStorage.getItem(this.storageKey);
-            if (serializedData === null) {
-                console.log('No data found in localStorage');
+        return this.callAdapter(
+            () => this.readStoredValue(this.storageKey),
+            (data) => {
+                if (data === null) {
+                    console.log(`No data found in ${this.adapter.name}`);
+                    return null;
+                }
+
+                console.log(`Data loaded successfully from ${this.adapter.name}`);
+                return data;
+            },
+            (error) => {
+                if (error instanceof StorageError) {
+                    throw error;
+                }
+                console.error(`Error loading data from ${this.adapter.name}:`, error);
                 return null;
             }
+        );
+    }
 
-            const data = JSON.parse(serializedData);
-            console.log('Data loaded successfully from localStorage');
-            return data;
-        } catch (error) {
-            console.error('Error loading data from localStorage:', error);
-            return null;
+    /**
+     * Clear all data from storage
+     * @returns {boolean|Promise<boolean>} True if clear was successful
+     */
+    clear() {
+        if (!this.isAvailable) {
+            console.error(`Cannot clear data: ${this.adapter.name} is not available`);
+            return false;
         }
+
+        return this.callAdapter(
+            () => this.adapter.clear(this.storageKey),
+            () => {
+                // With the locked data gone, new data is stored unencrypted
+                this.isLocked = false;
+                console.log(`Data cleared successfully from ${this.adapter.name}`);
+                return true;
+            },
+            (error) => {
+                console.error(`Error clearing data from ${this.adapter.name}:`, error);
+                return false;
+            }
+        );
     }
 
     /**
-     * Clear all data from localStorage
-     * @returns {boolean} True if clear was successful
+     * Get storage usage information without writing anything
+     * @returns {Object|Promise<Object>} Storage usage statistics: dataSize is the size of the
+     *   stored tasks; usedSize is everything stored in the backend (restore points and other
+     *   apps' data count towards the quota too), falling back to dataSize when the backend cannot
+     *   tell; usagePercentage, remainingSize and nearQuota compare usedSize with totalCapacity;
+     *   estimated is true if totalCapacity is a guess
      */
-    clear() {
+    getStorageInfo() {
         if (!this.isAvailable) {
-            console.error('Cannot clear data: localStorage is not available');
+            return { available: false, error: `${this.adapter.name} not available` };
+        }
+
+        const toKB = (size) => size === null ? null : Math.round(size / 1024 * 100) / 100;
+
+        return this.callAdapter(
+            () => this.adapter.load(this.storageKey),
+            (data) => this.whenResolved(this.getQuotaEstimate(), (estimate) => {
+                if (estimate.error) {
+                    return { available: false, error: estimate.error };
+                }
+
+                const dataSize = data ? new Blob([data]).size : 0;
+                const usedSize = estimate.usedSize !== null ? estimate.usedSize : dataSize;
+                const totalCapacity = estimate.totalCapacity;
+                const usage = totalCapacity ? usedSize / totalCapacity : 0;
+
+                return {
+                    available: true,
+                    adapter: this.adapter.name,
+                    dataSize: dataSize,
+                    dataSizeKB: toKB(dataSize),
+                    usedSize: usedSize,
+                    usedSizeKB: toKB(usedSize),
+                    totalCapacity: totalCapacity,
+                    totalCapacityKB: toKB(totalCapacity),
+                    remainingSize: totalCapacity ? Math.max(totalCapacity - usedSize, 0) : null,
+                    usagePercentage: Math.round(usage * 100),
+                    nearQuota: usage >= this.quotaWarningThreshold,
+                    estimated: estimate.estimated,
+                    compression: this.compression && this.canCompress()
+                };
+            }),
+            (error) => ({ available: false, error: error.message })
+        );
+    }
+
+    /**
+     * Ask the adapter how full the backend is
+     * Cheaper than getStorageInfo, as the stored data is not read.
+     * @returns {Object|Promise<Object>} { totalCapacity, usedSize, usagePercentage, nearQuota,
+     *   estimated } where sizes are null when unknown (nearQuota is then false), or { error }
+     */
+    getQuotaEstimate() {
+        return this.callAdapter(
+            () => this.adapter.info(),
+            ({ capacity, used = null, estimated = false }) => {
+                const totalCapacity = capacity || null;
+                const usedSize = used !== null && used !== undefined ? used : null;
+                const usage = totalCapacity && usedSize !== null ? usedSize / totalCapacity : 0;
+
+                return {
+                    totalCapacity,
+                    usedSize,
+                    usagePercentage: Math.round(usage * 100),
+                    nearQuota: usage >= this.quotaWarningThreshold,
+                    estimated: !!estimated
+                };
+            },
+            (error) => ({ error: error.message })
+        );
+    }
+
+    /**
+     * Check whether an adapter error means the backend is full
+     * @param {Error} error - Error thrown or rejected by the adapter
+     * @returns {boolean} True for browser quota errors (localStorage and IndexedDB) and a full disk
+     */
+    isQuotaError(error) {
+        if (!error) {
+            return false;
+        }
+        return error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || // Older Firefox
+            error.code === 22 || error.code === 1014 ||
+            error.code === 'ENOSPC' ||
+            (error instanceof StorageError && error.code === 'quota-exceeded');
+    }
+
+    /**
+     * Export data as downloadable file
+     * The file is encrypted when a passphrase is given, or with the storage passphrase while
+     * storage is encrypted; importData decrypts it.
+     * @param {Object} data - Data to export
+     * @param {string} filename - Name of the file
+     * @param {Object} options - Export options
+     * @param {string} options.passphrase - Passphrase to encrypt the file with
+     * @returns {boolean|Promise<boolean>} True if export was successful; a Promise when encrypting
+     */
+    exportData(data, filename = 'task-manager-backup.json', { passphrase = null } = {}) {
+        const download = (content) => {
+            this.downloadFile(content, filename, 'application/json');
+            console.log(`Data exported successfully as ${filename}`);
+            return true;
+        };
+        const fail = (error) => {
+            console.error('Error exporting data:', error);
             return false;
+        };
+
+        try {
+            const serializedData = JSON.stringify(data, null, 2);
+            if (passphrase === null && !this.encryption) {
+                return download(serializedData);
+            }
+
+            const encryption = passphrase === null ? Promise.resolve(this.encryption) : this.deriveEncryption(passphrase);
+            return encryption
+                .then(key => this.encryptText(serializedData, key))
+                .then(download)
+                .catch(fail);
+        } catch (error) {
+            return fail(error);
         }
+    }
 
+    /**
+     * Export tasks as a downloadable CSV file
+     * @param {Array} tasks - Tasks to export
+     * @param {string} filename - Name of the file
+     * @param {Object} options - CSV options (see tasksToCSV)
+     * @returns {boolean} True if export was successful
+     */
+    exportCSV(tasks, filename = 'tasks.csv', options = {}) {
         try {
-            localStorage.removeItem(this.storageKey);
-            console.log('Data cleared successfully from localStorage');
+            this.downloadFile(this.tasksToCSV(tasks, options), filename, 'text/csv;charset=utf-8');
+            console.log(`Tasks exported successfully as ${filename}`);
             return true;
         } catch (error) {
-            console.error('Error clearing data from localStorage:', error);
+            console.error('Error exporting CSV:', error);
             return false;
         }
     }
 
     /**
-     * Get storage usage information
-     * @returns {Object} Storage usage statistics
+     * Export tasks as a downloadable iCalendar file of VTODO components
+     * @param {Array} tasks - Tasks to export
+     * @param {string} filename - Name of the file
+     * @returns {boolean} True if export was successful
      */
-    getStorageInfo() {
-        if (!this.isAvailable) {
-            return { available: false, error: 'localStorage not available' };
+    exportICS(tasks, filename = 'tasks.ics') {
+        try {
+            this.downloadFile(this.tasksToICS(tasks), filename, 'text/calendar;charset=utf-8');
+            console.log(`Tasks exported successfully as ${filename}`);
+            return true;
+        } catch (error) {
+            console.error('Error exporting iCalendar file:', error);
+            return false;
         }
+    }
 
+    /**
+     * Export tasks as a downloadable todo.txt file
+     * @param {Array} tasks - Tasks to export
+     * @param {string} filename - Name of the file
+     * @returns {boolean} True if export was successful
+     */
+    exportTodoTxt(tasks, filename = 'todo.txt') {
         try {
-            const data = localStorage.getItem(this.storageKey);
-            const dataSize = data ? new Blob([data]).size : 0;
-            
-            // Estimate total localStorage capacity (varies by browser)
-            let totalCapacity = 0;
-            try {
-                // Try to estimate capacity by filling storage
-                let testData = '';
-                while (true) {
-                    testData += 'x'.repeat(1024); // 1KB chunks
-                    localStorage.setItem('__capacity_test__', testData);
-                }
-            } catch (e) {
-                totalCapacity = testData.length;
-                localStorage.removeItem('__capacity_test__');
-            }
-
-            return {
-                available: true,
-                dataSize: dataSize,
-                dataSizeKB: Math.round(dataSize / 1024 * 100) / 100,
-                totalCapacity: totalCapacity,
-                totalCapacityKB: Math.round(totalCapacity / 1024 * 100) / 100,
-                usagePercentage: totalCapacity > 0 ? Math.round((dataSize / totalCapacity) * 100) : 0
-            };
+            this.downloadFile(this.tasksToTodoTxt(tasks), filename, 'text/plain;charset=utf-8');
+            console.log(`Tasks exported successfully as ${filename}`);
+            return true;
         } catch (error) {
-            return { available: false, error: error.message };
+            console.error('Error exporting todo.txt file:', error);
+            return false;
         }
     }
 
     /**
-     * Export data as downloadable file
-     * @param {Object} data - Data to export
+     * Export tasks as a downloadable Markdown checklist
+     * @param {Array} tasks - Tasks to export
      * @param {string} filename - Name of the file
      * @returns {boolean} True if export was successful
      */
-    exportData(data, filename = 'task-manager-backup.json') {
+    exportMarkdown(tasks, filename = 'tasks.md') {
         try {
-            const serializedData = JSON.stringify(data, null, 2);
-            const blob = new Blob([serializedData], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = filename;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
-            
-            console.log(`Data exported successfully as ${filename}`);
+            this.downloadFile(this.tasksToMarkdown(tasks), filename, 'text/markdown;charset=utf-8');
+            console.log(`Tasks exported successfully as ${filename}`);
             return true;
         } catch (error) {
-            console.error('Error exporting data:', error);
+            console.error('Error exporting Markdown file:', error);
             return false;
         }
     }
 
     /**
-     * Import data from file
+     * Offer text content as a file download (under Node.js, write it to disk instead)
+     * @param {string} content - File content
+     * @param {string} filename - Name of the file (its path under Node.js)
+     * @param {string} type - MIME type
+     */
+    downloadFile(content, filename, type) {
+        if (typeof document === 'undefined' && typeof require === 'function') {
+            require('fs').writeFileSync(filename, content, 'utf8');
+            return;
+        }
+
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Import data from file, decrypting it if it was exported encrypted
      * @param {File} file - File to import
+     * @param {string} passphrase - Passphrase of an encrypted file (not needed for files exported
+     *   with the current storage passphrase)
      * @returns {Promise<Object|null>} Imported data or null if error
+     * @throws {StorageError} Rejects if the file is encrypted and the passphrase is missing
+     *   ('locked') or wrong ('wrong-passphrase')
      */
-    async importData(file) {
-        return new Promise((resolve) => {
-            if (!file) {
-                resolve(null);
-                return;
+    async importData(file, passphrase = null) {
+        if (!file) {
+            return null;
+        }
+
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            console.error('Error reading file:', error);
+            return null;
+        }
+
+        const decryptedText = await this.decryptText(text, passphrase);
+        try {
+            const data = JSON.parse(decryptedText);
+            console.log('Data imported successfully from file');
+            return data;
+        } catch (error) {
+            console.error('Error parsing imported file:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Serialize tasks as RFC 4180 CSV with a header row
+     * Tags and dependencies are comma-separated within their cell; a recurrence rule is written
+     * as its frequency when it is a plain "every day/week/month" rule and as JSON otherwise.
+     * @param {Array} tasks - Tasks to serialize
+     * @param {Object} options - Options
+     * @param {string} options.delimiter - Field delimiter (default ',')
+     * @param {boolean} options.bom - Start with a UTF-8 byte order mark, which Excel needs to detect UTF-8
+     * @returns {string} CSV text with CRLF line endings
+     */
+    tasksToCSV(tasks, { delimiter = ',', bom = false } = {}) {
+        this.checkCSVDelimiter(delimiter);
+
+        const formatValue = (task, column) => {
+            const value = task[column];
+            if (value === null || value === undefined) {
+                return '';
+            }
+            if (column === 'tags' || column === 'blockedBy') {
+                return value.join(', ');
             }
+            if (column === 'recurrence') {
+                const isPlain = value.interval === 1 && (value.weekdays || []).length === 0 &&
+                    !value.endDate && !value.count && (value.occurrence || 1) === 1 &&
+                    (value.dayOfMonth === null || value.dayOfMonth === undefined);
+                return isPlain ? value.frequency : JSON.stringify(value);
+            }
+            return String(value);
+        };
+        const quote = (field) => (
+            field.includes(delimiter) || /["\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field
+        );
 
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const data = JSON.parse(e.target.result);
-                    console.log('Data imported successfully from file');
-                    resolve(data);
-                } catch (error) {
-                    console.error('Error parsing imported file:', error);
-                    resolve(null);
-                }
-            };
-            reader.onerror = () => {
-                console.error('Error reading file');
-                resolve(null);
+        const rows = [CSV_COLUMNS, ...tasks.map(task => CSV_COLUMNS.map(column => formatValue(task, column)))];
+        return (bom ? '\uFEFF' : '') + rows.map(row => row.map(quote).join(delimiter)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Parse CSV text into task records using its header row
+     * Headers are matched to task fields by name (case, spaces, _ and - ignored), then by
+     * CSV_COLUMN_ALIASES; options.columnMap maps any other header to a field.
+     * Rows without an ID get one after the highest ID in the file.
+     * @param {string} text - CSV text
+     * @param {Object} options - Options
+     * @param {string} options.delimiter - Field delimiter (detected from the header row when omitted)
+     * @param {Object} options.columnMap - Header name to task field, e.g. { 'Owner notes': 'description' }
+     * @returns {Object} { tasks, ignoredColumns } where ignoredColumns lists unmapped headers
+     * @throws {Error} If the CSV is malformed or has no title column
+     */
+    csvToTasks(text, { delimiter = null, columnMap = {} } = {}) {
+        const rows = this.parseCSV(text, delimiter || this.detectCSVDelimiter(text));
+        if (rows.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        const simplify = (name) => String(name).trim().toLowerCase().replace(/[\s_-]+/g, '');
+        const fieldsByName = {};
+        CSV_COLUMNS.forEach(column => { fieldsByName[simplify(column)] = column; });
+        Object.keys(CSV_COLUMN_ALIASES).forEach(alias => { fieldsByName[alias] = CSV_COLUMN_ALIASES[alias]; });
+        const explicit = {};
+        Object.keys(columnMap).forEach(header => { explicit[simplify(header)] = columnMap[header]; });
+
+        const headers = rows[0];
+        const fields = headers.map(header => explicit[simplify(header)] || fieldsByName[simplify(header)] || null);
+        if (!fields.includes('title')) {
+            throw new Error('CSV file has no title column');
+        }
+
+        const toId = (value) => (/^\d+$/.test(value.trim()) ? Number(value) : null);
+        const toList = (value) => value.split(/[,;]/).map(item => item.trim()).filter(item => item !== '');
+        const parseRecurrence = (value) => {
+            if (value.trim().startsWith('{')) {
+                return JSON.parse(value);
+            }
+            return {
+                frequency: value.trim().toLowerCase(),
+                interval: 1,
+                weekdays: [],
+                dayOfMonth: null,
+                endDate: null,
+                count: null,
+                occurrence: 1
             };
-            reader.readAsText(file);
+        };
+
+        const tasks = rows.slice(1)
+            .filter(row => row.some(cell => cell.trim() !== ''))
+            .map(row => {
+                const cells = {};
+                fields.forEach((field, index) => {
+                    if (field) cells[field] = row[index] === undefined ? '' : row[index];
+                });
+                const cell = (field) => (cells[field] || '').trim();
+                const completedAt = cell('completedAt') || null;
+
+                return {
+                    id: toId(cell('id')),
+                    title: cell('title'),
+                    description: cells.description || '',
+                    priority: cell('priority').toLowerCase() || 'medium',
+                    status: cell('status').toLowerCase() || (completedAt ? 'completed' : 'pending'),
+                    dueDate: cell('dueDate') || null,
+                    tags: [...new Set(toList(cell('tags')).map(tag => tag.toLowerCase()))],
+                    parentId: toId(cell('parentId')),
+                    blockedBy: toList(cell('blockedBy')).map(toId).filter(id => id !== null),
+                    recurrence: cell('recurrence') ? parseRecurrence(cell('recurrence')) : null,
+                    createdAt: cell('createdAt') || new Date().toISOString(),
+                    updatedAt: cell('updatedAt') || null,
+                    completedAt
+                };
+            });
+
+        let nextId = tasks.reduce((max, task) => Math.max(max, task.id || 0), 0) + 1;
+        tasks.forEach(task => {
+            if (task.id === null) {
+                task.id = nextId++;
+            }
         });
+
+        return {
+            tasks,
+            ignoredColumns: headers.filter((header, index) => fields[index] === null && header.trim() !== '')
+        };
     }
 
     /**
-     * Create a backup of current data
-     * @returns {Object} Backup data with timestamp
+     * Split CSV text into rows of fields (RFC 4180)
+     * Fields may be quoted; quoted fields can contain the delimiter, line breaks and "" for a quote.
+     * Accepts CRLF or LF line endings and ignores a leading byte order mark.
+     * @param {string} text - CSV text
+     * @param {string} delimiter - Field delimiter
+     * @returns {Array} Rows, each an array of field strings
+     * @throws {Error} If a quoted field is not closed
      */
-    createBackup() {
-        const data = this.load();
-        if (!data) {
-            return null;
+    parseCSV(text, delimiter = ',') {
+        this.checkCSVDelimiter(delimiter);
+
+        const input = String(text).replace(/^\uFEFF/, '');
+        const rows = [];
+        let row = [];
+        let field = '';
+        let i = 0;
+        let line = 1;
+
+        while (i < input.length) {
+            const char = input[i];
+
+            if (char === '"' && field === '') {
+                // Quoted field: read up to the closing quote
+                const startLine = line;
+                i++;
+                while (true) {
+                    if (i >= input.length) {
+                        throw new Error(`CSV parse error: unterminated quoted field starting on line ${startLine}`);
+                    }
+                    if (input[i] === '"') {
+                        if (input[i + 1] === '"') {
+                            field += '"';
+                            i += 2;
+                            continue;
+                        }
+                        i++;
+                        break;
+                    }
+                    if (input[i] === '\n') line++;
+                    field += input[i];
+                    i++;
+                }
+                continue;
+            }
+
+            if (char === delimiter) {
+                row.push(field);
+                field = '';
+                i++;
+            } else if (char === '\r' || char === '\n') {
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+                i += char === '\r' && input[i + 1] === '\n' ? 2 : 1;
+                line++;
+            } else {
+                field += char;
+                i++;
+            }
         }
 
-        const backup = {
-            timestamp: new Date().toISOString(),
-            version: '1.0.0',
-            data: data
-        };
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
 
-        return backup;
+    /**
+     * Guess the delimiter from the header row: the most common of comma, semicolon and tab
+     * @param {string} text - CSV text
+     * @returns {string} Delimiter
+     */
+    detectCSVDelimiter(text) {
+        const header = String(text).replace(/^\uFEFF/, '').split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+        const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: header.split(delimiter).length - 1 }));
+        return counts.reduce((best, candidate) => (candidate.count > best.count ? candidate : best)).delimiter;
     }
 
     /**
-     * Restore data from backup
-     * @param {Object} backup - Backup data
-     * @returns {boolean} True if restore was successful
+     * Make sure a CSV delimiter is a single character other than a quote or line break
+     * @param {string} delimiter - Delimiter to check
+     * @throws {Error} If the delimiter cannot be used
      */
-    restoreFromBackup(backup) {
-        if (!backup || !backup.data) {
-            console.error('Invalid backup data');
-            return false;
+    checkCSVDelimiter(delimiter) {
+        if (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+            throw new Error('Invalid CSV delimiter');
         }
+    }
 
-        return this.save(backup.data);
+    /**
+     * Serialize tasks as an iCalendar (RFC 5545) file with one VTODO per task
+     * Priorities map to 1 (high), 5 (medium) and 9 (low). Subtasks point at their parent with RELATED-TO.
+     * @param {Array} tasks - Tasks to serialize
+     * @returns {string} iCalendar text with CRLF line endings and lines folded at 75 octets
+     */
+    tasksToICS(tasks) {
+        const stamp = this.formatICSDateTime(new Date().toISOString());
+        const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Task Manager//EN', 'CALSCALE:GREGORIAN'];
+
+        tasks.forEach(task => {
+            lines.push('BEGIN:VTODO', `UID:${this.getICSUid(task.id)}`, `DTSTAMP:${stamp}`);
+            if (task.createdAt) lines.push(`CREATED:${this.formatICSDateTime(task.createdAt)}`);
+            if (task.updatedAt) lines.push(`LAST-MODIFIED:${this.formatICSDateTime(task.updatedAt)}`);
+            lines.push(`SUMMARY:${this.escapeICSText(task.title)}`);
+            if (task.description) lines.push(`DESCRIPTION:${this.escapeICSText(task.description)}`);
+            lines.push(`PRIORITY:${ICS_PRIORITIES[task.priority] || 0}`);
+            lines.push(`STATUS:${task.status === 'completed' ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+            if (task.dueDate) lines.push(`DUE;VALUE=DATE:${task.dueDate.replace(/-/g, '')}`);
+            if (task.completedAt) lines.push(`COMPLETED:${this.formatICSDateTime(task.completedAt)}`);
+            if ((task.tags || []).length > 0) lines.push(`CATEGORIES:${task.tags.map(tag => this.escapeICSText(tag)).join(',')}`);
+            if (task.parentId !== null && task.parentId !== undefined) lines.push(`RELATED-TO:${this.getICSUid(task.parentId)}`);
+            lines.push('END:VTODO');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldICSLine(line)).join('\r\n') + '\r\n';
     }
 
     /**
-     * Migrate data from old format to new format
-     * @param {Object} oldData - Data in old format
-     * @returns {Object} Data in new format
+     * Parse the VTODO components of an iCalendar file into task records
+     * Tasks exported by tasksToICS keep their IDs; others get IDs after the highest one in the file.
+     * Nested components such as VALARM are ignored, as are events and other component types.
+     * @param {string} text - iCalendar text
+     * @returns {Array} Task records
+     * @throws {Error} If the file is not a calendar or its components are not properly closed
      */
-    migrateData(oldData) {
-        // Example migration logic
-        if (oldData && oldData.tasks) {
-            // Add new fields if they don't exist
-            oldData.tasks.forEach(task => {
-                if (!task.createdAt) {
-                    task.createdAt = new Date().toISOString();
+    icsToTasks(text) {
+        const lines = this.unfoldICS(text);
+        if (!lines.some(({ line }) => /^BEGIN:VCALENDAR$/i.test(line))) {
+            throw new Error('File is not an iCalendar file');
+        }
+
+        const todos = [];
+        const stack = [];
+        lines.forEach(({ line, number }) => {
+            if (line.trim() === '') {
+                return;
+            }
+            const property = this.parseICSProperty(line, number);
+            if (property.name === 'BEGIN') {
+                stack.push(property.value.toUpperCase());
+                if (stack.join('/') === 'VCALENDAR/VTODO') {
+                    todos.push([]);
                 }
-                if (!task.completedAt && task.status === 'completed') {
-                    task.completedAt = new Date().toISOString();
+            } else if (property.name === 'END') {
+                const open = stack.pop();
+                if (open !== property.value.toUpperCase()) {
+                    throw new Error(`iCalendar parse error: unexpected END:${property.value} on line ${number}`);
                 }
-            });
+            } else if (stack.join('/') === 'VCALENDAR/VTODO') {
+                todos[todos.length - 1].push(property);
+            }
+        });
+        if (stack.length > 0) {
+            throw new Error(`iCalendar parse error: ${stack[stack.length - 1]} is not closed`);
         }
 
-        return oldData;
+        const records = todos.map(properties => {
+            const get = (name) => properties.find(property => property.name === name) || null;
+            const textOf = (name) => (get(name) ? this.unescapeICSText(get(name).value) : '');
+            const date = (name) => (get(name) ? this.parseICSDate(get(name)) : null);
+            const priority = get('PRIORITY') ? Number(get('PRIORITY').value) : 0;
+            const completedAt = date('COMPLETED');
+            const status = get('STATUS') ? get('STATUS').value.toUpperCase() : '';
+            const parent = properties.find(property => property.name === 'RELATED-TO' &&
+                (property.params.RELTYPE || 'PARENT').toUpperCase() === 'PARENT');
+            const due = get('DUE') && this.parseICSDate(get('DUE')) ? get('DUE').value.trim() : null;
+
+            return {
+                uid: textOf('UID'),
+                parentUid: parent ? this.unescapeICSText(parent.value) : null,
+                task: {
+                    id: null,
+                    title: textOf('SUMMARY').trim(),
+                    description: textOf('DESCRIPTION'),
+                    priority: priority >= 1 && priority <= 4 ? 'high' : priority >= 6 && priority <= 9 ? 'low' : 'medium',
+                    status: status === 'COMPLETED' || (!status && completedAt) ? 'completed' : 'pending',
+                    dueDate: due ? `${due.slice(0, 4)}-${due.slice(4, 6)}-${due.slice(6, 8)}` : null,
+                    tags: [...new Set(properties
+                        .filter(property => property.name === 'CATEGORIES')
+                        .flatMap(property => property.value.split(/(?<!\\),/))
+                        .map(tag => this.unescapeICSText(tag).trim().toLowerCase())
+                        .filter(tag => tag !== ''))],
+                    parentId: null,
+                    blockedBy: [],
+                    recurrence: null,
+                    createdAt: date('CREATED') || date('DTSTAMP') || new Date().toISOString(),
+                    updatedAt: date('LAST-MODIFIED'),
+                    completedAt
+                }
+            };
+        });
+
+        // Keep our own IDs, then number the rest
+        records.forEach(record => {
+            const match = /^task-(\d+)@task-manager$/.exec(record.uid);
+            record.task.id = match ? Number(match[1]) : null;
+        });
+        this.assignImportedIds(records);
+        const idsByUid = {};
+        records.forEach(record => {
+            if (record.uid && !(record.uid in idsByUid)) {
+                idsByUid[record.uid] = record.task.id;
+            }
+        });
+        records.forEach(record => {
+            const parentId = idsByUid[record.parentUid];
+            record.task.parentId = parentId !== undefined && parentId !== record.task.id ? parentId : null;
+        });
+
+        return records.map(record => record.task);
+    }
+
+    /**
+     * Get the iCalendar UID of a task
+     * @param {number} id - Task ID
+     * @returns {string} UID
+     */
+    getICSUid(id) {
+        return `task-${id}@task-manager`;
     }
+
+    /**
+     * Split a content line into its name, parameters and value
+     * @param {string} line - Unfolded content line
+     * @param {number} number - Line number for error messages
+     * @returns {Object} { name, params, value } with the name and parameter names upper-cased
+     * @throws {Error} If the line has no value
+     */
+    parseICSProperty(line, number) {
+        // The value starts at the first colon outside a quoted parameter value
+        let inQuotes = false;
+        let colon = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') {
+                inQuotes = !inQuotes;
+            } else if (line[i] === ':' && !inQuotes) {
+                colon = i;
+                break;
+            }
+        }
+        if (colon <= 0) {
+            throw new Error(`iCalendar parse error: expected NAME:value on line ${number}`);
+        }
+
+        const [name, ...paramParts] = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g);
+        const params = {};
+        paramParts.forEach(part => {
+            const separator = part.indexOf('=');
+            if (separator > 0) {
+                params[part.slice(0, separator).toUpperCase()] = part.slice(separator + 1).replace(/^"|"$/g, '');
+            }
+        });
+        return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    }
+
+    /**
+     * Undo line folding: a line break followed by a space or tab continues the previous line
+     * @param {string} text - iCalendar text
+     * @returns {Array} { line, number } for every content line, numbered from its first physical line
+     */
+    unfoldICS(text) {
+        const lines = [];
+        String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+            if (/^[ \t]/.test(line) && lines.length > 0) {
+                lines[lines.length - 1].line += line.slice(1);
+            } else {
+                lines.push({ line, number: index + 1 });
+            }
+        });
+        return lines;
+    }
+
+    /**
+     * Fold a content line so no physical line is longer than 75 octets of UTF-8
+     * Never splits a character, including characters outside the Basic Multilingual Plane.
+     * @param {string} line - Content line
+     * @returns {string} Folded line joined with CRLF and a space
+     */
+    foldICSLine(line) {
+        const parts = [];
+        let current = '';
+        let octets = 0;
+        for (const char of line) {
+            const code = char.codePointAt(0);
+            const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+            // Continuation lines start with a space, which counts towards their limit
+            if (octets + size > (parts.length === 0 ? 75 : 74)) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Escape a TEXT value: backslashes, semicolons, commas and line breaks
+     * @param {string} value - Text
+     * @returns {string} Escaped text
+     */
+    escapeICSText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Reverse escapeICSText
+     * @param {string} value - Escaped text
+     * @returns {string} Text
+     */
+    unescapeICSText(value) {
+        return String(value).replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    /**
+     * Format an ISO timestamp as a UTC DATE-TIME value
+     * @param {string} isoString - ISO 8601 timestamp
+     * @returns {string} Value such as 20240101T093000Z
+     */
+    formatICSDateTime(isoString) {
+        return new Date(isoString).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Parse a DATE or DATE-TIME property value
+     * Times without a Z (floating or with a TZID) are read as local time.
+     * @param {Object} property - Parsed property
+     * @returns {string|null} ISO timestamp, or YYYY-MM-DD for DATE values; null if the value is invalid
+     */
+    parseICSDate(property) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(property.value.trim());
+        if (!match) {
+            return null;
+        }
+        const [, year, month, day, hours, minutes, seconds, utc] = match;
+        if (hours === undefined) {
+            return `${year}-${month}-${day}`;
+        }
+        const date = utc
+            ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+            : new Date(year, month - 1, day, hours, minutes, seconds);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    /**
+     * Serialize tasks in todo.txt format, one task per line
+     * Priorities are written as (A) high, (B) medium and (C) low, tags as +projects. Everything else that
+     * todo.txt has no syntax for is kept in key:value extensions so the file reads back without loss:
+     * due, id, parent, desc (URI-encoded description), created, updated and completed (full timestamps).
+     * A title that would not read back as written (one ending in a tag or extension, or starting with
+     * a date where the line has none) is written URI-encoded in a title extension instead.
+     * @param {Array} tasks - Tasks to serialize
+     * @returns {string} todo.txt text
+     */
+    tasksToTodoTxt(tasks) {
+        return tasks.map(task => {
+            const parts = [];
+            const isCompleted = task.status === 'completed';
+            if (isCompleted) {
+                parts.push('x');
+                if (task.completedAt) parts.push(this.formatLocalDate(task.completedAt));
+            } else {
+                parts.push(`(${TODO_TXT_PRIORITIES[task.priority] || 'B'})`);
+            }
+            // A lone date after "x" would be read as the completion date
+            const hasCreationDate = task.createdAt && (!isCompleted || task.completedAt);
+            if (hasCreationDate) {
+                parts.push(this.formatLocalDate(task.createdAt));
+            }
+
+            const titleWords = task.title.split(/\s+/);
+            const escapeTitle = TODO_TXT_TRAILING_WORD.test(titleWords[titleWords.length - 1]) ||
+                (!hasCreationDate && /^\d{4}-\d{2}-\d{2}$/.test(titleWords[0]));
+            if (!escapeTitle) {
+                parts.push(task.title);
+            }
+            (task.tags || []).filter(tag => escapeTitle || !titleWords.includes(`+${tag}`)).forEach(tag => parts.push(`+${tag}`));
+            if (escapeTitle) parts.push(`title:${encodeURIComponent(task.title)}`);
+            if (task.dueDate) parts.push(`due:${task.dueDate}`);
+            if (isCompleted) parts.push(`pri:${TODO_TXT_PRIORITIES[task.priority] || 'B'}`);
+            parts.push(`id:${task.id}`);
+            if (task.parentId !== null && task.parentId !== undefined) parts.push(`parent:${task.parentId}`);
+            if (task.description) parts.push(`desc:${encodeURIComponent(task.description)}`);
+            if (task.createdAt) parts.push(`created:${task.createdAt}`);
+            if (task.updatedAt) parts.push(`updated:${task.updatedAt}`);
+            if (task.completedAt) parts.push(`completed:${task.completedAt}`);
+            return parts.join(' ');
+        }).join('\n') + (tasks.length > 0 ? '\n' : '');
+    }
+
+    /**
+     * Parse todo.txt text into task records
+     * +project and @context words become tags. Words in the middle of a line stay in the title; the
+     * trailing run of tags and known key:value extensions (see tasksToTodoTxt) is removed from it, and
+     * a title extension replaces it. Priority letters after C import as low and lines without one as medium.
+     * @param {string} text - todo.txt text
+     * @returns {Array} Task records
+     */
+    todoTxtToTasks(text) {
+        const isDate = (word) => /^\d{4}-\d{2}-\d{2}$/.test(word || '');
+        const isTag = (word) => /^[+@]\S+$/.test(word);
+        const extension = /^(due|id|parent|pri|title|desc|created|updated|completed):(\S+)$/;
+        const decode = (value) => {
+            try {
+                return decodeURIComponent(value);
+            } catch (e) {
+                return value;
+            }
+        };
+        const toPriority = (letter) => (
+            letter === 'A' ? 'high' : letter === 'B' ? 'medium' : /^[C-Z]$/.test(letter || '') ? 'low' : 'medium'
+        );
+
+        const records = String(text).replace(/^\uFEFF/, '').split(/\r?\n/)
+            .filter(line => line.trim() !== '')
+            .map(line => {
+                const words = line.trim().split(/\s+/);
+                let isCompleted = false;
+                let letter = null;
+                let completionDate = null;
+                let creationDate = null;
+
+                if (words[0] === 'x') {
+                    isCompleted = true;
+                    words.shift();
+                    if (isDate(words[0])) completionDate = words.shift();
+                } else if (/^\([A-Z]\)$/.test(words[0])) {
+                    letter = words.shift()[1];
+                }
+                if (isDate(words[0])) creationDate = words.shift();
+
+                const extensions = {};
+                const tags = [];
+                while (words.length > 0 && TODO_TXT_TRAILING_WORD.test(words[words.length - 1])) {
+                    const word = words.pop();
+                    const match = extension.exec(word);
+                    if (match) {
+                        extensions[match[1]] = match[2];
+                    } else {
+                        tags.unshift(word.slice(1));
+                    }
+                }
+                tags.unshift(...words.filter(isTag).map(word => word.slice(1)));
+
+                return {
+                    parent: extensions.parent,
+                    task: {
+                        id: /^\d+$/.test(extensions.id || '') ? Number(extensions.id) : null,
+                        title: extensions.title ? decode(extensions.title) : words.join(' '),
+                        description: extensions.desc ? decode(extensions.desc) : '',
+                        priority: toPriority(letter || extensions.pri),
+                        status: isCompleted ? 'completed' : 'pending',
+                        dueDate: isDate(extensions.due) ? extensions.due : null,
+                        tags: [...new Set(tags.map(tag => tag.toLowerCase()))],
+                        parentId: null,
+                        blockedBy: [],
+                        recurrence: null,
+                        createdAt: this.parseTimestamp(extensions.created) || this.parseLocalDate(creationDate) || new Date().toISOString(),
+                        updatedAt: this.parseTimestamp(extensions.updated),
+                        completedAt: isCompleted
+                            ? this.parseTimestamp(extensions.completed) || this.parseLocalDate(completionDate)
+                            : null
+                    }
+                };
+            });
+
+        this.assignImportedIds(records);
+        records.forEach(record => {
+            const parent = records.find(other => String(other.task.id) === record.parent);
+            record.task.parentId = parent && parent !== record ? parent.task.id : null;
+        });
+        return records.map(record => record.task);
+    }
+
+    /**
+     * Serialize tasks as a GitHub-style Markdown checklist
+     * Tasks are grouped under a heading per priority and subtasks are nested under their parent.
+     * Descriptions are indented below their item. IDs, tags, due dates and timestamps go in an HTML
+     * comment at the end of each item, which Markdown renderers do not show.
+     * @param {Array} tasks - Tasks to serialize
+     * @param {Object} options - Options
+     * @param {string} options.title - Document heading (default 'Tasks')
+     * @returns {string} Markdown text
+     */
+    tasksToMarkdown(tasks, { title = 'Tasks' } = {}) {
+        const ids = new Set(tasks.map(task => task.id));
+        const childrenOf = (id) => tasks.filter(task => task.parentId === id);
+        const lines = [`# ${title}`];
+
+        const writeTask = (task, depth, sectionPriority) => {
+            const indent = '  '.repeat(depth);
+            const meta = [`id:${task.id}`];
+            if (task.priority !== sectionPriority) meta.push(`priority:${task.priority}`);
+            if (task.dueDate) meta.push(`due:${task.dueDate}`);
+            if ((task.tags || []).length > 0) meta.push(`tags:${task.tags.join(',')}`);
+            if (task.createdAt) meta.push(`created:${task.createdAt}`);
+            if (task.updatedAt) meta.push(`updated:${task.updatedAt}`);
+            if (task.completedAt) meta.push(`completed:${task.completedAt}`);
+
+            lines.push(`${indent}- [${task.status === 'completed' ? 'x' : ' '}] ${task.title} <!-- ${meta.join(' ')} -->`);
+            if (task.description) {
+                task.description.split(/\r?\n/).forEach(line => lines.push(line === '' ? '' : `${indent}  ${line}`));
+            }
+            childrenOf(task.id).forEach(child => writeTask(child, depth + 1, sectionPriority));
+        };
+
+        Object.keys(MARKDOWN_PRIORITY_HEADINGS).forEach(priority => {
+            const roots = tasks.filter(task => task.priority === priority && !ids.has(task.parentId));
+            if (roots.length === 0) {
+                return;
+            }
+            lines.push('', `## ${MARKDOWN_PRIORITY_HEADINGS[priority]}`, '');
+            roots.forEach(task => writeTask(task, 0, priority));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Parse a Markdown checklist into task records
+     * Every "- [ ]" or "- [x]" item is a task and nested items are its subtasks. Items take their
+     * priority from the nearest heading that mentions high, medium or low, unless their comment says
+     * otherwise. Indented lines below an item form its description; other text is ignored.
+     * @param {string} text - Markdown text
+     * @returns {Array} Task records
+     */
+    markdownToTasks(text) {
+        const records = [];
+        const stack = [];
+        let sectionPriority = null;
+        let current = null;
+
+        String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+            const heading = /^ {0,3}#{1,6}\s+(.*)$/.exec(line);
+            const item = /^(\s*)[-*+]\s+\[([ xX])\](?:\s+(.*))?$/.exec(line);
+            const indentOf = (value) => value.replace(/\t/g, '    ').length;
+
+            if (heading) {
+                const match = /\b(high|medium|low)\b/i.exec(heading[1]);
+                sectionPriority = match ? match[1].toLowerCase() : null;
+                stack.length = 0;
+                current = null;
+            } else if (item) {
+                const indent = indentOf(item[1]);
+                while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+                    stack.pop();
+                }
+
+                const content = item[3] || '';
+                const comment = /\s*<!--\s*(.*?)\s*-->\s*$/.exec(content);
+                const meta = {};
+                if (comment) {
+                    comment[1].split(/\s+/).forEach(word => {
+                        const separator = word.indexOf(':');
+                        if (separator > 0) meta[word.slice(0, separator)] = word.slice(separator + 1);
+                    });
+                }
+                const isCompleted = item[2] !== ' ';
+
+                current = {
+                    indent,
+                    parent: stack.length > 0 ? stack[stack.length - 1] : null,
+                    descriptionLines: [],
+                    task: {
+                        id: /^\d+$/.test(meta.id || '') ? Number(meta.id) : null,
+                        title: (comment ? content.slice(0, comment.index) : content).trim(),
+                        description: '',
+                        priority: ['low', 'medium', 'high'].includes(meta.priority) ? meta.priority : sectionPriority || 'medium',
+                        status: isCompleted ? 'completed' : 'pending',
+                        dueDate: /^\d{4}-\d{2}-\d{2}$/.test(meta.due || '') ? meta.due : null,
+                        tags: [...new Set((meta.tags || '').split(',').map(tag => tag.trim().toLowerCase()).filter(tag => tag !== ''))],
+                        parentId: null,
+                        blockedBy: [],
+                        recurrence: null,
+                        createdAt: this.parseTimestamp(meta.created) || new Date().toISOString(),
+                        updatedAt: this.parseTimestamp(meta.updated),
+                        completedAt: isCompleted ? this.parseTimestamp(meta.completed) : null
+                    }
+                };
+                records.push(current);
+                stack.push(current);
+            } else if (current && line.trim() === '') {
+                current.descriptionLines.push('');
+            } else if (current && indentOf(/^\s*/.exec(line)[0]) > current.indent) {
+                const leading = /^\s*/.exec(line)[0].length;
+                current.descriptionLines.push(line.slice(Math.min(leading, current.indent + 2)));
+            } else {
+                current = null;
+            }
+        });
+
+        records.forEach(record => {
+            record.task.description = record.descriptionLines.join('\n').replace(/\n+$/, '');
+        });
+        this.assignImportedIds(records);
+        records.forEach(record => {
+            record.task.parentId = record.parent ? record.parent.task.id : null;
+        });
+        return records.map(record => record.task);
+    }
+
+    /**
+     * Give imported records unique IDs, keeping the first use of every ID found in the file
+     * @param {Array} records - Objects with a task whose id is a number or null
+     */
+    assignImportedIds(records) {
+        const used = new Set();
+        records.forEach(record => {
+            if (record.task.id !== null && used.has(record.task.id)) {
+                record.task.id = null;
+            }
+            if (record.task.id !== null) {
+                used.add(record.task.id);
+            }
+        });
+        let nextId = Math.max(0, ...used) + 1;
+        records.forEach(record => {
+            if (record.task.id === null) {
+                record.task.id = nextId++;
+            }
+        });
+    }
+
+    /**
+     * Format a timestamp as a local YYYY-MM-DD date
+     * @param {string} isoString - ISO 8601 timestamp
+     * @returns {string} Local date
+     */
+    formatLocalDate(isoString) {
+        const date = new Date(isoString);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Read a YYYY-MM-DD date as local midnight
+     * @param {string|null} value - Date
+     * @returns {string|null} ISO timestamp, or null if the value is missing or invalid
+     */
+    parseLocalDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        if (!match) {
+            return null;
+        }
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    /**
+     * Check a full ISO timestamp read from a file
+     * @param {string|undefined} value - Timestamp
+     * @returns {string|null} The timestamp, or null if it is missing or invalid
+     */
+    parseTimestamp(value) {
+        return /^\d{4}-\d{2}-\d{2}T/.test(value || '') && !isNaN(Date.parse(value)) ? value : null;
+    }
+
+    /**
+     * Create a backup of current data
+     * @returns {Object|null|Promise<Object|null>} Backup data with timestamp
+     */
+    createBackup() {
+        return this.whenResolved(this.load(), (data) => {
+            if (!data) {
+                return null;
+            }
+
+            const backup = {
+                timestamp: new Date().toISOString(),
+                version: '1.0.0',
+                data: data
+            };
+
+            return backup;
+        });
+    }
+
+    /**
+     * Restore data from backup
+     * @param {Object} backup - Backup data
+     * @returns {boolean|Promise<boolean>} True if restore was successful
+     * @throws {StorageError} 'quota-exceeded' if the backend is full (see save)
+     */
+    restoreFromBackup(backup) {
+        if (!backup || !backup.data) {
+            console.error('Invalid backup data');
+            return false;
+        }
+
+        try {
+            return this.save(this.migrateData(backup.data));
+        } catch (error) {
+            if (error instanceof StorageError) {
+                throw error;
+            }
+            console.error('Cannot restore backup:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Get the schema version this code reads and writes
+     * @returns {number} Current schema version
+     */
+    getCurrentSchemaVersion() {
+        return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+    }
+
+    /**
+     * Get the schema version of stored or imported data
+     * @param {Object} data - Saved data
+     * @returns {number} Schema version (0 for data saved before versioning)
+     */
+    getSchemaVersion(data) {
+        return data && Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+    }
+
+    /**
+     * Check whether data needs migrating to the current schema
+     * @param {Object} data - Saved data
+     * @returns {boolean} True if the data uses an older schema version
+     */
+    needsMigration(data) {
+        return this.getSchemaVersion(data) < this.getCurrentSchemaVersion();
+    }
+
+    /**
+     * Add a migration step after the existing ones
+     * @param {Object} migration - { version, description, migrate(data) => data }
+     * @throws {Error} If the version does not directly follow the current schema version
+     */
+    registerMigration(migration) {
+        if (!migration || typeof migration.migrate !== 'function' ||
+            migration.version !== this.getCurrentSchemaVersion() + 1) {
+            throw new Error(`Migration must have a migrate function and version ${this.getCurrentSchemaVersion() + 1}`);
+        }
+        this.migrations.push(migration);
+    }
+
+    /**
+     * Migrate data to the current schema version by running every newer migration in order
+     * @param {Object} data - Data in any supported schema version (not modified)
+     * @returns {Object} Data in the current schema version
+     * @throws {Error} If the data was written by a newer schema version
+     */
+    migrateData(data) {
+        const version = this.getSchemaVersion(data);
+        const currentVersion = this.getCurrentSchemaVersion();
+        if (version > currentVersion) {
+            throw new Error(`Data uses schema version ${version}, but this version of Task Manager only supports up to ${currentVersion}`);
+        }
+
+        let migrated = JSON.parse(JSON.stringify(data));
+        this.migrations
+            .filter(migration => migration.version > version)
+            .forEach(migration => {
+                migrated = migration.migrate(migrated);
+                migrated.schemaVersion = migration.version;
+                console.log(`Migrated data to schema version ${migration.version}: ${migration.description}`);
+            });
+
+        return migrated;
+    }
+
+    /**
+     * Get the storage key of the backup taken before migrating from a schema version
+     * @param {number} version - Schema version the data was migrated from
+     * @returns {string} Storage key
+     */
+    getMigrationBackupKey(version) {
+        return `${this.storageKey}-pre-migration-v${version}`;
+    }
+
+    /**
+     * Store a copy of data before it is migrated
+     * @param {Object} data - Data in its original schema version
+     * @returns {boolean|Promise<boolean>} True if the backup was saved
+     */
+    saveMigrationBackup(data) {
+        const backup = {
+            timestamp: new Date().toISOString(),
+            version: '1.0.0',
+            data: data
+        };
+
+        return this.callAdapter(
+            () => this.writeStoredValue(this.getMigrationBackupKey(this.getSchemaVersion(data)), backup),
+            () => true,
+            (error) => {
+                console.error('Error saving pre-migration backup:', error);
+                return false;
+            }
+        );
+    }
+
+    /**
+     * Load the backup taken before migrating from a schema version
+     * @param {number} version - Schema version the data was migrated from
+     * @returns {Object|null|Promise<Object|null>} Backup (usable with restoreFromBackup) or null
+     */
+    loadMigrationBackup(version) {
+        return this.callAdapter(
+            () => this.readStoredValue(this.getMigrationBackupKey(version)),
+            (backup) => backup,
+            (error) => {
+                console.error('Error loading pre-migration backup:', error);
+                return null;
+            }
+        );
+    }
+
+    /**
+     * Get the key the restore points are stored under
+     * @returns {string} Storage key
+     */
+    getRestorePointsKey() {
+        return `${this.storageKey}-restore-points`;
+    }
+
+    /**
+     * Load every restore point, newest first, once pending updates are written
+     * @returns {Array|Promise<Array>} Restore points { id, timestamp, reason, taskCount, version, data },
+     *   which can also be passed to restoreFromBackup
+     */
+    loadRestorePoints() {
+        if (this.restorePointQueue) {
+            return this.restorePointQueue.then(() => this.readRestorePoints());
+        }
+        return this.readRestorePoints();
+    }
+
+    /**
+     * Read the stored restore point list
+     * @returns {Array|Promise<Array>} Restore points, newest first
+     */
+    readRestorePoints() {
+        return this.callAdapter(
+            () => this.readStoredValue(this.getRestorePointsKey()),
+            (points) => points || [],
+            (error) => {
+                console.error('Error loading restore points:', error);
+                return [];
+            }
+        );
+    }
+
+    /**
+     * List restore points without their data, newest first
+     * @returns {Array|Promise<Array>} { id, timestamp, reason, taskCount } for each restore point
+     */
+    listRestorePoints() {
+        return this.whenResolved(this.loadRestorePoints(), (points) => points.map(point => this.summarizeRestorePoint(point)));
+    }
+
+    /**
+     * Load one restore point
+     * @param {number} id - Restore point ID
+     * @returns {Object|null|Promise<Object|null>} Restore point or null if not found
+     */
+    loadRestorePoint(id) {
+        return this.whenResolved(this.loadRestorePoints(), (points) => points.find(point => point.id === id) || null);
+    }
+
+    /**
+     * Store a restore point and prune old ones (see pruneRestorePoints)
+     * Nothing new is stored if the data matches the newest restore point.
+     * @param {Object} data - Data with tasks and nextId
+     * @param {string} reason - Why the point was taken, e.g. 'Before import'
+     * @returns {Object|null|Promise<Object|null>} Summary of the restore point holding the data, or null on error
+     */
+    saveRestorePoint(data, reason = 'Manual') {
+        return this.updateRestorePoints((points) => {
+            const latest = points[0];
+            if (latest && latest.data.nextId === data.nextId &&
+                JSON.stringify(latest.data.tasks) === JSON.stringify(data.tasks)) {
+                return { points, result: this.summarizeRestorePoint(latest) };
+            }
+
+            const point = {
+                id: points.reduce((max, existing) => Math.max(max, existing.id), 0) + 1,
+                timestamp: new Date().toISOString(),
+                reason,
+                taskCount: data.tasks.length,
+                version: '1.0.0',
+                data: {
+                    tasks: data.tasks,
+                    nextId: data.nextId,
+                    schemaVersion: this.getCurrentSchemaVersion()
+                }
+            };
+            return { points: this.pruneRestorePoints([point, ...points]), result: this.summarizeRestorePoint(point) };
+        }, null);
+    }
+
+    /**
+     * Delete one restore point
+     * @param {number} id - Restore point ID
+     * @returns {boolean|Promise<boolean>} True if the restore point existed and was deleted
+     */
+    deleteRestorePoint(id) {
+        return this.updateRestorePoints((points) => {
+            const remaining = points.filter(point => point.id !== id);
+            return remaining.length === points.length
+                ? { points, result: false }
+                : { points: remaining, result: true };
+        }, false);
+    }
+
+    /**
+     * Delete every restore point
+     * @returns {boolean|Promise<boolean>} True if the restore points were cleared
+     */
+    clearRestorePoints() {
+        return this.queueRestorePointUpdate(() => this.callAdapter(
+            () => this.adapter.clear(this.getRestorePointsKey()),
+            () => true,
+            (error) => {
+                console.error('Error clearing restore points:', error);
+                return false;
+            }
+        ));
+    }
+
+    /**
+     * Apply the retention rules to a list of restore points
+     * Keeps the newest restorePointRetention.keepLast points, plus the newest point of each of
+     * the last keepDays days.
+     * @param {Array} points - Restore points
+     * @param {Date} now - Current time
+     * @returns {Array} Restore points to keep, newest first
+     */
+    pruneRestorePoints(points, now = new Date()) {
+        const { keepLast, keepDays } = this.restorePointRetention;
+        const cutoff = now.getTime() - keepDays * 24 * 60 * 60 * 1000;
+        const coveredDays = new Set();
+
+        return [...points]
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp) || b.id - a.id)
+            .filter((point, index) => {
+                const day = this.formatLocalDate(point.timestamp);
+                const keep = index < keepLast || (Date.parse(point.timestamp) >= cutoff && !coveredDays.has(day));
+                if (keep) {
+                    coveredDays.add(day);
+                }
+                return keep;
+            });
+    }
+
+    /**
+     * Get the metadata of a restore point
+     * @param {Object} point - Restore point
+     * @returns {Object} { id, timestamp, reason, taskCount }
+     */
+    summarizeRestorePoint(point) {
+        return { id: point.id, timestamp: point.timestamp, reason: point.reason, taskCount: point.taskCount };
+    }
+
+    /**
+     * Read, change and write the restore point list
+     * Updates run one after another (see queueRestorePointUpdate), so none is lost.
+     * @param {Function} update - Receives the points and returns { points, result }; return the same
+     *   points array to skip writing
+     * @param {*} failedResult - Result if the list cannot be written
+     * @returns {*} The update's result, or a Promise of it
+     */
+    updateRestorePoints(update, failedResult) {
+        const run = () => this.whenResolved(this.readRestorePoints(), (points) => {
+            const { points: updated, result } = update(points);
+            if (updated === points) {
+                return result;
+            }
+            return this.callAdapter(
+                () => this.writeStoredValue(this.getRestorePointsKey(), updated),
+                () => result,
+                (error) => {
+                    console.error('Error saving restore points:', error);
+                    return failedResult;
+                }
+            );
+        });
+
+        return this.queueRestorePointUpdate(run);
+    }
+
+    /**
+     * Run a change to the restore points after the ones already pending
+     * With a synchronous adapter nothing is ever pending and the change runs straight away.
+     * @param {Function} run - Performs the change
+     * @returns {*} Result of run, or a Promise of it
+     */
+    queueRestorePointUpdate(run) {
+        if (this.restorePointQueue) {
+            // Run even if the previous change failed
+            this.restorePointQueue = this.restorePointQueue.then(run, run);
+            return this.restorePointQueue;
+        }
+        const result = run();
+        if (result && typeof result.then === 'function') {
+            this.restorePointQueue = result;
+        }
+        return result;
+    }
+
+    /**
+     * Get the key the server sync state is stored under
+     * @returns {string} Storage key
+     */
+    getSyncStateKey() {
+        return `${this.storageKey}-sync`;
+    }
+
+    /**
+     * Load the server sync state
+     * @returns {Object|null|Promise<Object|null>} { token, revisions, outbox } or null if nothing is stored
+     */
+    loadSyncState() {
+        return this.callAdapter(
+            () => this.readStoredValue(this.getSyncStateKey()),
+            (state) => state,
+            (error) => {
+                console.error('Error loading sync state:', error);
+                return null;
+            }
+        );
+    }
+
+    /**
+     * Save the server sync state
+     * @param {Object} state - { token, revisions, outbox }
+     * @returns {boolean|Promise<boolean>} True if the state was saved
+     */
+    saveSyncState(state) {
+        return this.callAdapter(
+            () => this.writeStoredValue(this.getSyncStateKey(), state),
+            () => true,
+            (error) => {
+                console.error('Error saving sync state:', error);
+                return false;
+            }
+        );
+    }
+
+    /**
+     * Delete the server sync state
+     * @returns {boolean|Promise<boolean>} True if the state was cleared
+     */
+    clearSyncState() {
+        return this.callAdapter(
+            () => this.adapter.clear(this.getSyncStateKey()),
+            () => true,
+            (error) => {
+                console.error('Error clearing sync state:', error);
+                return false;
+            }
+        );
+    }
+
+    /**
+     * Get the key archived tasks are stored under
+     * @returns {string} Storage key
+     */
+    getArchiveKey() {
+        return `${this.storageKey}-archive`;
+    }
+
+    /**
+     * Load the archived tasks, migrated to the current schema
+     * Unlike the other loaders this does not fall back to an empty archive on errors, since
+     * saving that back would lose the archived tasks.
+     * @returns {Array|Promise<Array>} Archived tasks (empty if nothing is archived)
+     * @throws {Error} If the archive cannot be read (rejects with an asynchronous adapter)
+     */
+    loadArchive() {
+        return this.callAdapter(
+            () => this.readStoredValue(this.getArchiveKey()),
+            (archive) => (archive ? this.migrateData(archive).tasks || [] : []),
+            (error) => {
+                console.error('Error loading archived tasks:', error);
+                throw error;
+            }
+        );
+    }
+
+    /**
+     * Save the archived tasks
+     * @param {Array} tasks - Every archived task
+     * @returns {boolean|Promise<boolean>} True if the archive was saved
+     * @throws {StorageError} 'quota-exceeded' (rejects with an asynchronous adapter) if the
+     *   backend is full
+     */
+    saveArchive(tasks) {
+        return this.callAdapter(
+            () => this.writeStoredValue(this.getArchiveKey(), {
+                tasks,
+                schemaVersion: this.getCurrentSchemaVersion()
+            }),
+            () => true,
+            (error) => {
+                if (this.isQuotaError(error)) {
+                    throw new StorageError(`${this.adapter.name} is full, so the tasks could not be archived`, 'quota-exceeded');
+                }
+                console.error('Error saving archived tasks:', error);
+                return false;
+            }
+        );
+    }
+
+    /**
+     * Delete every archived task
+     * @returns {boolean|Promise<boolean>} True if the archive was cleared
+     */
+    clearArchive() {
+        return this.callAdapter(
+            () => this.adapter.clear(this.getArchiveKey()),
+            () => true,
+            (error) => {
+                console.error('Error clearing archived tasks:', error);
+                return false;
+            }
+        );
+    }
+
+    /**
+     * Read and parse a stored value, decrypting and decompressing it as needed
+     * Stays synchronous for plain values in a synchronous adapter.
+     * @param {string} key - Storage key
+     * @returns {*} Stored value, null if nothing is stored, or a Promise of either
+     * @throws {StorageError} Rejects with 'locked' if the value is encrypted with a key this
+     *   manager does not have (storage is locked from then on), 'corrupted', or 'unsupported'
+     *   if compressed data cannot be decompressed here
+     */
+    readStoredValue(key) {
+        return this.whenResolved(this.adapter.load(key), (serializedValue) => {
+            return serializedValue === null ? null : this.decodeStoredValue(JSON.parse(serializedValue));
+        });
+    }
+
+    /**
+     * Decrypt and decompress a parsed stored value, as far as needed (see readStoredValue)
+     * @param {*} value - Parsed stored value
+     * @returns {*} Original value, or a Promise of it
+     */
+    decodeStoredValue(value) {
+        if (this.isCompressedPayload(value)) {
+            return this.decompressPayload(value).then(text => JSON.parse(text));
+        }
+        if (!this.isEncryptedPayload(value)) {
+            return value;
+        }
+
+        // Locked straight away, so nothing unencrypted is saved over the data
+        if (!this.encryption || this.encryption.salt !== value.salt) {
+            const message = this.encryption
+                ? 'The passphrase was changed in another window; unlock again with the new passphrase'
+                : 'Your tasks are encrypted; unlock them with your passphrase';
+            this.encryption = null;
+            this.isLocked = true;
+            return Promise.reject(new StorageError(message, 'locked'));
+        }
+
+        return this.decryptPayload(value, this.encryption).then(
+            (text) => this.decodeStoredValue(JSON.parse(text)),
+            () => {
+                throw new StorageError('Encrypted data is damaged and cannot be read', 'corrupted');
+            }
+        );
+    }
+
+    /**
+     * Serialize a value and store it, compressed if compression is on (and makes it smaller),
+     * then encrypted if encryption is on
+     * Compressed and encrypted writes are queued so they reach the adapter in the order they were made.
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @returns {*} Adapter result, or a Promise of it
+     * @throws {StorageError} 'locked' if storage is locked
+     */
+    writeStoredValue(key, value) {
+        if (this.isLocked) {
+            throw new StorageError('Storage is locked; unlock it with your passphrase first', 'locked');
+        }
+
+        const serializedValue = JSON.stringify(value);
+        const compress = this.compression && this.canCompress();
+        if (!this.encryption && !compress && !this.pendingWrites) {
+            return this.adapter.save(key, serializedValue);
+        }
+
+        const encryption = this.encryption;
+        const write = (this.pendingWrites || Promise.resolve())
+            .then(() => compress ? this.compressText(serializedValue) : serializedValue)
+            .then(text => encryption ? this.encryptText(text, encryption) : text)
+            .then(payload => this.adapter.save(key, payload));
+        const pending = write.catch(() => {}).then(() => {
+            if (this.pendingWrites === pending) {
+                this.pendingWrites = null;
+            }
+        });
+        this.pendingWrites = pending;
+        return write;
+    }
+
+    /**
+     * Check whether compression streams are available
+     * @returns {boolean} True if values can be compressed
+     */
+    canCompress() {
+        return typeof CompressionStream !== 'undefined' && typeof Response !== 'undefined';
+    }
+
+    /**
+     * Check whether a parsed value is a compressed payload
+     * @param {*} value - Parsed JSON value
+     * @returns {boolean} True if the value was written by compressText
+     */
+    isCompressedPayload(value) {
+        return !!value && typeof value === 'object' && value.format === COMPRESSION_FORMAT;
+    }
+
+    /**
+     * Gzip text, unless that does not make it smaller
+     * @param {string} text - Serialized value
+     * @returns {Promise<string>} Serialized compressed payload (see COMPRESSION_FORMAT), or the text itself
+     */
+    async compressText(text) {
+        const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+        const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        const payload = JSON.stringify({
+            format: COMPRESSION_FORMAT,
+            version: 1,
+            encoding: 'gzip',
+            data: this.encodeBase64(bytes)
+        });
+        return payload.length < text.length ? payload : text;
+    }
+
+    /**
+     * Decompress a compressed payload
+     * @param {Object} payload - Parsed payload (see COMPRESSION_FORMAT)
+     * @returns {Promise<string>} Serialized value
+     * @throws {StorageError} 'unsupported' if compression streams are not available
+     */
+    async decompressPayload(payload) {
+        if (typeof DecompressionStream === 'undefined' || typeof Response === 'undefined') {
+            throw new StorageError('This browser cannot read compressed task data', 'unsupported');
+        }
+        const stream = new Blob([this.decodeBase64(payload.data)]).stream().pipeThrough(new DecompressionStream(payload.encoding));
+        return new Response(stream).text();
+    }
+
+    /**
+     * Check whether stored data is encrypted
+     * @returns {boolean} True if encryption is on or storage is locked
+     */
+    isEncrypted() {
+        return this.encryption !== null || this.isLocked;
+    }
+
+    /**
+     * Check whether a parsed value is an encrypted payload
+     * @param {*} value - Parsed JSON value
+     * @returns {boolean} True if the value was written by encryptText
+     */
+    isEncryptedPayload(value) {
+        return !!value && typeof value === 'object' && value.format === ENCRYPTION_FORMAT;
+    }
+
+    /**
+     * Unlock encrypted storage
+     * @param {string} passphrase - Passphrase the data was encrypted with
+     * @returns {Promise<boolean>} True once unlocked
+     * @throws {StorageError} 'wrong-passphrase', or 'not-encrypted' if the stored data is not encrypted
+     */
+    async unlock(passphrase) {
+        const serializedData = await this.adapter.load(this.storageKey);
+        const payload = serializedData === null ? null : JSON.parse(serializedData);
+        if (!this.isEncryptedPayload(payload)) {
+            throw new StorageError('The stored data is not encrypted', 'not-encrypted');
+        }
+
+        const encryption = await this.deriveEncryption(passphrase, payload.salt, payload.iterations);
+        await this.decryptPayload(payload, encryption);
+        this.encryption = encryption;
+        this.isLocked = false;
+        console.log('Storage unlocked');
+        return true;
+    }
+
+    /**
+     * Forget the passphrase; storage stays locked until unlock is called
+     */
+    lock() {
+        if (this.encryption) {
+            this.encryption = null;
+            this.isLocked = true;
+        }
+    }
+
+    /**
+     * Encrypt the stored data, restore points, sync state and pre-migration backups with a
+     * passphrase, and everything saved from now on
+     * @param {string} passphrase - New passphrase
+     * @returns {Promise<boolean>} True once the stored data is encrypted
+     * @throws {Error} If storage is already encrypted or the passphrase is empty
+     */
+    async enableEncryption(passphrase) {
+        if (this.isEncrypted()) {
+            throw new Error('Storage is already encrypted; use changePassphrase to change the passphrase');
+        }
+        this.checkPassphrase(passphrase);
+
+        await this.reencryptStoredData(await this.deriveEncryption(passphrase));
+        console.log('Storage encrypted');
+        return true;
+    }
+
+    /**
+     * Re-encrypt everything stored with a new passphrase
+     * @param {string} currentPassphrase - Passphrase in use
+     * @param {string} newPassphrase - Passphrase to use from now on
+     * @returns {Promise<boolean>} True once the stored data is re-encrypted
+     * @throws {StorageError} 'wrong-passphrase' if currentPassphrase is wrong, 'locked' or 'not-encrypted'
+     */
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        this.checkPassphrase(newPassphrase);
+        await this.verifyPassphrase(currentPassphrase);
+
+        await this.reencryptStoredData(await this.deriveEncryption(newPassphrase));
+        console.log('Storage passphrase changed');
+        return true;
+    }
+
+    /**
+     * Decrypt everything stored and save unencrypted from now on
+     * @param {string} passphrase - Passphrase in use
+     * @returns {Promise<boolean>} True once the stored data is decrypted
+     * @throws {StorageError} 'wrong-passphrase', 'locked' or 'not-encrypted'
+     */
+    async disableEncryption(passphrase) {
+        await this.verifyPassphrase(passphrase);
+
+        await this.reencryptStoredData(null);
+        console.log('Storage decrypted');
+        return true;
+    }
+
+    /**
+     * Check that a passphrase can be used
+     * @param {string} passphrase - Passphrase
+     * @throws {Error} If the passphrase is not a non-empty string
+     */
+    checkPassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase === '') {
+            throw new Error('A passphrase is required');
+        }
+    }
+
+    /**
+     * Check a passphrase against the one in use
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<boolean>} True if it matches
+     * @throws {StorageError} 'wrong-passphrase', 'locked' or 'not-encrypted'
+     */
+    async verifyPassphrase(passphrase) {
+        if (this.isLocked) {
+            throw new StorageError('Storage is locked; unlock it with your passphrase first', 'locked');
+        }
+        if (!this.encryption) {
+            throw new StorageError('Storage is not encrypted', 'not-encrypted');
+        }
+
+        const { salt, iterations, check } = this.encryption;
+        await this.decryptPayload(JSON.parse(check), await this.deriveEncryption(passphrase, salt, iterations));
+        return true;
+    }
+
+    /**
+     * Get every key that holds task data
+     * @returns {Array<string>} The data, restore point, sync state, archive and pre-migration backup keys
+     */
+    getEncryptedKeys() {
+        const backupKeys = this.migrations.map((migration, index) => this.getMigrationBackupKey(index));
+        return [this.storageKey, this.getRestorePointsKey(), this.getSyncStateKey(), this.getArchiveKey(), ...backupKeys];
+    }
+
+    /**
+     * Rewrite everything stored with different encryption
+     * Runs as a restore point update so no restore point change is lost in between.
+     * @param {Object|null} encryption - Encryption to switch to (see deriveEncryption), or null
+     *   to store unencrypted
+     * @returns {Promise} Resolves once everything is rewritten
+     */
+    reencryptStoredData(encryption) {
+        return this.queueRestorePointUpdate(async () => {
+            const keys = this.getEncryptedKeys();
+            const values = await Promise.all(keys.map(key => this.readStoredValue(key)));
+            this.encryption = encryption;
+            await Promise.all(keys.map((key, index) => values[index] === null ? null : this.writeStoredValue(key, values[index])));
+        });
+    }
+
+    /**
+     * Get the WebCrypto API
+     * @returns {SubtleCrypto} crypto.subtle
+     * @throws {StorageError} 'unsupported' if WebCrypto is not available (e.g. over plain HTTP)
+     */
+    getSubtleCrypto() {
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            throw new StorageError('Encryption needs WebCrypto, which this browser only offers on secure (HTTPS) pages', 'unsupported');
+        }
+        return crypto.subtle;
+    }
+
+    /**
+     * Derive an AES-GCM key from a passphrase with PBKDF2
+     * @param {string} passphrase - Passphrase
+     * @param {string} salt - Base64 salt (a new random salt if omitted)
+     * @param {number} iterations - PBKDF2 iterations (defaults to encryptionIterations)
+     * @returns {Promise<Object>} { key, salt, iterations, check } where check is a small payload
+     *   encrypted with the key, used to verify the passphrase later
+     */
+    async deriveEncryption(passphrase, salt = null, iterations = this.encryptionIterations) {
+        const subtle = this.getSubtleCrypto();
+        const saltBytes = salt === null ? crypto.getRandomValues(new Uint8Array(16)) : this.decodeBase64(salt);
+        const baseKey = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        const key = await subtle.deriveKey(
+            { name: 'PBKDF2', salt: saltBytes, iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+
+        const encryption = { key, salt: this.encodeBase64(saltBytes), iterations, check: null };
+        encryption.check = await this.encryptText('check', encryption);
+        return encryption;
+    }
+
+    /**
+     * Encrypt text with AES-GCM under a fresh random IV
+     * @param {string} text - Text to encrypt
+     * @param {Object} encryption - See deriveEncryption
+     * @returns {Promise<string>} Serialized encrypted payload (see ENCRYPTION_FORMAT)
+     */
+    async encryptText(text, encryption) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await this.getSubtleCrypto().encrypt({ name: 'AES-GCM', iv }, encryption.key, new TextEncoder().encode(text));
+
+        return JSON.stringify({
+            format: ENCRYPTION_FORMAT,
+            version: 1,
+            iterations: encryption.iterations,
+            salt: encryption.salt,
+            iv: this.encodeBase64(iv),
+            data: this.encodeBase64(new Uint8Array(data))
+        });
+    }
+
+    /**
+     * Decrypt an encrypted payload
+     * @param {Object} payload - Parsed payload (see ENCRYPTION_FORMAT)
+     * @param {Object} encryption - See deriveEncryption
+     * @returns {Promise<string>} Decrypted text
+     * @throws {StorageError} 'wrong-passphrase' if the key does not decrypt the payload
+     */
+    async decryptPayload(payload, encryption) {
+        const subtle = this.getSubtleCrypto();
+        try {
+            const data = await subtle.decrypt(
+                { name: 'AES-GCM', iv: this.decodeBase64(payload.iv) },
+                encryption.key,
+                this.decodeBase64(payload.data)
+            );
+            return new TextDecoder().decode(data);
+        } catch (error) {
+            throw new StorageError('Wrong passphrase', 'wrong-passphrase');
+        }
+    }
+
+    /**
+     * Decrypt the text of an encrypted export file; other text is returned as it is
+     * @param {string} text - File content
+     * @param {string} passphrase - Passphrase of the file (not needed if it was encrypted with
+     *   the current storage passphrase)
+     * @returns {Promise<string>} Decrypted text
+     * @throws {StorageError} 'locked' if the file needs a passphrase, or 'wrong-passphrase'
+     */
+    async decryptText(text, passphrase = null) {
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (error) {
+            return text;
+        }
+        if (!this.isEncryptedPayload(payload)) {
+            return text;
+        }
+
+        if (passphrase !== null) {
+            return this.decryptPayload(payload, await this.deriveEncryption(passphrase, payload.salt, payload.iterations));
+        }
+        if (this.encryption && this.encryption.salt === payload.salt) {
+            return this.decryptPayload(payload, this.encryption);
+        }
+        throw new StorageError('This file is encrypted; enter its passphrase to import it', 'locked');
+    }
+
+    /**
+     * Encode bytes as base64
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Base64 text
+     */
+    encodeBase64(bytes) {
+        let binary = '';
+        // In chunks, as spreading a large array into fromCharCode overflows the stack
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 text
+     * @param {string} text - Base64 text
+     * @returns {Uint8Array} Bytes
+     */
+    decodeBase64(text) {
+        return Uint8Array.from(atob(text), character => character.charCodeAt(0));
+    }
+}
+
+// Node.js environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StorageManager, StorageError };
 }
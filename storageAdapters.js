@@ -0,0 +1,295 @@
+/**
+ * Storage adapters - Interchangeable backends for StorageManager
+ *
+ * Every adapter stores serialized strings under a key and implements:
+ *   name                 - Human-readable backend name used in messages
+ *   isAvailable()        - True if the backend can be used in this environment (synchronous)
+ *   load(key)            - Stored string, or null if nothing is stored
+ *   save(key, value)     - Store a string
+ *   clear(key)           - Remove a stored string
+ *   info()               - { capacity, used, estimated }: capacity and used are bytes for the whole
+ *                          backend (null when unknown), and estimated is true if capacity is a guess
+ * load, save, clear and info may either return their result directly or return a Promise.
+ * A save that fails because the backend is full should throw (or reject with) the backend's own
+ * quota error; StorageManager.isQuotaError recognises it.
+ */
+
+/**
+ * localStorage capacity assumed when the browser cannot tell: every major browser allows about
+ * 5 MB per origin (counted in UTF-16 characters, so it is reported here in characters)
+ */
+const LOCAL_STORAGE_CAPACITY = 5 * 1024 * 1024;
+
+/**
+ * How long LocalStorageAdapter.info() trusts its running usage total before reading every key
+ * again, to pick up what other tabs and scripts wrote (milliseconds)
+ */
+const LOCAL_STORAGE_USAGE_RESCAN_INTERVAL = 60 * 1000;
+
+class LocalStorageAdapter {
+    constructor() {
+        this.name = 'localStorage';
+        // Characters used by each key, kept up to date by save() and clear() between scans
+        this.usage = null;
+        this.usageScannedAt = 0;
+    }
+
+    /**
+     * Check if localStorage is available
+     * @returns {boolean} True if localStorage is available
+     */
+    isAvailable() {
+        try {
+            // Older versions estimated capacity by filling storage and could leave this key behind
+            localStorage.removeItem('__capacity_test__');
+
+            const testKey = '__storage_test__';
+            localStorage.setItem(testKey, 'test');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    load(key) {
+        return localStorage.getItem(key);
+    }
+
+    save(key, value) {
+        localStorage.setItem(key, value);
+        if (this.usage) {
+            this.usage.set(key, key.length + value.length);
+        }
+    }
+
+    clear(key) {
+        localStorage.removeItem(key);
+        if (this.usage) {
+            this.usage.delete(key);
+        }
+    }
+
+    /**
+     * Report localStorage usage without writing anything
+     * Browsers do not expose the localStorage limit (the Storage API quota covers the whole
+     * origin, not localStorage), so capacity is the usual limit and marked as estimated.
+     * Every key is read at most once per LOCAL_STORAGE_USAGE_RESCAN_INTERVAL; in between, the
+     * total is updated from what this adapter writes, so checking after every save stays cheap.
+     * @returns {Object} { capacity, used, estimated } where used counts the characters of every
+     *   key and value in localStorage
+     */
+    info() {
+        if (!this.usage || Date.now() - this.usageScannedAt >= LOCAL_STORAGE_USAGE_RESCAN_INTERVAL) {
+            this.usage = new Map();
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                this.usage.set(key, key.length + (localStorage.getItem(key) || '').length);
+            }
+            this.usageScannedAt = Date.now();
+        }
+
+        let used = 0;
+        this.usage.forEach(size => { used += size; });
+        return { capacity: LOCAL_STORAGE_CAPACITY, used, estimated: true };
+    }
+}
+
+class IndexedDBAdapter {
+    /**
+     * @param {string} databaseName - Name of the IndexedDB database
+     * @param {string} storeName - Name of the object store holding the data
+     */
+    constructor(databaseName = 'taskManager', storeName = 'data') {
+        this.name = 'IndexedDB';
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.database = null;
+    }
+
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database once and reuse the connection
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.database;
+    }
+
+    /**
+     * Run a single request in its own transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} createRequest - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} Result of the request
+     */
+    async request(mode, createRequest) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = createRequest(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async load(key) {
+        const value = await this.request('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async save(key, value) {
+        await this.request('readwrite', store => store.put(value, key));
+    }
+
+    async clear(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Report the origin's quota and usage from the Storage API, where available
+     * @returns {Promise<Object>} { capacity, used, estimated }
+     */
+    async info() {
+        if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            return { capacity: estimate.quota || null, used: estimate.usage != null ? estimate.usage : null, estimated: true };
+        }
+        return { capacity: null, used: null, estimated: false };
+    }
+}
+
+class MemoryStorageAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.store = new Map();
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    load(key) {
+        return this.store.has(key) ? this.store.get(key) : null;
+    }
+
+    save(key, value) {
+        this.store.set(key, value);
+    }
+
+    clear(key) {
+        this.store.delete(key);
+    }
+
+    info() {
+        let used = 0;
+        this.store.forEach((value, key) => {
+            used += key.length + value.length;
+        });
+        return { capacity: null, used, estimated: false };
+    }
+}
+
+class FileStorageAdapter {
+    /**
+     * Stores each key as <directory>/<key>.json (Node.js only)
+     * @param {string} directory - Directory holding the data files
+     */
+    constructor(directory = '.') {
+        this.name = 'file';
+        this.directory = directory;
+    }
+
+    isAvailable() {
+        try {
+            return typeof require === 'function' && typeof require('fs').readFileSync === 'function';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Get the path of the file holding a key
+     * @param {string} key - Storage key
+     * @returns {string} File path
+     */
+    getFilePath(key) {
+        return require('path').join(this.directory, `${encodeURIComponent(key)}.json`);
+    }
+
+    load(key) {
+        const fs = require('fs');
+        const filePath = this.getFilePath(key);
+        return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    }
+
+    /**
+     * Write via a temporary file so a crash never leaves a half-written file behind
+     */
+    save(key, value) {
+        const fs = require('fs');
+        const filePath = this.getFilePath(key);
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(`${filePath}.tmp`, value, 'utf8');
+        fs.renameSync(`${filePath}.tmp`, filePath);
+    }
+
+    clear(key) {
+        const fs = require('fs');
+        const filePath = this.getFilePath(key);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    }
+
+    info() {
+        return { capacity: null, used: null, estimated: false };
+    }
+}
+
+/**
+ * Create a storage adapter by name
+ * @param {string|Object} type - 'localStorage', 'indexedDB', 'memory' or 'file', or an adapter instance
+ * @returns {Object} Storage adapter
+ * @throws {Error} If the adapter name is unknown
+ */
+function createStorageAdapter(type = 'localStorage') {
+    if (type && typeof type === 'object') {
+        return type;
+    }
+
+    switch (type) {
+        case 'localStorage':
+            return new LocalStorageAdapter();
+        case 'indexedDB':
+            return new IndexedDBAdapter();
+        case 'memory':
+            return new MemoryStorageAdapter();
+        case 'file':
+            return new FileStorageAdapter();
+        default:
+            throw new Error(`Unknown storage adapter "${type}"`);
+    }
+}
+
+// Node.js environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LocalStorageAdapter,
+        IndexedDBAdapter,
+        MemoryStorageAdapter,
+        FileStorageAdapter,
+        createStorageAdapter
+    };
+}
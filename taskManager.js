@@ -6,6 +6,14 @@ class TaskManager {
     constructor() {
         this.tasks = [];
         this.nextId = 1;
+        this.trash = [];
+        this.trashRetentionDays = 30;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyLimit = 50;
+        this.historyGroupDepth = 0;
+        this.listeners = {};
+        this.pendingEvents = null;
     }
 
     /**
@@ -13,56 +21,410 @@ class TaskManager {
      * @param {string} title - Task title
      * @param {string} description - Task description
      * @param {string} priority - Task priority (low, medium, high)
+     * @param {Object} options - Optional fields
+     * @param {string|Date} options.dueDate - Due date (YYYY-MM-DD or Date)
+     * @param {Array|string} options.tags - Tags (array or comma-separated string)
+     * @param {number} options.parentId - ID of the parent task for subtasks
+     * @param {Object} options.recurrence - Recurrence rule (see normalizeRecurrence)
      * @returns {Object} The created task object
      */
-    addTask(title, description = '', priority = 'medium') {
+    addTask(title, description = '', priority = 'medium', options = {}) {
         if (!title || title.trim() === '') {
             throw new Error('Task title is required');
         }
+        if (options.parentId != null && !this.getTaskById(options.parentId)) {
+            throw new Error('Parent task not found');
+        }
+
+        const dueDate = this.normalizeDueDate(options.dueDate);
+        const recurrence = this.normalizeRecurrence(options.recurrence);
 
+        this.recordHistory('Add task');
         const task = {
             id: this.nextId++,
             title: title.trim(),
             description: description.trim(),
             priority: priority.toLowerCase(),
             status: 'pending',
+            dueDate: dueDate,
+            tags: this.normalizeTags(options.tags),
+            parentId: options.parentId != null ? options.parentId : null,
+            blockedBy: [],
+            recurrence: recurrence,
             createdAt: new Date().toISOString(),
+            updatedAt: null,
             completedAt: null
         };
 
         this.tasks.push(task);
+        this.emit('taskAdded', { task });
         return task;
     }
 
     /**
-     * Mark a task as completed
+     * Add a subtask under an existing task
+     * @param {number} parentId - ID of the parent task
+     * @param {string} title - Subtask title
+     * @param {string} description - Subtask description
+     * @param {string} priority - Subtask priority (low, medium, high)
+     * @param {Object} options - Optional fields, as for addTask
+     * @returns {Object} The created subtask object
+     */
+    addSubtask(parentId, title, description = '', priority = 'medium', options = {}) {
+        return this.addTask(title, description, priority, { ...options, parentId });
+    }
+
+    /**
+     * Update an existing task's title, description, priority, due date, tags or recurrence
+     * @param {number} id - Task ID
+     * @param {Object} patch - Fields to change (title, description, priority, dueDate, tags, recurrence)
+     * @returns {Object|null} The updated task or null if not found
+     */
+    updateTask(id, patch = {}) {
+        const task = this.tasks.find(t => t.id === id);
+        if (!task) {
+            return null;
+        }
+
+        if (patch.title !== undefined && (!patch.title || patch.title.trim() === '')) {
+            throw new Error('Task title is required');
+        }
+        const dueDate = patch.dueDate !== undefined ? this.normalizeDueDate(patch.dueDate) : undefined;
+        const recurrence = patch.recurrence !== undefined ? this.normalizeRecurrence(patch.recurrence) : undefined;
+
+        this.recordHistory('Edit task');
+        if (patch.title !== undefined) {
+            task.title = patch.title.trim();
+        }
+        if (patch.description !== undefined) {
+            task.description = patch.description.trim();
+        }
+        if (patch.priority !== undefined) {
+            task.priority = patch.priority.toLowerCase();
+        }
+        if (dueDate !== undefined) {
+            task.dueDate = dueDate;
+        }
+        if (patch.tags !== undefined) {
+            task.tags = this.normalizeTags(patch.tags);
+        }
+        if (recurrence !== undefined) {
+            task.recurrence = recurrence;
+        }
+        task.updatedAt = new Date().toISOString();
+
+        this.emit('taskUpdated', { task });
+        return task;
+    }
+
+    /**
+     * Add one or more tags to a task
+     * @param {number} id - Task ID
+     * @param {Array|string} tags - Tags to add
+     * @returns {boolean} True if task was found
+     */
+    addTags(id, tags) {
+        const task = this.tasks.find(t => t.id === id);
+        if (!task) {
+            return false;
+        }
+
+        this.recordHistory('Add tags');
+        task.tags = this.normalizeTags([...(task.tags || []), ...this.normalizeTags(tags)]);
+        this.emit('taskUpdated', { task });
+        return true;
+    }
+
+    /**
+     * Remove one or more tags from a task
+     * @param {number} id - Task ID
+     * @param {Array|string} tags - Tags to remove
+     * @returns {boolean} True if task was found
+     */
+    removeTags(id, tags) {
+        const task = this.tasks.find(t => t.id === id);
+        if (!task) {
+            return false;
+        }
+
+        const toRemove = this.normalizeTags(tags);
+        this.recordHistory('Remove tags');
+        task.tags = (task.tags || []).filter(tag => !toRemove.includes(tag));
+        this.emit('taskUpdated', { task });
+        return true;
+    }
+
+    /**
+     * Mark a task as completed, along with any pending subtasks
+     * Completing a pending recurring task spawns its next occurrence,
+     * whose ID is recorded in the completed task's nextOccurrenceId
      * @param {number} id - Task ID
      * @returns {boolean} True if task was found and completed
+     * @throws {Error} If the task or one of its subtasks is blocked by a pending task
      */
     completeTask(id) {
         const task = this.tasks.find(t => t.id === id);
         if (task) {
-            task.status = 'completed';
-            task.completedAt = new Date().toISOString();
+            const toComplete = [task, ...this.getDescendants(id)];
+            const completingIds = toComplete.map(t => t.id);
+            const pendingBlockers = toComplete
+                .flatMap(t => this.getBlockers(t.id))
+                .filter(blocker => !completingIds.includes(blocker.id));
+            if (pendingBlockers.length > 0) {
+                const titles = [...new Set(pendingBlockers.map(blocker => `"${blocker.title}"`))];
+                throw new Error(`Task is blocked by ${titles.join(', ')}`);
+            }
+
+            this.recordHistory('Complete task');
+            const spawnNext = task.status === 'pending' && !!task.recurrence;
+            const completedAt = new Date().toISOString();
+            toComplete.forEach(t => {
+                if (t.status !== 'completed') {
+                    t.status = 'completed';
+                    t.completedAt = completedAt;
+                }
+            });
+
+            let nextOccurrence = null;
+            if (spawnNext) {
+                nextOccurrence = this.createNextOccurrence(task, new Date(completedAt));
+                if (nextOccurrence) {
+                    task.nextOccurrenceId = nextOccurrence.id;
+                }
+            }
+
+            this.emit('taskCompleted', { task, completedIds: completingIds, nextOccurrence });
             return true;
         }
         return false;
     }
 
     /**
-     * Delete a task from the manager
+     * Move a task to the trash, along with all of its subtasks
+     * Trashed tasks get a deletedAt timestamp and a trashKey shared by everything deleted together,
+     * and can be brought back with restoreTask(). Tasks they blocked stop waiting for them; each
+     * trashed task lists those tasks in blocking, so restoring it blocks them again.
      * @param {number} id - Task ID
      * @returns {boolean} True if task was found and deleted
      */
     deleteTask(id) {
         const taskIndex = this.tasks.findIndex(t => t.id === id);
         if (taskIndex !== -1) {
-            this.tasks.splice(taskIndex, 1);
+            this.recordHistory('Delete task');
+            const task = this.tasks[taskIndex];
+            const removedIds = [id, ...this.getDescendants(id).map(t => t.id)];
+            const deletedAt = new Date().toISOString();
+            const trashKey = this.trash.reduce((max, t) => Math.max(max, t.trashKey || 0), 0) + 1;
+            const removed = this.tasks.filter(t => removedIds.includes(t.id));
+            removed.forEach(t => {
+                t.deletedAt = deletedAt;
+                t.trashKey = trashKey;
+                t.blocking = [];
+                this.trash.push(t);
+            });
+            this.tasks = this.tasks.filter(t => !removedIds.includes(t.id));
+            this.tasks.forEach(t => {
+                if (t.blockedBy && t.blockedBy.some(blockerId => removedIds.includes(blockerId))) {
+                    removed
+                        .filter(blocker => t.blockedBy.includes(blocker.id))
+                        .forEach(blocker => blocker.blocking.push(t.id));
+                    t.blockedBy = t.blockedBy.filter(blockerId => !removedIds.includes(blockerId));
+                }
+            });
+            this.emit('taskDeleted', { task, deletedIds: removedIds });
             return true;
         }
         return false;
     }
 
+    /**
+     * Get the tasks in the trash, most recently deleted first
+     * @returns {Array} Trashed tasks, each with a deletedAt timestamp
+     */
+    getTrash() {
+        return [...this.trash].sort((a, b) => (b.deletedAt || '').localeCompare(a.deletedAt || ''));
+    }
+
+    /**
+     * Bring a task back from the trash, along with the subtasks deleted with it
+     * See reinsertTasks() for how parents, dependencies and taken IDs are handled. Tasks that
+     * were blocked by a restored task are blocked by it again, unless that would create a cycle.
+     * @param {number} id - ID of the trashed task
+     * @param {number} trashKey - trashKey of the entry, for when the trash holds several tasks
+     *   with this ID (defaults to the most recently deleted one)
+     * @returns {Object|null} The restored task, or null if it is not in the trash
+     */
+    restoreTask(id, trashKey = null) {
+        const trashed = [...this.trash].reverse().find(t => t.id === id && (trashKey == null || t.trashKey === trashKey));
+        if (!trashed) {
+            return null;
+        }
+
+        this.recordHistory('Restore task');
+        const deletedTogether = (t) => t.trashKey === trashed.trashKey && t.deletedAt === trashed.deletedAt;
+        const restoring = [trashed];
+        for (let i = 0; i < restoring.length; i++) {
+            this.trash
+                .filter(t => t.parentId === restoring[i].id && deletedTogether(t) && !restoring.includes(t))
+                .forEach(t => restoring.push(t));
+        }
+        this.trash = this.trash.filter(t => !restoring.includes(t));
+        const blocking = new Map(restoring.map(t => [t, t.blocking || []]));
+        restoring.forEach(t => {
+            delete t.deletedAt;
+            delete t.trashKey;
+            delete t.blocking;
+        });
+
+        const restoredIds = this.reinsertTasks(restoring);
+        restoring.forEach(t => {
+            blocking.get(t).forEach(dependentId => {
+                const dependent = this.getTaskById(dependentId);
+                if (dependent && !restoredIds.includes(dependentId) && !this.dependsOn(t.id, dependentId)) {
+                    dependent.blockedBy = [...new Set([...(dependent.blockedBy || []), t.id])];
+                }
+            });
+        });
+        this.emit('taskRestored', { task: trashed, restoredIds });
+        return trashed;
+    }
+
+    /**
+     * Put tasks that were taken out of the list (e.g. trashed) back into it
+     * A task whose parent is no longer there becomes a top-level task, dependencies on tasks that
+     * are gone are dropped, and tasks whose ID has been taken in the meantime get a new one.
+     * @param {Array} tasks - Tasks to add (modified in place)
+     * @returns {Array<number>} IDs of the added tasks, in order
+     */
+    reinsertTasks(tasks) {
+        const idMap = new Map();
+        tasks.forEach(t => {
+            if (this.getTaskById(t.id)) {
+                idMap.set(t.id, this.nextId++);
+            }
+        });
+        const remap = (taskId) => (idMap.has(taskId) ? idMap.get(taskId) : taskId);
+        const ids = tasks.map(t => remap(t.id));
+        const exists = (taskId) => ids.includes(taskId) || this.getTaskById(taskId) !== null;
+        const now = new Date().toISOString();
+
+        tasks.forEach(t => {
+            t.id = remap(t.id);
+            t.parentId = t.parentId != null && exists(remap(t.parentId)) ? remap(t.parentId) : null;
+            t.blockedBy = (t.blockedBy || []).map(remap).filter(exists);
+            t.updatedAt = now;
+        });
+        this.tasks.push(...tasks);
+        this.nextId = Math.max(this.nextId, ...ids.map(taskId => taskId + 1));
+        return ids;
+    }
+
+    /**
+     * Permanently delete everything in the trash
+     * @returns {number} Number of tasks deleted
+     */
+    emptyTrash() {
+        const count = this.trash.length;
+        if (count === 0) {
+            return 0;
+        }
+
+        this.recordHistory('Empty trash');
+        this.trash = [];
+        this.emit('trashEmptied', { count });
+        return count;
+    }
+
+    /**
+     * Permanently delete tasks that have been in the trash longer than trashRetentionDays
+     * Undo steps that still have a purged task in the list are dropped (see updateHistory).
+     * @param {Date} now - Reference time (defaults to now)
+     * @returns {number} Number of tasks deleted
+     */
+    purgeTrash(now = new Date()) {
+        if (this.trashRetentionDays === 0) {
+            return 0;
+        }
+
+        const cutoff = now.getTime() - this.trashRetentionDays * 24 * 60 * 60 * 1000;
+        const purged = this.trash.filter(t => Date.parse(t.deletedAt) < cutoff);
+        if (purged.length === 0) {
+            return 0;
+        }
+
+        this.trash = this.trash.filter(t => !purged.includes(t));
+        // Purging is not an undo step, so take the tasks out of the history too or undo would bring them back
+        const isPurged = (t) => purged.some(p => p.id === t.id && p.createdAt === t.createdAt);
+        this.updateHistory((snapshot) => {
+            if (snapshot.tasks.some(isPurged)) {
+                return false;
+            }
+            if (snapshot.trash) {
+                snapshot.trash = snapshot.trash.filter(t => !isPurged(t));
+            }
+            return true;
+        });
+        this.emit('trashPurged', { purgedIds: purged.map(t => t.id) });
+        return purged.length;
+    }
+
+    /**
+     * Set how long deleted tasks are kept in the trash
+     * @param {number} days - Days before purgeTrash() deletes a trashed task for good; 0 keeps them
+     */
+    setTrashRetention(days) {
+        this.trashRetentionDays = Math.max(0, days);
+    }
+
+    /**
+     * Get the direct subtasks of a task
+     * @param {number} parentId - Parent task ID
+     * @returns {Array} Array of subtasks
+     */
+    getSubtasks(parentId) {
+        return this.tasks.filter(task => task.parentId === parentId);
+    }
+
+    /**
+     * Get all subtasks of a task, at any depth
+     * @param {number} parentId - Parent task ID
+     * @returns {Array} Array of descendant tasks
+     */
+    getDescendants(parentId) {
+        const descendants = [];
+        const visited = new Set([parentId]);
+        const queue = [parentId];
+
+        while (queue.length > 0) {
+            const currentId = queue.shift();
+            this.getSubtasks(currentId).forEach(child => {
+                if (!visited.has(child.id)) {
+                    visited.add(child.id);
+                    descendants.push(child);
+                    queue.push(child.id);
+                }
+            });
+        }
+
+        return descendants;
+    }
+
+    /**
+     * Get completion progress of a task's direct subtasks
+     * @param {number} id - Task ID
+     * @returns {Object} Progress as { completed, total, percentage }
+     */
+    getProgress(id) {
+        const subtasks = this.getSubtasks(id);
+        const completed = subtasks.filter(t => t.status === 'completed').length;
+
+        return {
+            completed,
+            total: subtasks.length,
+            percentage: subtasks.length > 0 ? Math.round((completed / subtasks.length) * 100) : 0
+        };
+    }
+
     /**
      * Get tasks filtered by status
      * @param {string} status - Task status (pending, completed, or 'all')
@@ -92,21 +454,184 @@ class TaskManager {
         const total = this.tasks.length;
         const completed = this.tasks.filter(t => t.status === 'completed').length;
         const pending = total - completed;
+        const overdue = this.getOverdueTasks().length;
         
         return {
             total,
             completed,
             pending,
+            overdue,
             completionRate: total > 0 ? Math.round((completed / total) * 100) : 0
         };
     }
 
     /**
      * Clear all tasks
+     * IDs keep counting up, so new tasks never share an ID with a trashed or archived one.
      */
     clearAllTasks() {
+        this.recordHistory('Clear all tasks');
         this.tasks = [];
-        this.nextId = 1;
+        this.emit('tasksCleared');
+    }
+
+    /**
+     * Import task records, replacing or combining them with the current tasks
+     * @param {Array} tasks - Task objects, e.g. from an exported file
+     * @param {number} nextId - ID for the next new task in replace mode (defaults to the highest ID + 1;
+     *   IDs never go back down, so a lower value is ignored)
+     * @param {Object} options - Import mode and conflict policy (see planImport)
+     * @returns {number} Number of tasks added or updated
+     * @throws {Error} If the task data, mode or conflict policy is invalid
+     */
+    importTasks(tasks, nextId = null, options = {}) {
+        const plan = this.planImport(tasks, { ...options, nextId });
+
+        this.recordHistory('Import tasks');
+        this.tasks = plan.tasks;
+        this.nextId = Math.max(plan.nextId, this.nextId);
+        this.emit('tasksImported', {
+            count: plan.added.length + plan.updated.length,
+            mode: plan.mode,
+            added: plan.added.length,
+            updated: plan.updated.length,
+            skipped: plan.skipped.length
+        });
+        return plan.added.length + plan.updated.length;
+    }
+
+    /**
+     * Work out what importing task records would change, without changing anything
+     * Modes:
+     *   replace - imported tasks replace all current tasks
+     *   append  - imported tasks are added as new tasks; colliding IDs are renumbered
+     *   merge   - a task with the same ID (and the same createdAt, when both have one) is the same
+     *             task and is updated per the conflict policy; other tasks are added, renumbered
+     *             if their ID is taken
+     * In append and merge mode a task with the same title and createdAt as a current task is a
+     * duplicate: append skips it, merge treats it as that task. References between imported tasks
+     * (parentId, blockedBy, nextOccurrenceId) follow any renumbering.
+     * Conflict policies (merge mode): 'newer' keeps the copy changed most recently,
+     * 'local' keeps the current task, 'incoming' takes the imported one.
+     * @param {Array} tasks - Task objects, e.g. from an exported file (not modified)
+     * @param {Object} options - { mode = 'replace', conflict = 'newer', nextId = null }
+     * @returns {Object} { mode, conflict, added, updated: [{ local, incoming }],
+     *   skipped: [{ task, reason }], removed, tasks (the resulting task list), nextId }
+     * @throws {Error} If the task data, mode or conflict policy is invalid
+     */
+    planImport(tasks, { mode = 'replace', conflict = 'newer', nextId = null } = {}) {
+        if (!Array.isArray(tasks) ||
+            tasks.some(task => !task || typeof task.title !== 'string' || task.title.trim() === '')) {
+            throw new Error('Invalid task data');
+        }
+        if (!['replace', 'append', 'merge'].includes(mode)) {
+            throw new Error(`Invalid import mode "${mode}"`);
+        }
+        if (!['newer', 'local', 'incoming'].includes(conflict)) {
+            throw new Error(`Invalid conflict policy "${conflict}"`);
+        }
+
+        const incoming = JSON.parse(JSON.stringify(tasks));
+        const highestId = (list) => list.reduce((max, task) => Math.max(max, Number(task.id) || 0), 0);
+
+        if (mode === 'replace') {
+            return {
+                mode,
+                conflict,
+                added: incoming,
+                updated: [],
+                skipped: [],
+                removed: [...this.tasks],
+                tasks: incoming,
+                nextId: nextId || highestId(incoming) + 1
+            };
+        }
+
+        // Decide where each imported task goes
+        const duplicateKey = (task) => `${task.title.trim().toLowerCase()}|${task.createdAt}`;
+        const localById = new Map(this.tasks.map(task => [task.id, task]));
+        const localByKey = new Map(this.tasks.filter(task => task.createdAt).map(task => [duplicateKey(task), task]));
+        const usedIds = new Set(this.tasks.map(task => task.id));
+        let freshId = Math.max(this.nextId, highestId(this.tasks) + 1, highestId(incoming) + 1);
+        const idMap = new Map();
+        const decisions = [];
+        const skipped = [];
+
+        incoming.forEach(task => {
+            let match = mode === 'merge' ? localById.get(task.id) || null : null;
+            if (match && match.createdAt && task.createdAt && match.createdAt !== task.createdAt) {
+                match = null; // Same ID, different task: an ID collision
+            }
+            if (!match && task.createdAt) {
+                match = localByKey.get(duplicateKey(task)) || null;
+                if (match && mode === 'append') {
+                    idMap.set(task.id, match.id);
+                    skipped.push({ task, reason: `Duplicate of task ${match.id}` });
+                    return;
+                }
+            }
+
+            if (match) {
+                idMap.set(task.id, match.id);
+                decisions.push({ task, local: match });
+            } else {
+                const id = Number.isInteger(task.id) && task.id > 0 && !usedIds.has(task.id) ? task.id : freshId++;
+                usedIds.add(id);
+                idMap.set(task.id, id);
+                decisions.push({ task, id });
+            }
+        });
+
+        // Point references at the renumbered tasks. In append mode references to tasks
+        // outside the file are dropped, in merge mode they refer to the current task with that ID.
+        const remap = (id) => (idMap.has(id) ? idMap.get(id) : (mode === 'merge' ? id : null));
+        const lastChanged = (task) => Date.parse(task.updatedAt || task.completedAt || task.createdAt) || 0;
+        const canonical = (task) => JSON.stringify(task, (key, value) => (
+            value && typeof value === 'object' && !Array.isArray(value)
+                ? Object.keys(value).sort().reduce((sorted, name) => ({ ...sorted, [name]: value[name] }), {})
+                : value
+        ));
+        const result = [...this.tasks];
+        const added = [];
+        const updated = [];
+
+        decisions.forEach(({ task, local, id }) => {
+            task.parentId = task.parentId != null ? remap(task.parentId) : null;
+            task.blockedBy = (task.blockedBy || []).map(remap).filter(blockerId => blockerId !== null);
+            if (task.nextOccurrenceId != null) {
+                task.nextOccurrenceId = remap(task.nextOccurrenceId);
+            }
+
+            if (!local) {
+                task.id = id;
+                added.push(task);
+                result.push(task);
+                return;
+            }
+
+            task.id = local.id;
+            if (canonical(task) === canonical(local)) {
+                skipped.push({ task, reason: 'Unchanged' });
+            } else if (conflict === 'local') {
+                skipped.push({ task, reason: 'Kept local copy' });
+            } else if (conflict === 'newer' && lastChanged(local) >= lastChanged(task)) {
+                skipped.push({ task, reason: 'Local copy is newer' });
+            } else {
+                updated.push({ local, incoming: task });
+                result[result.indexOf(local)] = task;
+            }
+        });
+
+        return {
+            mode,
+            conflict,
+            added,
+            updated,
+            skipped,
+            removed: [],
+            tasks: result,
+            nextId: Math.max(this.nextId, highestId(result) + 1)
+        };
     }
 
     /**
@@ -115,11 +640,1098 @@ class TaskManager {
      * @returns {Array} Sorted array of tasks
      */
     getTasksByPriority(order = 'desc') {
-        const priorityOrder = { high: 3, medium: 2, low: 1 };
-        return [...this.tasks].sort((a, b) => {
-            const aPriority = priorityOrder[a.priority] || 0;
-            const bPriority = priorityOrder[b.priority] || 0;
-            return order === 'desc' ? bPriority - aPriority : aPriority - bPriority;
+        return this.sortTasks(this.tasks, [{ field: 'priority', dir: order === 'desc' ? 'desc' : 'asc' }]);
+    }
+
+    /**
+     * Query tasks with filtering, multi-key sorting and pagination
+     * @param {Object} options - Query options
+     * @param {string|Function} options.filter - Search query (see search()) or predicate; all tasks when omitted
+     * @param {Array} options.sort - Sort keys, e.g. [{ field: 'priority', dir: 'desc' }, { field: 'createdAt' }]
+     * @param {number} options.offset - Number of matching tasks to skip (default 0)
+     * @param {number|null} options.limit - Maximum number of tasks to return (default: no limit)
+     * @returns {Object} { tasks, total, offset, limit, hasMore } where total counts every match
+     * @throws {Error} If the filter, a sort key or the pagination options are invalid
+     */
+    query({ filter = null, sort = [], offset = 0, limit = null } = {}) {
+        if (!Number.isInteger(offset) || offset < 0 ||
+            (limit !== null && (!Number.isInteger(limit) || limit < 0))) {
+            throw new Error('Invalid pagination options');
+        }
+
+        let matches;
+        if (typeof filter === 'string') {
+            matches = this.search(filter);
+        } else if (typeof filter === 'function') {
+            matches = this.tasks.filter(filter);
+        } else {
+            matches = [...this.tasks];
+        }
+
+        const sorted = this.sortTasks(matches, sort);
+        const tasks = limit === null ? sorted.slice(offset) : sorted.slice(offset, offset + limit);
+        return {
+            tasks,
+            total: sorted.length,
+            offset,
+            limit,
+            hasMore: offset + tasks.length < sorted.length
+        };
+    }
+
+    /**
+     * Sort tasks on one or more keys
+     * The sort is stable: tasks that tie on every key keep their incoming order.
+     * Missing dates (e.g. completedAt of a pending task) sort last in either direction.
+     * @param {Array} tasks - Tasks to sort (not modified)
+     * @param {Array} sort - Sort keys: { field, dir } with field one of priority, status, title,
+     *   createdAt, updatedAt, completedAt, dueDate and dir 'asc' (default) or 'desc'
+     * @returns {Array} New sorted array
+     * @throws {Error} If a sort field or direction is invalid
+     */
+    sortTasks(tasks, sort = []) {
+        const priorityRank = { high: 3, medium: 2, low: 1 };
+        const statusRank = { pending: 1, completed: 2 };
+        const byValue = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+        const fields = {
+            priority: { value: task => priorityRank[task.priority] || 0, compare: byValue },
+            status: { value: task => statusRank[task.status] || 0, compare: byValue },
+            title: {
+                value: task => task.title || '',
+                compare: (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true })
+            },
+            createdAt: { value: task => task.createdAt || null, compare: byValue },
+            updatedAt: { value: task => task.updatedAt || null, compare: byValue },
+            completedAt: { value: task => task.completedAt || null, compare: byValue },
+            dueDate: { value: task => task.dueDate || null, compare: byValue }
+        };
+
+        const keys = (Array.isArray(sort) ? sort : [sort]).map(key => {
+            const { field, dir = 'asc' } = key || {};
+            if (!Object.prototype.hasOwnProperty.call(fields, field)) {
+                throw new Error(`Invalid sort field "${field}"`);
+            }
+            if (dir !== 'asc' && dir !== 'desc') {
+                throw new Error(`Invalid sort direction "${dir}"`);
+            }
+            return { ...fields[field], direction: dir === 'desc' ? -1 : 1 };
         });
+
+        return tasks
+            .map((task, index) => ({ task, index }))
+            .sort((a, b) => {
+                for (const key of keys) {
+                    const aValue = key.value(a.task);
+                    const bValue = key.value(b.task);
+                    if (aValue === bValue) continue;
+                    if (aValue === null) return 1;
+                    if (bValue === null) return -1;
+                    const result = key.compare(aValue, bValue);
+                    if (result !== 0) return result * key.direction;
+                }
+                return a.index - b.index;
+            })
+            .map(({ task }) => task);
+    }
+
+    /**
+     * Get pending tasks whose due date has passed
+     * @param {Date} now - Reference date (defaults to the current date)
+     * @returns {Array} Array of overdue tasks
+     */
+    getOverdueTasks(now = new Date()) {
+        const today = this.toDateKey(now);
+        return this.tasks.filter(task =>
+            task.status === 'pending' && task.dueDate && task.dueDate < today
+        );
+    }
+
+    /**
+     * Get tasks due within a date range (inclusive)
+     * @param {string|Date} from - Start of the range
+     * @param {string|Date} to - End of the range
+     * @returns {Array} Array of tasks sorted by due date
+     */
+    getTasksDueBetween(from, to) {
+        const start = this.normalizeDueDate(from);
+        const end = this.normalizeDueDate(to);
+        return this.tasks
+            .filter(task => task.dueDate && task.dueDate >= start && task.dueDate <= end)
+            .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+    }
+
+    /**
+     * Get tasks due on the current day
+     * @param {Date} now - Reference date (defaults to the current date)
+     * @returns {Array} Array of tasks due today
+     */
+    getTasksDueToday(now = new Date()) {
+        return this.getTasksDueBetween(now, now);
     }
+
+    /**
+     * Get tasks due in the current week (Monday to Sunday)
+     * @param {Date} now - Reference date (defaults to the current date)
+     * @returns {Array} Array of tasks due this week
+     */
+    getTasksDueThisWeek(now = new Date()) {
+        const monday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - ((now.getDay() + 6) % 7));
+        const sunday = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 6);
+        return this.getTasksDueBetween(monday, sunday);
+    }
+
+    /**
+     * Check whether a task is overdue
+     * @param {Object} task - Task object
+     * @param {Date} now - Reference date (defaults to the current date)
+     * @returns {boolean} True if the task is pending and past its due date
+     */
+    isOverdue(task, now = new Date()) {
+        return task.status === 'pending' && !!task.dueDate && task.dueDate < this.toDateKey(now);
+    }
+
+    /**
+     * Normalise a due date to a YYYY-MM-DD string
+     * @param {string|Date|null} value - Date value
+     * @returns {string|null} Normalised date or null when empty
+     */
+    normalizeDueDate(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            const [year, month, day] = value.split('-').map(Number);
+            const date = new Date(year, month - 1, day);
+            if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+                throw new Error('Invalid due date');
+            }
+            return value;
+        }
+
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error('Invalid due date');
+        }
+        return this.toDateKey(date);
+    }
+
+    /**
+     * Format a date as a local YYYY-MM-DD key
+     * @param {Date} date - Date to format
+     * @returns {string} Date key
+     */
+    toDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Get tasks carrying the given tags
+     * @param {Array|string} tags - Tag or tags to match
+     * @param {Object} options - Query options
+     * @param {string} options.mode - 'any' to match at least one tag, 'all' to match every tag
+     * @returns {Array} Array of matching tasks
+     */
+    getTasksByTag(tags, { mode = 'any' } = {}) {
+        const wanted = this.normalizeTags(tags);
+        if (wanted.length === 0) {
+            return [];
+        }
+
+        return this.tasks.filter(task => {
+            const taskTags = task.tags || [];
+            return mode === 'all'
+                ? wanted.every(tag => taskTags.includes(tag))
+                : wanted.some(tag => taskTags.includes(tag));
+        });
+    }
+
+    /**
+     * Get every tag in use with its usage count
+     * @returns {Array} Array of { tag, count } sorted by count, then name
+     */
+    getAllTags() {
+        const counts = {};
+        this.tasks.forEach(task => {
+            (task.tags || []).forEach(tag => {
+                counts[tag] = (counts[tag] || 0) + 1;
+            });
+        });
+
+        return Object.keys(counts)
+            .map(tag => ({ tag, count: counts[tag] }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * Normalise tags to a de-duplicated list of lower-case, hyphenated names
+     * @param {Array|string} tags - Tags (array or comma-separated string)
+     * @returns {Array} Normalised tags
+     */
+    normalizeTags(tags) {
+        if (!tags) {
+            return [];
+        }
+
+        const list = Array.isArray(tags) ? tags : String(tags).split(',');
+        const normalized = list
+            .map(tag => String(tag).trim().toLowerCase().replace(/^#+/, '').replace(/\s+/g, '-'))
+            .filter(tag => tag !== '');
+        return [...new Set(normalized)];
+    }
+
+    /**
+     * Record that a task cannot be completed until another task is done
+     * @param {number} taskId - ID of the blocked task
+     * @param {number} blockerId - ID of the task it waits for
+     * @returns {boolean} True if the dependency was added, false if it already existed
+     * @throws {Error} If either task is missing or the dependency would create a cycle
+     */
+    addDependency(taskId, blockerId) {
+        const task = this.getTaskById(taskId);
+        if (!task || !this.getTaskById(blockerId)) {
+            throw new Error('Task not found');
+        }
+        if (taskId === blockerId) {
+            throw new Error('A task cannot depend on itself');
+        }
+        if (!task.blockedBy) {
+            task.blockedBy = [];
+        }
+        if (task.blockedBy.includes(blockerId)) {
+            return false;
+        }
+        if (this.dependsOn(blockerId, taskId)) {
+            throw new Error('Dependency would create a cycle');
+        }
+
+        this.recordHistory('Add dependency');
+        task.blockedBy.push(blockerId);
+        this.emit('taskUpdated', { task });
+        return true;
+    }
+
+    /**
+     * Remove a dependency between two tasks
+     * @param {number} taskId - ID of the blocked task
+     * @param {number} blockerId - ID of the task it waits for
+     * @returns {boolean} True if the dependency was found and removed
+     */
+    removeDependency(taskId, blockerId) {
+        const task = this.getTaskById(taskId);
+        if (!task || !task.blockedBy || !task.blockedBy.includes(blockerId)) {
+            return false;
+        }
+
+        this.recordHistory('Remove dependency');
+        task.blockedBy = task.blockedBy.filter(id => id !== blockerId);
+        this.emit('taskUpdated', { task });
+        return true;
+    }
+
+    /**
+     * Get the pending tasks that block a task
+     * @param {number} id - Task ID
+     * @returns {Array} Array of pending blocker tasks
+     */
+    getBlockers(id) {
+        const task = this.getTaskById(id);
+        if (!task || !task.blockedBy) {
+            return [];
+        }
+
+        return task.blockedBy
+            .map(blockerId => this.getTaskById(blockerId))
+            .filter(blocker => blocker && blocker.status !== 'completed');
+    }
+
+    /**
+     * Check whether a task is waiting on pending blockers
+     * @param {number} id - Task ID
+     * @returns {boolean} True if the task has pending blockers
+     */
+    isBlocked(id) {
+        return this.getBlockers(id).length > 0;
+    }
+
+    /**
+     * Get pending tasks that are waiting on other tasks
+     * @returns {Array} Array of blocked tasks
+     */
+    getBlockedTasks() {
+        return this.tasks.filter(task => task.status === 'pending' && this.isBlocked(task.id));
+    }
+
+    /**
+     * Get pending tasks that can be started now
+     * @returns {Array} Array of unblocked pending tasks
+     */
+    getReadyTasks() {
+        return this.tasks.filter(task => task.status === 'pending' && !this.isBlocked(task.id));
+    }
+
+    /**
+     * Get all tasks ordered so that every task comes after the tasks blocking it
+     * Ties keep their original order
+     * @returns {Array} Topologically sorted array of tasks
+     */
+    getTasksInDependencyOrder() {
+        const remaining = new Map(this.tasks.map(task => [
+            task.id,
+            (task.blockedBy || []).filter(id => this.getTaskById(id)).length
+        ]));
+        const ordered = [];
+
+        while (remaining.size > 0) {
+            const next = this.tasks.find(task => remaining.get(task.id) === 0);
+            if (!next) {
+                throw new Error('Dependency cycle detected');
+            }
+
+            remaining.delete(next.id);
+            ordered.push(next);
+            this.tasks.forEach(task => {
+                if (remaining.has(task.id) && (task.blockedBy || []).includes(next.id)) {
+                    remaining.set(task.id, remaining.get(task.id) - 1);
+                }
+            });
+        }
+
+        return ordered;
+    }
+
+    /**
+     * Check whether a task depends on another, directly or transitively
+     * @param {number} taskId - ID of the dependent task
+     * @param {number} targetId - ID of the possible blocker
+     * @returns {boolean} True if taskId waits on targetId
+     */
+    dependsOn(taskId, targetId) {
+        const visited = new Set();
+        const stack = [taskId];
+
+        while (stack.length > 0) {
+            const currentId = stack.pop();
+            if (currentId === targetId) {
+                return true;
+            }
+            if (visited.has(currentId)) {
+                continue;
+            }
+            visited.add(currentId);
+
+            const task = this.getTaskById(currentId);
+            if (task && task.blockedBy) {
+                stack.push(...task.blockedBy);
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Create the next occurrence of a recurring task
+     * @param {Object} task - The occurrence that was just completed
+     * @param {Date} now - Completion date
+     * @returns {Object|null} The new task, or null if the series has ended
+     */
+    createNextOccurrence(task, now = new Date()) {
+        const rule = task.recurrence;
+        const occurrence = rule.occurrence || 1;
+        if (rule.count && occurrence >= rule.count) {
+            return null;
+        }
+
+        // Skip occurrences missed while the task was overdue
+        const today = this.toDateKey(now);
+        let dueDate = this.getNextOccurrenceDate(rule, task.dueDate || today);
+        while (dueDate <= today && task.dueDate) {
+            dueDate = this.getNextOccurrenceDate(rule, dueDate);
+        }
+        if (rule.endDate && dueDate > rule.endDate) {
+            return null;
+        }
+
+        // Pin the day of month so short months don't make the series drift
+        const nextRule = { ...rule, occurrence: occurrence + 1 };
+        if (rule.frequency === 'monthly' && !rule.dayOfMonth) {
+            nextRule.dayOfMonth = Number((task.dueDate || today).slice(8));
+        }
+
+        const next = {
+            id: this.nextId++,
+            title: task.title,
+            description: task.description,
+            priority: task.priority,
+            status: 'pending',
+            dueDate: dueDate,
+            tags: [...(task.tags || [])],
+            parentId: task.parentId != null ? task.parentId : null,
+            blockedBy: [],
+            recurrence: nextRule,
+            createdAt: now.toISOString(),
+            updatedAt: null,
+            completedAt: null
+        };
+
+        this.tasks.push(next);
+        return next;
+    }
+
+    /**
+     * Calculate the first occurrence date after a given date
+     * @param {Object} rule - Normalised recurrence rule
+     * @param {string} fromDate - Date to start from (YYYY-MM-DD)
+     * @returns {string} Next occurrence date (YYYY-MM-DD)
+     */
+    getNextOccurrenceDate(rule, fromDate) {
+        const [year, month, day] = fromDate.split('-').map(Number);
+
+        switch (rule.frequency) {
+            case 'daily':
+                return this.toDateKey(new Date(year, month - 1, day + rule.interval));
+            case 'weekly': {
+                const start = new Date(year, month - 1, day);
+                const weekdays = rule.weekdays.length > 0 ? rule.weekdays : [start.getDay()];
+                for (let offset = 1; offset <= 7; offset++) {
+                    const candidate = new Date(year, month - 1, day + offset);
+                    if (weekdays.includes(candidate.getDay())) {
+                        return this.toDateKey(candidate);
+                    }
+                }
+                return this.toDateKey(new Date(year, month - 1, day + 7));
+            }
+            case 'monthly': {
+                const dayOfMonth = rule.dayOfMonth || day;
+                const monthOffset = day < Math.min(dayOfMonth, this.daysInMonth(year, month - 1)) ? 0 : 1;
+                const targetMonth = month - 1 + monthOffset;
+                const lastDay = this.daysInMonth(year, targetMonth);
+                return this.toDateKey(new Date(year, targetMonth, Math.min(dayOfMonth, lastDay)));
+            }
+            default:
+                throw new Error('Invalid recurrence rule');
+        }
+    }
+
+    /**
+     * Get the number of days in a month
+     * @param {number} year - Full year
+     * @param {number} monthIndex - Zero-based month (may overflow into the next year)
+     * @returns {number} Number of days
+     */
+    daysInMonth(year, monthIndex) {
+        return new Date(year, monthIndex + 1, 0).getDate();
+    }
+
+    /**
+     * Validate and normalise a recurrence rule
+     * Supported rules:
+     *   { frequency: 'daily', interval: N }           - every N days (default 1)
+     *   { frequency: 'weekly', weekdays: [1, 3] }     - on the given weekdays (0 = Sunday)
+     *   { frequency: 'monthly', dayOfMonth: N }       - on day N, clamped to the month length
+     * Any rule may also set endDate (YYYY-MM-DD) and/or count (total occurrences)
+     * @param {Object|string|null} rule - Recurrence rule or frequency name
+     * @returns {Object|null} Normalised rule or null when empty
+     */
+    normalizeRecurrence(rule) {
+        if (rule === undefined || rule === null || rule === '' || rule === 'none') {
+            return null;
+        }
+        if (typeof rule === 'string') {
+            rule = { frequency: rule };
+        }
+
+        const frequency = String(rule.frequency || '').toLowerCase();
+        if (!['daily', 'weekly', 'monthly'].includes(frequency)) {
+            throw new Error('Invalid recurrence rule');
+        }
+
+        const interval = rule.interval === undefined ? 1 : Number(rule.interval);
+        const weekdays = (rule.weekdays || []).map(Number);
+        const dayOfMonth = rule.dayOfMonth === undefined || rule.dayOfMonth === null ? null : Number(rule.dayOfMonth);
+        const count = rule.count === undefined || rule.count === null ? null : Number(rule.count);
+
+        if (!Number.isInteger(interval) || interval < 1 ||
+            weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6) ||
+            (dayOfMonth !== null && (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31)) ||
+            (count !== null && (!Number.isInteger(count) || count < 1))) {
+            throw new Error('Invalid recurrence rule');
+        }
+
+        return {
+            frequency,
+            interval,
+            weekdays: [...new Set(weekdays)].sort(),
+            dayOfMonth,
+            endDate: this.normalizeDueDate(rule.endDate),
+            count,
+            occurrence: rule.occurrence || 1
+        };
+    }
+
+    /**
+     * Run a group of mutations as a single undoable step
+     * If fn throws, every change it made is rolled back and the error is rethrown
+     * @param {string} label - Description of the step, e.g. 'Import tasks'
+     * @param {Function} fn - Function performing the mutations
+     * @returns {*} The return value of fn
+     */
+    withHistory(label, fn) {
+        const undoStack = [...this.undoStack];
+        const redoStack = this.redoStack;
+
+        // Hold events back until the group succeeds, so listeners never see rolled-back state
+        const isOutermost = this.pendingEvents === null;
+        if (isOutermost) {
+            this.pendingEvents = [];
+        }
+        const pendingLength = this.pendingEvents.length;
+
+        // Roll back to the state the undo entry holds; only copy it again when no entry was recorded
+        const entry = this.recordHistory(label);
+        const snapshot = entry ? entry.snapshot : this.createSnapshot();
+        this.historyGroupDepth++;
+        try {
+            const result = fn();
+            if (isOutermost) {
+                this.flushEvents();
+            }
+            return result;
+        } catch (error) {
+            this.restoreSnapshot(snapshot);
+            this.undoStack = undoStack;
+            this.redoStack = redoStack;
+            if (isOutermost) {
+                this.pendingEvents = null;
+            } else {
+                this.pendingEvents.length = pendingLength;
+            }
+            throw error;
+        } finally {
+            this.historyGroupDepth--;
+        }
+    }
+
+    /**
+     * Apply a group of mutations atomically
+     * Like withHistory(): if fn throws, every change it made is rolled back and the error is
+     * rethrown; otherwise listeners get a single change event (so PersistentTaskManager saves once)
+     * and the group is a single undo step.
+     * @param {Function} fn - Receives this manager and performs the mutations synchronously
+     * @param {string} label - Description of the undo step
+     * @returns {*} The return value of fn
+     * @throws {TypeError} If fn returns a Promise, as changes made after an await cannot be rolled back
+     */
+    transaction(fn, label = 'Batch edit') {
+        return this.withHistory(label, () => {
+            const result = fn(this);
+            if (result && typeof result.then === 'function') {
+                throw new TypeError('Transactions must be synchronous');
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Alias of transaction()
+     * @param {Function} fn - Receives this manager and performs the mutations synchronously
+     * @param {string} label - Description of the undo step
+     * @returns {*} The return value of fn
+     */
+    batch(fn, label = 'Batch edit') {
+        return this.transaction(fn, label);
+    }
+
+    /**
+     * Undo the last mutation
+     * @returns {string|null} Label of the undone step, or null if there was nothing to undo
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) {
+            return null;
+        }
+
+        this.redoStack.push({ label: entry.label, snapshot: this.createSnapshot() });
+        this.restoreSnapshot(entry.snapshot);
+        this.emit('tasksRestored', { action: 'undo', label: entry.label });
+        return entry.label;
+    }
+
+    /**
+     * Redo the last undone mutation
+     * @returns {string|null} Label of the redone step, or null if there was nothing to redo
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) {
+            return null;
+        }
+
+        this.undoStack.push({ label: entry.label, snapshot: this.createSnapshot() });
+        this.restoreSnapshot(entry.snapshot);
+        this.emit('tasksRestored', { action: 'redo', label: entry.label });
+        return entry.label;
+    }
+
+    /**
+     * Check whether there is a mutation to undo
+     * @returns {boolean} True if undo() would change something
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check whether there is an undone mutation to redo
+     * @returns {boolean} True if redo() would change something
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Set how many steps of history are kept
+     * @param {number} limit - Maximum number of undo steps
+     */
+    setHistoryLimit(limit) {
+        this.historyLimit = Math.max(0, limit);
+        this.undoStack.splice(0, Math.max(0, this.undoStack.length - this.historyLimit));
+    }
+
+    /**
+     * Forget all undo and redo history
+     */
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Apply a change made outside the undo history to the saved undo and redo states
+     * Keeps undo and redo from undoing a change they did not record (e.g. tasks moved to storage
+     * elsewhere). Where the change cannot be applied to a state, that step and every step
+     * further away from the current state are dropped.
+     * @param {Function} update - Called with each snapshot to change it in place; returns false
+     *   if the change cannot be applied to it
+     * @returns {number} Number of steps dropped
+     */
+    updateHistory(update) {
+        const updateStack = (stack) => {
+            // The entry closest to the current state is the last one on both stacks
+            for (let i = stack.length - 1; i >= 0; i--) {
+                if (update(stack[i].snapshot) === false) {
+                    stack.splice(0, i + 1);
+                    return i + 1;
+                }
+            }
+            return 0;
+        };
+        return updateStack(this.undoStack) + updateStack(this.redoStack);
+    }
+
+    /**
+     * Save the current state onto the undo stack before a mutation
+     * Inside withHistory() the group's single entry is used instead
+     * @param {string} label - Description of the mutation
+     * @returns {Object|null} The undo entry { label, snapshot }, or null if none was recorded
+     */
+    recordHistory(label) {
+        if (this.historyGroupDepth > 0 || this.historyLimit === 0) {
+            return null;
+        }
+
+        const entry = { label, snapshot: this.createSnapshot() };
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        return entry;
+    }
+
+    /**
+     * Take a deep copy of the task list and the trash
+     * @returns {Object} Snapshot with tasks, nextId and trash
+     */
+    createSnapshot() {
+        return {
+            tasks: JSON.parse(JSON.stringify(this.tasks)),
+            nextId: this.nextId,
+            trash: JSON.parse(JSON.stringify(this.trash))
+        };
+    }
+
+    /**
+     * Replace the task list with a snapshot
+     * @param {Object} snapshot - Snapshot from createSnapshot(); the trash is left alone if it has none
+     */
+    restoreSnapshot(snapshot) {
+        this.tasks = JSON.parse(JSON.stringify(snapshot.tasks));
+        this.nextId = snapshot.nextId;
+        if (snapshot.trash) {
+            this.trash = JSON.parse(JSON.stringify(snapshot.trash));
+        }
+    }
+
+    /**
+     * Subscribe to a change event
+     * Events: taskAdded, taskUpdated, taskCompleted, taskDeleted, taskRestored (from the trash),
+     * trashEmptied, trashPurged, tasksCleared, tasksImported, tasksRestored (undo/redo), and
+     * change, which fires once after every mutation or withHistory() group with the list of
+     * events it consisted of
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with an event object { type, ...details }
+     * @returns {Function} Function that removes the listener
+     */
+    on(event, listener) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Unsubscribe from a change event
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener passed to on() or once()
+     * @returns {boolean} True if the listener was found and removed
+     */
+    off(event, listener) {
+        const listeners = this.listeners[event] || [];
+        const index = listeners.findIndex(l => l === listener || l.listener === listener);
+        if (index === -1) {
+            return false;
+        }
+
+        listeners.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Subscribe to the next occurrence of a change event only
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event object
+     * @returns {Function} Function that removes the listener
+     */
+    once(event, listener) {
+        const wrapper = (payload) => {
+            this.off(event, wrapper);
+            listener(payload);
+        };
+        wrapper.listener = listener;
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Emit a change event, or queue it while a withHistory() group is running
+     * @param {string} type - Event name
+     * @param {Object} details - Event details
+     */
+    emit(type, details = {}) {
+        const event = { type, ...details };
+        if (this.pendingEvents !== null) {
+            this.pendingEvents.push(event);
+            return;
+        }
+
+        this.dispatch(event);
+        this.dispatch({ type: 'change', events: [event] });
+    }
+
+    /**
+     * Emit the events queued during a withHistory() group
+     */
+    flushEvents() {
+        const events = this.pendingEvents || [];
+        this.pendingEvents = null;
+
+        events.forEach(event => this.dispatch(event));
+        if (events.length > 0) {
+            this.dispatch({ type: 'change', events });
+        }
+    }
+
+    /**
+     * Call every listener for an event; a failing listener does not stop the others
+     * @param {Object} event - Event object with a type
+     */
+    dispatch(event) {
+        (this.listeners[event.type] || []).slice().forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`Error in ${event.type} listener:`, error);
+            }
+        });
+    }
+
+    /**
+     * Search tasks with free text and field qualifiers, ranked by relevance
+     * Syntax: words and "exact phrases" match the title or description,
+     * -word / -"phrase" / -field:value exclude, and qualifiers filter:
+     *   priority:high[,medium]  status:pending  tag:work
+     *   created:>2026-01-01  completed:<=2026-02-01  due:2026-03-15  updated:>=...
+     *   is:overdue | is:blocked | is:recurring | is:subtask
+     * Other words containing a colon, such as URLs, are searched for as text.
+     * @param {string} query - Search query
+     * @returns {Array} Matching tasks, best match first
+     * @throws {Error} If the query has a syntax error
+     */
+    search(query) {
+        const parsed = this.parseSearchQuery(query);
+        const positiveText = parsed.text.filter(term => !term.negate);
+
+        return this.tasks
+            .map((task, index) => ({ task, index, score: this.scoreSearchMatch(task, positiveText) }))
+            .filter(({ task, score }) =>
+                (positiveText.length === 0 || score > 0) &&
+                parsed.text.every(term => !term.negate || !this.matchesSearchText(task, term.value)) &&
+                parsed.filters.every(filter => this.matchesSearchFilter(task, filter) !== filter.negate)
+            )
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .map(({ task }) => task);
+    }
+
+    /**
+     * Parse a search query into text terms and field filters
+     * @param {string} query - Search query (see search())
+     * @returns {Object} { text: [{ value, phrase, negate }], filters: [{ field, operator, value, negate }] }
+     * @throws {Error} If the query has a syntax error
+     */
+    parseSearchQuery(query) {
+        const fields = ['priority', 'status', 'tag', 'created', 'completed', 'due', 'updated', 'is'];
+        const parsed = { text: [], filters: [] };
+        const input = String(query || '');
+        let i = 0;
+
+        while (i < input.length) {
+            if (/\s/.test(input[i])) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+            let negate = false;
+            if (input[i] === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+                negate = true;
+                i++;
+            }
+
+            // Read one token; quoted sections may contain spaces
+            let token = '';
+            let quoted = false;
+            while (i < input.length && !/\s/.test(input[i])) {
+                if (input[i] === '"') {
+                    const close = input.indexOf('"', i + 1);
+                    if (close === -1) {
+                        throw new Error(`Search syntax error: unterminated quote at position ${i + 1}`);
+                    }
+                    token += input.slice(i + 1, close);
+                    quoted = true;
+                    i = close + 1;
+                } else {
+                    token += input[i];
+                    i++;
+                }
+            }
+
+            const qualifier = !quoted || input[start + (negate ? 1 : 0)] !== '"'
+                ? token.match(/^([a-z]+):(.*)$/i)
+                : null;
+            if (!qualifier) {
+                if (token.trim() !== '') {
+                    parsed.text.push({ value: token.toLowerCase(), phrase: quoted, negate });
+                }
+                continue;
+            }
+
+            // Other words with a colon (URLs, "re:meeting", "note:") are plain text, unless
+            // they look like a misspelt field
+            const field = qualifier[1].toLowerCase();
+            if (!fields.includes(field)) {
+                const similar = this.findSimilarSearchField(field, fields);
+                if (similar) {
+                    throw new Error(`Search syntax error: unknown field "${field}" at position ${start + 1} (did you mean "${similar}"?)`);
+                }
+                parsed.text.push({ value: token.toLowerCase(), phrase: quoted, negate });
+                continue;
+            }
+            parsed.filters.push({ ...this.parseSearchFilter(field, qualifier[2], start), negate });
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Find the search field a word is probably a misspelling of
+     * A word matches a field it is at most 2 edits away from, and at most 1 edit away from a
+     * three-letter field; two-letter fields only match exactly.
+     * @param {string} word - Lower-case word before a colon
+     * @param {Array<string>} fields - Known field names
+     * @returns {string|null} The closest field, or null if none is close
+     */
+    findSimilarSearchField(word, fields) {
+        const distance = (a, b) => {
+            let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+            for (let i = 1; i <= a.length; i++) {
+                const current = [i];
+                for (let j = 1; j <= b.length; j++) {
+                    current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                }
+                previous = current;
+            }
+            return previous[b.length];
+        };
+
+        let closest = null;
+        let closestDistance = Infinity;
+        fields.forEach(field => {
+            const edits = distance(word, field);
+            if (edits <= Math.min(2, Math.floor((field.length - 1) / 2)) && edits < closestDistance) {
+                closest = field;
+                closestDistance = edits;
+            }
+        });
+        return closest;
+    }
+
+    /**
+     * Parse and validate the value of a field qualifier
+     * @param {string} field - Field name
+     * @param {string} rawValue - Text after the colon
+     * @param {number} position - Position of the qualifier in the query (for errors)
+     * @returns {Object} { field, operator, value }
+     */
+    parseSearchFilter(field, rawValue, position) {
+        const fail = (message) => {
+            throw new Error(`Search syntax error: ${message} at position ${position + 1}`);
+        };
+        if (rawValue === '') {
+            fail(`missing value for "${field}"`);
+        }
+
+        const allowed = {
+            priority: ['low', 'medium', 'high'],
+            status: ['pending', 'completed'],
+            is: ['overdue', 'blocked', 'recurring', 'subtask']
+        };
+        if (allowed[field]) {
+            const values = rawValue.toLowerCase().split(',').filter(v => v !== '');
+            const invalid = values.find(v => !allowed[field].includes(v));
+            if (invalid || values.length === 0) {
+                fail(`invalid ${field} "${invalid || rawValue}"`);
+            }
+            return { field, operator: '=', value: values };
+        }
+
+        if (field === 'tag') {
+            return { field, operator: '=', value: this.normalizeTags(rawValue) };
+        }
+
+        // Date fields: optional comparison operator followed by YYYY-MM-DD
+        const match = rawValue.match(/^(>=|<=|>|<|=)?(.+)$/);
+        const operator = match[1] || '=';
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(match[2])) {
+            fail(`invalid date "${match[2]}" (expected YYYY-MM-DD)`);
+        }
+        try {
+            return { field, operator, value: this.normalizeDueDate(match[2]) };
+        } catch (error) {
+            fail(`invalid date "${match[2]}"`);
+        }
+    }
+
+    /**
+     * Check whether a task satisfies a parsed field filter
+     * @param {Object} task - Task object
+     * @param {Object} filter - Filter from parseSearchQuery()
+     * @returns {boolean} True if the task matches
+     */
+    matchesSearchFilter(task, filter) {
+        switch (filter.field) {
+            case 'priority':
+            case 'status':
+                return filter.value.includes(task[filter.field]);
+            case 'tag':
+                return filter.value.some(tag => (task.tags || []).includes(tag));
+            case 'is':
+                return filter.value.some(flag => {
+                    switch (flag) {
+                        case 'overdue': return this.isOverdue(task);
+                        case 'blocked': return task.status === 'pending' && this.isBlocked(task.id);
+                        case 'recurring': return !!task.recurrence;
+                        case 'subtask': return task.parentId != null;
+                        default: return false;
+                    }
+                });
+            default: {
+                const source = filter.field === 'due' ? task.dueDate : task[`${filter.field}At`];
+                if (!source) {
+                    return false;
+                }
+                const dateKey = filter.field === 'due' ? source : this.toDateKey(new Date(source));
+                switch (filter.operator) {
+                    case '>': return dateKey > filter.value;
+                    case '>=': return dateKey >= filter.value;
+                    case '<': return dateKey < filter.value;
+                    case '<=': return dateKey <= filter.value;
+                    default: return dateKey === filter.value;
+                }
+            }
+        }
+    }
+
+    /**
+     * Check whether a task's title or description contains some text
+     * @param {Object} task - Task object
+     * @param {string} text - Lower-case text to look for
+     * @returns {boolean} True if found
+     */
+    matchesSearchText(task, text) {
+        return (task.title || '').toLowerCase().includes(text) ||
+            (task.description || '').toLowerCase().includes(text);
+    }
+
+    /**
+     * Score how well a task matches the positive text terms of a query
+     * Title matches outweigh description matches; phrases and word starts score extra
+     * @param {Object} task - Task object
+     * @param {Array} terms - Text terms from parseSearchQuery()
+     * @returns {number} Relevance score (0 when any term is missing)
+     */
+    scoreSearchMatch(task, terms) {
+        const title = (task.title || '').toLowerCase();
+        const description = (task.description || '').toLowerCase();
+        let score = 0;
+
+        for (const term of terms) {
+            const weight = term.phrase ? 2 : 1;
+            let termScore = 0;
+            if (title.includes(term.value)) {
+                termScore += 3;
+                if (title === term.value) {
+                    termScore += 3;
+                } else if (title.startsWith(term.value) || title.includes(` ${term.value}`)) {
+                    termScore += 1;
+                }
+            }
+            if (description.includes(term.value)) {
+                termScore += 1;
+            }
+            if (termScore === 0) {
+                return 0;
+            }
+            score += termScore * weight;
+        }
+
+        return score;
+    }
+}
+
+// Node.js environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskManager;
 }
@@ -3,6 +3,11 @@
  * Run these tests to verify TaskManager functionality
  */
 
+// Node.js environment: load what a browser gets from the earlier <script> tags
+if (typeof window === 'undefined') {
+    globalThis.TaskManager = require('./taskManager.js');
+}
+
 class TaskManagerTests {
     constructor() {
         this.taskManager = new TaskManager();
@@ -16,11 +21,24 @@ class TaskManagerTests {
         console.log('🧪 Running TaskManager Tests...\n');
         
         this.testAddTask();
+        this.testUpdateTask();
         this.testCompleteTask();
         this.testDeleteTask();
+        this.testTrash();
         this.testGetTasks();
         this.testGetStats();
         this.testGetTasksByPriority();
+        this.testDueDates();
+        this.testTags();
+        this.testSubtasks();
+        this.testDependencies();
+        this.testRecurrence();
+        this.testUndoRedo();
+        this.testEvents();
+        this.testTransactions();
+        this.testSearch();
+        this.testQuery();
+        this.testImportModes();
         this.testErrorHandling();
         
         this.printResults();
@@ -56,6 +74,42 @@ class TaskManagerTests {
         console.log('✅ addTask tests passed\n');
     }
 
+    /**
+     * Test task editing functionality
+     */
+    testUpdateTask() {
+        console.log('Testing updateTask...');
+        
+        // Test 1: Update fields of an existing task
+        const original = this.taskManager.getTaskById(1);
+        const createdAt = original.createdAt;
+        const updated = this.taskManager.updateTask(1, { title: '  Edited Task ', priority: 'LOW' });
+        this.assert(updated !== null, 'Should return the updated task');
+        this.assert(updated.title === 'Edited Task', 'Title should be trimmed and updated');
+        this.assert(updated.priority === 'low', 'Priority should be normalised to lower case');
+        this.assert(updated.description === 'Test Description', 'Unpatched fields should be kept');
+        this.assert(updated.createdAt === createdAt, 'createdAt should be preserved');
+        this.assert(updated.updatedAt !== null, 'Task should have an update date');
+        
+        // Test 2: Reject an empty title
+        try {
+            this.taskManager.updateTask(1, { title: '   ' });
+            this.assert(false, 'Should throw error for empty title');
+        } catch (error) {
+            this.assert(error.message === 'Task title is required', 'Should throw correct error message');
+            this.assert(this.taskManager.getTaskById(1).title === 'Edited Task', 'Failed update should not change the task');
+        }
+        
+        // Test 3: Try to update non-existent task
+        const result = this.taskManager.updateTask(999, { title: 'Nope' });
+        this.assert(result === null, 'Should return null for non-existent task');
+        
+        // Restore original values for later tests
+        this.taskManager.updateTask(1, { title: 'Test Task', priority: 'high' });
+        
+        console.log('✅ updateTask tests passed\n');
+    }
+
     /**
      * Test task completion functionality
      */
@@ -97,6 +151,84 @@ class TaskManagerTests {
         console.log('✅ deleteTask tests passed\n');
     }
 
+    /**
+     * Test the trash: soft delete, restore, emptying and purging
+     */
+    testTrash() {
+        console.log('Testing trash...');
+        
+        const manager = new TaskManager();
+        const parent = manager.addTask('Parent', '', 'high');
+        const child = manager.addSubtask(parent.id, 'Child');
+        const other = manager.addTask('Other');
+        manager.addDependency(other.id, parent.id);
+        
+        // Test 1: Deleted tasks move to the trash and out of lists and statistics
+        manager.deleteTask(parent.id);
+        const trash = manager.getTrash();
+        this.assert(trash.length === 2 && trash.every(task => task.deletedAt), 'Deleted tasks should be trashed with a deletedAt timestamp');
+        this.assert(manager.getTasks().length === 1 && manager.getStats().total === 1, 'Trashed tasks should be left out of lists and statistics');
+        this.assert(manager.getTaskById(parent.id) === null, 'Trashed tasks should not be found by ID');
+        this.assert(!manager.isBlocked(other.id), 'Tasks should not wait for a trashed task');
+        
+        // Test 2: Restoring brings back the subtasks deleted with the task
+        const restored = manager.restoreTask(parent.id);
+        this.assert(restored && restored.deletedAt === undefined, 'restoreTask should return the task without deletedAt');
+        this.assert(manager.getTaskById(child.id).parentId === parent.id, 'Subtasks should be restored with their parent');
+        this.assert(manager.getTaskById(other.id).blockedBy.join() === String(parent.id) && manager.isBlocked(other.id), 'Restored tasks should block the tasks they blocked before');
+        this.assert(manager.getTrash().length === 0 && manager.getStats().total === 3, 'Restored tasks should leave the trash');
+        this.assert(manager.restoreTask(999) === null, 'Restoring a task that is not in the trash should return null');
+        
+        // Test 3: Orphaned subtasks and taken IDs are handled on restore
+        manager.deleteTask(child.id);
+        manager.deleteTask(parent.id);
+        manager.restoreTask(child.id);
+        this.assert(manager.getTaskById(child.id).parentId === null, 'A subtask whose parent is trashed should be restored at the top level');
+        const childId = child.id;
+        manager.deleteTask(childId);
+        manager.importTasks([{ id: childId, title: 'Taken', priority: 'low', status: 'pending' }], null, { mode: 'merge' });
+        const renumbered = manager.restoreTask(childId);
+        this.assert(renumbered.id !== childId && manager.getTaskById(childId).title === 'Taken', 'A restored task whose ID is taken should get a new one');
+        
+        // Test 4: Undo brings a deleted task back out of the trash
+        manager.deleteTask(other.id);
+        manager.undo();
+        this.assert(manager.getTaskById(other.id) !== null && !manager.getTrash().some(task => task.id === other.id), 'Undoing a delete should take the task out of the trash');
+        
+        // Test 5: Purging removes only expired tasks, and emptying removes the rest
+        const purged = [];
+        manager.on('trashPurged', (event) => purged.push(...event.purgedIds));
+        manager.deleteTask(other.id);
+        const later = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+        manager.trash.find(task => task.id === other.id).deletedAt = new Date().toISOString();
+        manager.trash.filter(task => task.id !== other.id).forEach(task => { task.deletedAt = '2020-01-01T00:00:00.000Z'; });
+        this.assert(manager.purgeTrash(new Date()) === 1 && purged[0] === parent.id, 'purgeTrash should remove tasks trashed longer than the retention');
+        manager.setTrashRetention(0);
+        this.assert(manager.purgeTrash(later) === 0, 'A retention of 0 should keep trashed tasks');
+        manager.setTrashRetention(30);
+        this.assert(manager.emptyTrash() === 1 && manager.getTrash().length === 0, 'emptyTrash should delete everything in the trash');
+        this.assert(manager.undo() === 'Empty trash' && manager.getTrash().length === 1, 'Emptying the trash should be undoable');
+
+        // Test 6: Clearing the list does not reuse IDs of trashed tasks, and trash keys tell apart tasks that share one
+        const cleared = new TaskManager();
+        const oldTask = cleared.addTask('Old A');
+        cleared.deleteTask(oldTask.id);
+        cleared.clearAllTasks();
+        const newTask = cleared.addTask('New B');
+        cleared.deleteTask(newTask.id);
+        this.assert(newTask.id !== oldTask.id, 'New tasks should not reuse the ID of a trashed task');
+        this.assert(cleared.restoreTask(newTask.id).title === 'New B', 'Restoring should bring back the task that was asked for');
+        cleared.importTasks([{ id: oldTask.id, title: 'Imported A', priority: 'low', status: 'pending' }]);
+        cleared.deleteTask(oldTask.id);
+        const [first, second] = cleared.getTrash();
+        const oldEntry = first.title === 'Old A' ? first : second;
+        this.assert(first.id === second.id && first.trashKey !== second.trashKey, 'Each deletion should get its own trash key');
+        this.assert(cleared.restoreTask(oldTask.id, oldEntry.trashKey).title === 'Old A', 'restoreTask should restore the entry with the given trash key');
+        this.assert(cleared.restoreTask(oldTask.id).title === 'Imported A', 'restoreTask should restore the remaining entry by ID');
+
+        console.log('✅ Trash tests passed\n');
+    }
+
     /**
      * Test task filtering functionality
      */
@@ -166,6 +298,659 @@ class TaskManagerTests {
         console.log('✅ getTasksByPriority tests passed\n');
     }
 
+    /**
+     * Test due date functionality
+     */
+    testDueDates() {
+        console.log('Testing due dates...');
+        
+        const manager = new TaskManager();
+        const now = new Date(2026, 0, 14); // Wednesday
+        
+        // Test 1: Due dates are stored as YYYY-MM-DD
+        const overdue = manager.addTask('Overdue', '', 'high', { dueDate: '2026-01-10' });
+        const today = manager.addTask('Today', '', 'medium', { dueDate: new Date(2026, 0, 14, 15, 30) });
+        const sunday = manager.addTask('Sunday', '', 'low', { dueDate: '2026-01-18' });
+        const later = manager.addTask('Later', '', 'low', { dueDate: '2026-02-01' });
+        const undated = manager.addTask('No due date');
+        this.assert(overdue.dueDate === '2026-01-10', 'Due date string should be kept');
+        this.assert(today.dueDate === '2026-01-14', 'Due date Date should be normalised');
+        this.assert(undated.dueDate === null, 'Default due date should be null');
+        
+        // Test 2: Overdue detection ignores completed tasks
+        manager.addTask('Done late', '', 'low', { dueDate: '2026-01-01' });
+        manager.completeTask(6);
+        const overdueTasks = manager.getOverdueTasks(now);
+        this.assert(overdueTasks.length === 1 && overdueTasks[0].id === overdue.id, 'Should find only pending overdue tasks');
+        this.assert(manager.isOverdue(today, now) === false, 'Task due today should not be overdue');
+        
+        // Test 3: Date-range queries
+        const range = manager.getTasksDueBetween('2026-01-10', '2026-01-18');
+        this.assert(range.length === 3, 'Range query should be inclusive');
+        this.assert(range[0].id === overdue.id && range[2].id === sunday.id, 'Range results should be sorted by due date');
+        this.assert(manager.getTasksDueToday(now).length === 1, 'Should find tasks due today');
+        this.assert(manager.getTasksDueThisWeek(now).length === 2, 'Week should run Monday to Sunday');
+        
+        // Test 4: Stats include overdue count
+        this.assert(typeof manager.getStats().overdue === 'number', 'Stats should have overdue count');
+        
+        // Test 5: Due date can be changed and cleared
+        manager.updateTask(later.id, { dueDate: '2026-01-12' });
+        this.assert(manager.getOverdueTasks(now).length === 2, 'Updated due date should be used');
+        manager.updateTask(later.id, { dueDate: '' });
+        this.assert(manager.getTaskById(later.id).dueDate === null, 'Empty due date should clear it');
+        
+        // Test 6: Invalid dates are rejected
+        try {
+            manager.addTask('Bad date', '', 'low', { dueDate: '2026-02-30' });
+            this.assert(false, 'Should throw error for invalid due date');
+        } catch (error) {
+            this.assert(error.message === 'Invalid due date', 'Should throw correct error message');
+        }
+        
+        console.log('✅ due date tests passed\n');
+    }
+
+    /**
+     * Test tag functionality
+     */
+    testTags() {
+        console.log('Testing tags...');
+        
+        const manager = new TaskManager();
+        
+        // Test 1: Tags are normalised and de-duplicated
+        const task1 = manager.addTask('Tagged', '', 'medium', { tags: ' Work, #urgent,work ,Big Project' });
+        this.assert(task1.tags.join('|') === 'work|urgent|big-project', 'Tags should be normalised');
+        const task2 = manager.addTask('Other', '', 'low', { tags: ['home', 'urgent'] });
+        const task3 = manager.addTask('Untagged');
+        this.assert(Array.isArray(task3.tags) && task3.tags.length === 0, 'Default tags should be empty');
+        
+        // Test 2: Add and remove tags
+        this.assert(manager.addTags(task3.id, 'Home') === true, 'Should return true when adding tags');
+        this.assert(manager.getTaskById(task3.id).tags[0] === 'home', 'Added tag should be stored');
+        manager.addTags(task3.id, ['home']);
+        this.assert(manager.getTaskById(task3.id).tags.length === 1, 'Adding an existing tag should not duplicate it');
+        manager.removeTags(task1.id, 'BIG PROJECT');
+        this.assert(!manager.getTaskById(task1.id).tags.includes('big-project'), 'Removed tag should be gone');
+        this.assert(manager.addTags(999, 'x') === false, 'Should return false for non-existent task');
+        
+        // Test 3: Tag queries
+        this.assert(manager.getTasksByTag('urgent').length === 2, 'Should find tasks by tag');
+        this.assert(manager.getTasksByTag(['home', 'work']).length === 3, "Mode 'any' should match any tag");
+        const both = manager.getTasksByTag(['home', 'urgent'], { mode: 'all' });
+        this.assert(both.length === 1 && both[0].id === task2.id, "Mode 'all' should match every tag");
+        
+        // Test 4: Tag usage counts
+        const allTags = manager.getAllTags();
+        this.assert(allTags[0].tag === 'home' && allTags[0].count === 2, 'Tag counts should be sorted by usage');
+        this.assert(allTags.length === 3, 'Should list every tag in use');
+        
+        console.log('✅ tag tests passed\n');
+    }
+
+    /**
+     * Test subtask functionality
+     */
+    testSubtasks() {
+        console.log('Testing subtasks...');
+        
+        const manager = new TaskManager();
+        const parent = manager.addTask('Release', '', 'high');
+        
+        // Test 1: Add subtasks
+        const step1 = manager.addSubtask(parent.id, 'Write changelog');
+        const step2 = manager.addSubtask(parent.id, 'Tag release');
+        const nested = manager.addSubtask(step2.id, 'Push tag');
+        this.assert(step1.parentId === parent.id, 'Subtask should reference its parent');
+        this.assert(parent.parentId === null, 'Top-level task should have no parent');
+        this.assert(manager.getSubtasks(parent.id).length === 2, 'Should list direct subtasks');
+        this.assert(manager.getDescendants(parent.id).length === 3, 'Should list subtasks at any depth');
+        
+        try {
+            manager.addSubtask(999, 'Orphan');
+            this.assert(false, 'Should throw error for missing parent');
+        } catch (error) {
+            this.assert(error.message === 'Parent task not found', 'Should throw correct error message');
+        }
+        
+        // Test 2: Progress roll-up
+        manager.completeTask(step1.id);
+        const progress = manager.getProgress(parent.id);
+        this.assert(progress.completed === 1 && progress.total === 2, 'Progress should count direct subtasks');
+        this.assert(progress.percentage === 50, 'Progress percentage should be calculated');
+        this.assert(manager.getProgress(step1.id).total === 0, 'Task without subtasks should have empty progress');
+        
+        // Test 3: Completing a parent completes its subtasks
+        manager.completeTask(parent.id);
+        this.assert(manager.getTaskById(nested.id).status === 'completed', 'Nested subtasks should be completed');
+        this.assert(manager.getProgress(parent.id).percentage === 100, 'Progress should reach 100%');
+        
+        // Test 4: Deleting a parent deletes its subtasks
+        const other = manager.addTask('Unrelated');
+        manager.deleteTask(parent.id);
+        this.assert(manager.getTasks().length === 1, 'Subtasks should be deleted with their parent');
+        this.assert(manager.getTaskById(other.id) !== null, 'Unrelated tasks should be kept');
+        
+        console.log('✅ subtask tests passed\n');
+    }
+
+    /**
+     * Test task dependency functionality
+     */
+    testDependencies() {
+        console.log('Testing dependencies...');
+        
+        const manager = new TaskManager();
+        const design = manager.addTask('Design');
+        const build = manager.addTask('Build');
+        const ship = manager.addTask('Ship');
+        
+        // Test 1: Add dependencies
+        this.assert(manager.addDependency(ship.id, build.id) === true, 'Should add a dependency');
+        this.assert(manager.addDependency(build.id, design.id) === true, 'Should add a second dependency');
+        this.assert(manager.addDependency(ship.id, build.id) === false, 'Adding a duplicate dependency should return false');
+        this.assert(manager.getTaskById(ship.id).blockedBy.includes(build.id), 'Dependency should be stored on the task');
+        
+        // Test 2: Reject cycles and invalid dependencies
+        try {
+            manager.addDependency(design.id, ship.id);
+            this.assert(false, 'Should throw error for a cycle');
+        } catch (error) {
+            this.assert(error.message === 'Dependency would create a cycle', 'Should throw correct error message');
+        }
+        try {
+            manager.addDependency(design.id, design.id);
+            this.assert(false, 'Should throw error for a self-dependency');
+        } catch (error) {
+            this.assert(error.message === 'A task cannot depend on itself', 'Should reject self-dependencies');
+        }
+        
+        // Test 3: Blocked and ready tasks
+        this.assert(manager.getBlockedTasks().length === 2, 'Should find blocked tasks');
+        const ready = manager.getReadyTasks();
+        this.assert(ready.length === 1 && ready[0].id === design.id, 'Should find ready tasks');
+        
+        // Test 4: Topological ordering
+        const order = manager.getTasksInDependencyOrder().map(t => t.id);
+        this.assert(order.join(',') === [design.id, build.id, ship.id].join(','), 'Blockers should come first');
+        
+        // Test 5: Completing a blocked task is refused
+        try {
+            manager.completeTask(build.id);
+            this.assert(false, 'Should throw error for a blocked task');
+        } catch (error) {
+            this.assert(error.message === 'Task is blocked by "Design"', 'Should name the pending blockers');
+            this.assert(manager.getTaskById(build.id).status === 'pending', 'Blocked task should stay pending');
+        }
+        manager.completeTask(design.id);
+        this.assert(manager.completeTask(build.id) === true, 'Task should complete once its blockers are done');
+        
+        // Test 6: Removing dependencies
+        this.assert(manager.removeDependency(ship.id, build.id) === true, 'Should remove a dependency');
+        this.assert(manager.removeDependency(ship.id, build.id) === false, 'Removing a missing dependency should return false');
+        
+        // Test 7: Deleting a blocker clears the dependency
+        const extra = manager.addTask('Extra');
+        manager.addDependency(ship.id, extra.id);
+        manager.deleteTask(extra.id);
+        this.assert(manager.getTaskById(ship.id).blockedBy.length === 0, 'Deleted blockers should be removed');
+        
+        console.log('✅ dependency tests passed\n');
+    }
+
+    /**
+     * Test recurring task functionality
+     */
+    testRecurrence() {
+        console.log('Testing recurring tasks...');
+        
+        const manager = new TaskManager();
+        
+        // Test 1: Next occurrence dates
+        const daily = manager.normalizeRecurrence({ frequency: 'daily', interval: 3 });
+        this.assert(manager.getNextOccurrenceDate(daily, '2026-01-30') === '2026-02-02', 'Every N days should add N days');
+        const weekly = manager.normalizeRecurrence({ frequency: 'weekly', weekdays: [1, 4] });
+        this.assert(manager.getNextOccurrenceDate(weekly, '2026-01-12') === '2026-01-15', 'Weekly should move to the next listed weekday');
+        this.assert(manager.getNextOccurrenceDate(weekly, '2026-01-15') === '2026-01-19', 'Weekly should wrap into the next week');
+        const monthly = manager.normalizeRecurrence({ frequency: 'monthly', dayOfMonth: 31 });
+        this.assert(manager.getNextOccurrenceDate(monthly, '2026-01-31') === '2026-02-28', 'Monthly should clamp to short months');
+        this.assert(manager.getNextOccurrenceDate(monthly, '2026-02-28') === '2026-03-31', 'Monthly should return to day N');
+        
+        // Test 2: Completing a recurring task spawns the next occurrence
+        const future = manager.toDateKey(new Date(Date.now() + 7 * 86400000));
+        const standup = manager.addTask('Stand-up notes', '', 'medium', {
+            dueDate: future,
+            tags: 'team',
+            recurrence: { frequency: 'daily', count: 2 }
+        });
+        manager.completeTask(standup.id);
+        const next = manager.getTaskById(standup.nextOccurrenceId);
+        this.assert(next !== null && next.id !== standup.id, 'Next occurrence should get a fresh ID');
+        this.assert(next.status === 'pending', 'Next occurrence should be pending');
+        this.assert(next.dueDate === manager.getNextOccurrenceDate(standup.recurrence, future), 'Next occurrence should be due on the next date');
+        this.assert(next.tags.includes('team') && next.recurrence.occurrence === 2, 'Next occurrence should copy the task');
+        
+        // Test 3: Count and end date stop the series
+        manager.completeTask(next.id);
+        this.assert(!next.nextOccurrenceId && manager.getTasks().length === 2, 'Series should stop after count occurrences');
+        const ending = manager.addTask('Ending', '', 'low', {
+            dueDate: '2099-01-01',
+            recurrence: { frequency: 'weekly', endDate: '2099-01-05' }
+        });
+        manager.completeTask(ending.id);
+        this.assert(!ending.nextOccurrenceId, 'Series should stop after the end date');
+        
+        // Test 4: Invalid rules are rejected
+        try {
+            manager.addTask('Bad rule', '', 'low', { recurrence: { frequency: 'hourly' } });
+            this.assert(false, 'Should throw error for invalid recurrence');
+        } catch (error) {
+            this.assert(error.message === 'Invalid recurrence rule', 'Should throw correct error message');
+        }
+        
+        console.log('✅ recurring task tests passed\n');
+    }
+
+    /**
+     * Test undo/redo functionality
+     */
+    testUndoRedo() {
+        console.log('Testing undo/redo...');
+        
+        const manager = new TaskManager();
+        this.assert(manager.canUndo() === false, 'New manager should have nothing to undo');
+        this.assert(manager.undo() === null, 'Undo with empty history should return null');
+        
+        // Test 1: Undo and redo a delete
+        const task = manager.addTask('Keep me', 'Important', 'high');
+        manager.completeTask(task.id);
+        manager.deleteTask(task.id);
+        this.assert(manager.undo() === 'Delete task', 'Undo should return the step label');
+        const restored = manager.getTaskById(task.id);
+        this.assert(restored !== null && restored.status === 'completed', 'Undo should restore the deleted task');
+        this.assert(manager.canRedo() === true, 'Undone step should be redoable');
+        manager.redo();
+        this.assert(manager.getTaskById(task.id) === null, 'Redo should delete the task again');
+        
+        // Test 2: Undo clearAllTasks restores tasks and nextId
+        manager.undo();
+        manager.addTask('Second');
+        manager.clearAllTasks();
+        manager.undo();
+        this.assert(manager.getTasks().length === 2, 'Undo should restore cleared tasks');
+        this.assert(manager.addTask('Third').id === 3, 'Undo should restore nextId');
+        
+        // Test 3: A new mutation clears the redo stack
+        manager.undo();
+        this.assert(manager.canRedo() === true, 'Should be able to redo');
+        manager.addTask('Branch');
+        this.assert(manager.canRedo() === false, 'New mutation should clear redo history');
+        
+        // Test 4: History depth is bounded
+        manager.setHistoryLimit(3);
+        for (let i = 0; i < 5; i++) {
+            manager.addTask(`Bulk ${i}`);
+        }
+        let undoCount = 0;
+        while (manager.undo()) {
+            undoCount++;
+        }
+        this.assert(undoCount === 3, 'History should keep only the configured number of steps');
+        
+        // Test 5: Grouped mutations undo as one step and roll back on error
+        const grouped = new TaskManager();
+        grouped.withHistory('Import tasks', () => {
+            grouped.addTask('One');
+            grouped.addTask('Two');
+        });
+        grouped.undo();
+        this.assert(grouped.getTasks().length === 0, 'Grouped mutations should undo together');
+        try {
+            grouped.withHistory('Broken', () => {
+                grouped.addTask('Three');
+                grouped.addTask('');
+            });
+        } catch (error) {
+            this.assert(grouped.getTasks().length === 0, 'Failed group should be rolled back');
+            this.assert(grouped.undoStack.length === 0, 'Failed group should not be recorded');
+        }
+        grouped.setHistoryLimit(0);
+        try {
+            grouped.withHistory('Unrecorded', () => {
+                grouped.addTask('Four');
+                grouped.addTask('');
+            });
+        } catch (error) {
+            this.assert(grouped.getTasks().length === 0, 'Failed group should be rolled back without history');
+        }
+
+        // Test 6: Changes made outside the history can be applied to it
+        const patched = new TaskManager();
+        patched.addTask('Old');
+        patched.addTask('Newer');
+        const dropped = patched.updateHistory(snapshot => {
+            snapshot.tasks.forEach(task => { task.title = task.title.toUpperCase(); });
+            return snapshot.tasks.length > 0;
+        });
+        this.assert(dropped === 1 && patched.undoStack.length === 1, 'Steps the change cannot be applied to should be dropped');
+        patched.undo();
+        this.assert(patched.getTasks().map(task => task.title).join() === 'OLD', 'Undo should restore the updated state');
+
+        console.log('✅ undo/redo tests passed\n');
+    }
+
+    /**
+     * Test change event subscriptions
+     */
+    testEvents() {
+        console.log('Testing change events...');
+        
+        const manager = new TaskManager();
+        const received = [];
+        const unsubscribe = manager.on('change', (event) => received.push(event));
+        
+        // Test 1: Typed events carry their details
+        let added = null;
+        manager.on('taskAdded', (event) => { added = event.task; });
+        const task = manager.addTask('Observed');
+        this.assert(added === task, 'taskAdded should carry the new task');
+        this.assert(received.length === 1 && received[0].events[0].type === 'taskAdded', 'change should list the typed event');
+        
+        let completed = null;
+        manager.on('taskCompleted', (event) => { completed = event; });
+        manager.completeTask(task.id);
+        this.assert(completed && completed.task.id === task.id, 'taskCompleted should carry the task');
+        
+        let deletedIds = null;
+        manager.on('taskDeleted', (event) => { deletedIds = event.deletedIds; });
+        manager.deleteTask(task.id);
+        this.assert(deletedIds && deletedIds[0] === task.id, 'taskDeleted should carry the deleted IDs');
+        
+        let cleared = false;
+        manager.on('tasksCleared', () => { cleared = true; });
+        manager.clearAllTasks();
+        this.assert(cleared, 'tasksCleared should be emitted');
+        
+        let importedCount = 0;
+        manager.on('tasksImported', (event) => { importedCount = event.count; });
+        manager.importTasks([{ id: 7, title: 'Imported', priority: 'low', status: 'pending' }]);
+        this.assert(importedCount === 1, 'tasksImported should carry the count');
+        this.assert(manager.addTask('After import').id === 8, 'Import should continue IDs after the highest one');
+        
+        // Test 2: Failed mutations emit nothing
+        const before = received.length;
+        try {
+            manager.addTask('');
+        } catch (error) {
+            this.assert(received.length === before, 'Failed mutations should not emit events');
+        }
+        
+        // Test 3: Groups emit one change event after they succeed
+        const groupStart = received.length;
+        manager.withHistory('Bulk add', () => {
+            manager.addTask('One');
+            manager.addTask('Two');
+            this.assert(received.length === groupStart, 'Events should wait for the group to finish');
+        });
+        this.assert(received.length === groupStart + 1, 'Group should emit a single change event');
+        this.assert(received[received.length - 1].events.length === 2, 'Group change should list every event');
+        
+        // Test 4: once, off and failing listeners
+        let onceCount = 0;
+        manager.once('taskAdded', () => { onceCount++; });
+        manager.on('taskAdded', () => { throw new Error('Listener failure'); });
+        manager.addTask('First');
+        manager.addTask('Second');
+        this.assert(onceCount === 1, 'once listener should fire only once');
+        this.assert(manager.getTasks().length === 6, 'A failing listener should not break the mutation');
+        unsubscribe();
+        const afterOff = received.length;
+        manager.addTask('Unobserved');
+        this.assert(received.length === afterOff, 'Unsubscribed listener should not be called');
+        
+        console.log('✅ change event tests passed\n');
+    }
+
+    /**
+     * Test atomic groups of mutations
+     */
+    testTransactions() {
+        console.log('Testing transactions...');
+        
+        const manager = new TaskManager();
+        const kept = manager.addTask('Kept');
+        const changes = [];
+        manager.on('change', (event) => changes.push(event));
+        
+        // Test 1: A transaction emits one change event and is one undo step
+        const result = manager.transaction((tm) => {
+            tm.addTask('One');
+            tm.addTask('Two');
+            tm.completeTask(kept.id);
+            return 'done';
+        });
+        this.assert(result === 'done', 'transaction should return the result of fn');
+        this.assert(changes.length === 1 && changes[0].events.length === 3, 'transaction should emit a single change event');
+        this.assert(manager.undo() === 'Batch edit', 'transaction should be a single undo step');
+        this.assert(manager.getTasks().length === 1 && manager.getTaskById(kept.id).status === 'pending', 'Undo should revert the whole transaction');
+        
+        // Test 2: A failing transaction rolls everything back and emits nothing
+        manager.redo();
+        const before = JSON.stringify(manager.tasks);
+        const changeCount = changes.length;
+        try {
+            manager.batch((tm) => {
+                tm.addTask('Rolled back');
+                tm.deleteTask(kept.id);
+                tm.addTask('');
+            }, 'Broken batch');
+            this.assert(false, 'batch should rethrow the error');
+        } catch (error) {
+            this.assert(error.message === 'Task title is required', 'batch should rethrow the original error');
+        }
+        this.assert(JSON.stringify(manager.tasks) === before, 'A failing batch should roll back every change');
+        this.assert(changes.length === changeCount, 'A failing batch should not emit events');
+        this.assert(manager.addTask('Next').id === 4, 'A failing batch should roll back IDs');
+        
+        // Test 3: Asynchronous callbacks are rejected
+        const beforeAsync = manager.getTasks().length;
+        try {
+            manager.transaction(() => Promise.resolve());
+            this.assert(false, 'Asynchronous transactions should throw');
+        } catch (error) {
+            this.assert(error instanceof TypeError, 'Asynchronous transactions should throw a TypeError');
+        }
+        this.assert(manager.getTasks().length === beforeAsync, 'A rejected transaction should change nothing');
+        
+        console.log('✅ Transaction tests passed\n');
+    }
+
+    /**
+     * Test search and the query language
+     */
+    testSearch() {
+        console.log('Testing search...');
+        
+        const manager = new TaskManager();
+        const report = manager.addTask('Write report', 'Quarterly numbers', 'high', { tags: ['work'], dueDate: '2026-01-10' });
+        const review = manager.addTask('Review draft', 'Check the report draft', 'medium', { tags: ['work'] });
+        const groceries = manager.addTask('Groceries', 'Milk and bread', 'low', { tags: ['home'] });
+        manager.completeTask(groceries.id);
+        
+        // Test 1: Free text is ranked, title matches first
+        const results = manager.search('report');
+        this.assert(results.length === 2, 'Free text should match title and description');
+        this.assert(results[0] === report && results[1] === review, 'Title matches should rank above description matches');
+        this.assert(manager.search('REPORT draft').length === 1, 'All terms must match, case-insensitively');
+        this.assert(manager.search('"report draft"')[0] === review, 'Quoted phrases should match exactly');
+        this.assert(manager.search('"numbers report"').length === 0, 'Phrase words out of order should not match');
+        
+        // Test 2: Qualifiers and negation
+        this.assert(manager.search('priority:high,low').length === 2, 'priority: should accept a comma-separated list');
+        this.assert(manager.search('status:completed')[0] === groceries, 'status: should filter by status');
+        this.assert(manager.search('tag:work -draft')[0] === report && manager.search('tag:work -draft').length === 1, '-word should exclude matches');
+        this.assert(manager.search('-tag:work')[0] === groceries, 'Qualifiers should be negatable');
+        this.assert(manager.search('due:<2026-02-01').length === 1, 'due: should compare dates');
+        this.assert(manager.search(`created:>=${manager.toDateKey(new Date())}`).length === 3, 'created: should compare creation dates');
+        this.assert(manager.search('is:overdue')[0] === report, 'is:overdue should match overdue tasks');
+        this.assert(manager.search('').length === 3, 'An empty query should return every task');
+        const link = manager.addTask('Read https://example.com/notes', 're:meeting follow-up');
+        this.assert(manager.search('https://example.com/notes')[0] === link, 'URLs should be searched as text');
+        this.assert(manager.search('re:meeting')[0] === link && manager.search('note:').length === 0, 'Words with a colon that are not fields should be searched as text');
+        manager.deleteTask(link.id);
+        
+        // Test 3: Syntax errors
+        const expectError = (query, fragment) => {
+            try {
+                manager.search(query);
+                this.assert(false, `"${query}" should be a syntax error`);
+            } catch (error) {
+                this.assert(error.message.includes(fragment), `"${query}" should report ${fragment}`);
+            }
+        };
+        expectError('"unterminated', 'unterminated quote');
+        expectError('priorty:high', 'unknown field "priorty"');
+        expectError('tags:work', 'did you mean "tag"');
+        expectError('priority:urgent', 'invalid priority "urgent"');
+        expectError('created:>yesterday', 'invalid date');
+        expectError('tag:', 'missing value');
+        
+        console.log('✅ search tests passed\n');
+    }
+
+    /**
+     * Test multi-key sorting and pagination
+     */
+    testQuery() {
+        console.log('Testing query...');
+        
+        const manager = new TaskManager();
+        const specs = [
+            ['Bravo', 'high', '2026-01-03'],
+            ['alpha', 'low', '2026-01-01'],
+            ['Charlie', 'high', '2026-01-02'],
+            ['Delta', 'medium', '2026-01-04'],
+            ['Echo', 'high', '2026-01-03']
+        ];
+        const tasks = specs.map(([title, priority, created]) => {
+            const task = manager.addTask(title, '', priority);
+            task.createdAt = `${created}T09:00:00.000Z`;
+            return task;
+        });
+        manager.completeTask(tasks[3].id);
+        const titles = (list) => list.map(task => task.title).join(',');
+        
+        // Test 1: Multi-key sorting is stable
+        const byPriority = manager.query({ sort: [{ field: 'priority', dir: 'desc' }] });
+        this.assert(titles(byPriority.tasks) === 'Bravo,Charlie,Echo,Delta,alpha', 'Ties should keep their original order');
+        const byPriorityThenDate = manager.query({
+            sort: [{ field: 'priority', dir: 'desc' }, { field: 'createdAt', dir: 'desc' }]
+        });
+        this.assert(titles(byPriorityThenDate.tasks) === 'Bravo,Echo,Charlie,Delta,alpha', 'Secondary keys should break ties');
+        this.assert(titles(manager.query({ sort: [{ field: 'title' }] }).tasks) === 'alpha,Bravo,Charlie,Delta,Echo', 'Titles should sort case-insensitively');
+        this.assert(manager.query({ sort: [{ field: 'status', dir: 'desc' }] }).tasks[0] === tasks[3], 'Status should sort completed after pending');
+        this.assert(manager.query({ sort: [{ field: 'completedAt', dir: 'asc' }] }).tasks[0] === tasks[3], 'Missing completion dates should sort last');
+        this.assert(manager.query({ sort: [{ field: 'completedAt', dir: 'desc' }] }).tasks[0] === tasks[3], 'Missing completion dates should sort last when descending too');
+        
+        // Test 2: Filtering and pagination
+        const page = manager.query({ filter: task => task.priority !== 'low', sort: [{ field: 'title' }], offset: 1, limit: 2 });
+        this.assert(titles(page.tasks) === 'Charlie,Delta', 'offset and limit should select a page');
+        this.assert(page.total === 4 && page.hasMore, 'total should count every match');
+        const lastPage = manager.query({ filter: 'priority:high', offset: 2, limit: 2 });
+        this.assert(lastPage.tasks.length === 1 && lastPage.total === 3 && !lastPage.hasMore, 'Search queries should work as filters');
+        this.assert(titles(manager.getTasksByPriority('asc')) === 'alpha,Delta,Bravo,Charlie,Echo', 'getTasksByPriority should still sort by priority');
+        
+        // Test 3: Invalid options
+        const expectError = (options, message) => {
+            try {
+                manager.query(options);
+                this.assert(false, `Should reject ${message}`);
+            } catch (error) {
+                this.assert(error.message.startsWith('Invalid'), `Should reject ${message}`);
+            }
+        };
+        expectError({ sort: [{ field: 'owner' }] }, 'an unknown sort field');
+        expectError({ sort: [{ field: 'title', dir: 'up' }] }, 'an unknown sort direction');
+        expectError({ offset: -1 }, 'a negative offset');
+        expectError({ limit: 1.5 }, 'a fractional limit');
+        
+        console.log('✅ query tests passed\n');
+    }
+
+    /**
+     * Test import modes and conflict resolution
+     */
+    testImportModes() {
+        console.log('Testing import modes...');
+        
+        const createLocal = () => {
+            const manager = new TaskManager();
+            manager.importTasks([
+                { id: 1, title: 'Shared', priority: 'low', status: 'pending', createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-05T00:00:00.000Z' },
+                { id: 2, title: 'Mine', priority: 'medium', status: 'pending', createdAt: '2026-01-02T00:00:00.000Z' }
+            ]);
+            return manager;
+        };
+        const incoming = [
+            { id: 1, title: 'Shared', priority: 'high', status: 'pending', createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-09T00:00:00.000Z' },
+            { id: 2, title: 'Theirs', priority: 'low', status: 'pending', createdAt: '2026-01-03T00:00:00.000Z', blockedBy: [] },
+            { id: 3, title: 'Theirs child', priority: 'low', status: 'pending', createdAt: '2026-01-04T00:00:00.000Z', parentId: 2, blockedBy: [2] },
+            { id: 7, title: 'Mine', priority: 'medium', status: 'pending', createdAt: '2026-01-02T00:00:00.000Z' }
+        ];
+        
+        // Test 1: Merge by ID with the default "newer" policy
+        const merged = createLocal();
+        const plan = merged.planImport(incoming, { mode: 'merge' });
+        this.assert(merged.getTasks().length === 2, 'planImport should not change anything');
+        this.assert(plan.updated.length === 1 && plan.added.length === 2 && plan.skipped.length === 1, 'Plan should list added, updated and skipped tasks');
+        const count = merged.importTasks(incoming, null, { mode: 'merge' });
+        this.assert(count === 3, 'importTasks should return the number of tasks added or updated');
+        this.assert(merged.getTaskById(1).priority === 'high', 'The newer imported copy should win');
+        const theirs = merged.getTasks().find(task => task.title === 'Theirs');
+        const child = merged.getTasks().find(task => task.title === 'Theirs child');
+        this.assert(theirs.id !== 2 && merged.getTaskById(2).title === 'Mine', 'Colliding IDs should be remapped');
+        this.assert(child.parentId === theirs.id && child.blockedBy[0] === theirs.id, 'References should follow remapped IDs');
+        this.assert(merged.getTasks().filter(task => task.title === 'Mine').length === 1, 'Duplicates by title and createdAt should be detected');
+        this.assert(merged.addTask('Next').id > Math.max(...merged.getTasks().slice(0, -1).map(task => task.id)), 'nextId should stay above every ID');
+        merged.undo();
+        merged.undo();
+        this.assert(merged.getTasks().length === 2 && merged.getTaskById(1).priority === 'low', 'A merge should be undoable in one step');
+        
+        // Test 2: Conflict policies
+        const keepLocal = createLocal();
+        keepLocal.importTasks(incoming, null, { mode: 'merge', conflict: 'local' });
+        this.assert(keepLocal.getTaskById(1).priority === 'low', '"local" should keep the current copy');
+        const olderIncoming = [{ ...incoming[0], updatedAt: '2026-01-02T00:00:00.000Z' }];
+        const keepNewer = createLocal();
+        keepNewer.importTasks(olderIncoming, null, { mode: 'merge' });
+        this.assert(keepNewer.getTaskById(1).priority === 'low', '"newer" should keep a newer local copy');
+        keepNewer.importTasks(olderIncoming, null, { mode: 'merge', conflict: 'incoming' });
+        this.assert(keepNewer.getTaskById(1).priority === 'high', '"incoming" should always take the imported copy');
+        
+        // Test 3: Append and replace
+        const appended = createLocal();
+        const appendPlan = appended.planImport(incoming, { mode: 'append' });
+        this.assert(appendPlan.added.length === 2 && appendPlan.skipped[1].reason === 'Duplicate of task 2', 'Append should add all but duplicates');
+        appended.importTasks(incoming, null, { mode: 'append' });
+        this.assert(appended.getTasks().length === 4 && appended.getTaskById(1).priority === 'low', 'Append should never update current tasks');
+        const replaced = createLocal();
+        this.assert(replaced.planImport(incoming).removed.length === 2, 'Replace should list the tasks it removes');
+        replaced.importTasks(incoming);
+        this.assert(replaced.getTasks().length === 4 && replaced.nextId === 8, 'Replace should stay the default mode');
+        
+        // Test 4: Invalid options
+        let invalidMode = false;
+        try {
+            replaced.planImport(incoming, { mode: 'upsert' });
+        } catch (error) {
+            invalidMode = error.message === 'Invalid import mode "upsert"';
+        }
+        this.assert(invalidMode, 'Unknown modes should be rejected');
+        
+        console.log('✅ import mode tests passed\n');
+    }
+
     /**
      * Test error handling
      */
@@ -223,4 +1008,7 @@ if (typeof window !== 'undefined') {
 } else {
     // Node.js environment
     module.exports = TaskManagerTests;
+    if (require.main === module) {
+        new TaskManagerTests().runAllTests();
+    }
 }